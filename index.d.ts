@@ -0,0 +1,336 @@
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+declare global {
+  /**
+   * Registries of the types in each message package. These are filled in by the
+   * typings written alongside generated messages (see loadAllPackages), which
+   * lets NodeHandle infer message classes from type strings like 'std_msgs/String'.
+   */
+  namespace Rosnodejs {
+    interface MessageTypes {}
+    interface ServiceTypes {}
+    interface ActionTypes {}
+    interface MessagePackages {}
+
+    /**
+     * 64 bit integer fields are deserialized into bn.js instances
+     */
+    interface Int64 {
+      toNumber(): number;
+      toString(base?: number | 'hex', length?: number): string;
+      toJSON(): string;
+      isNeg(): boolean;
+    }
+  }
+}
+
+declare namespace rosnodejs {
+  type MessageType = keyof Rosnodejs.MessageTypes;
+  type ServiceType = keyof Rosnodejs.ServiceTypes;
+  type ActionType = keyof Rosnodejs.ActionTypes;
+
+  type ServiceRequest<T extends ServiceType> = Rosnodejs.ServiceTypes[T]['Request'];
+  type ServiceResponse<T extends ServiceType> = Rosnodejs.ServiceTypes[T]['Response'];
+
+  interface MessageClass<M> {
+    new (initObj?: Partial<M>): M;
+    serialize(obj: M, buffer: Buffer, bufferOffset: number): number;
+    deserialize(buffer: Buffer, bufferOffset?: number[]): M;
+    getMessageSize(obj: M): number;
+    datatype(): string;
+    md5sum(): string;
+    messageDefinition(): string;
+    Resolve(msg?: Partial<M>): M;
+  }
+
+  interface ServiceClass<Req, Resp> {
+    Request: MessageClass<Req>;
+    Response: MessageClass<Resp>;
+    datatype(): string;
+    md5sum(): string;
+  }
+
+  interface NodeOptions {
+    anonymous?: boolean;
+    rosMasterUri?: string;
+    timeout?: number;
+    onTheFly?: boolean;
+    notime?: boolean;
+    logging?: any;
+    node?: {
+      masterWatchdogMs?: number;
+      [key: string]: any;
+    };
+    [key: string]: any;
+  }
+
+  interface PublisherOptions {
+    latching?: boolean;
+    tcpNoDelay?: boolean;
+    queueSize?: number;
+    throttleMs?: number;
+    resolve?: boolean;
+    zeroCopy?: boolean;
+    validate?: boolean;
+  }
+
+  interface SubscriberOptions {
+    queueSize?: number;
+    throttleMs?: number;
+    transports?: Array<'TCPROS' | 'UDPROS'>;
+    dgramSize?: number;
+    reassemblyTimeoutMs?: number;
+    intraProcess?: boolean;
+  }
+
+  interface ServiceServerContext<Req = any> {
+    service: string;
+    type: string;
+    request: Req;
+    header: { [key: string]: string };
+    callerId: string;
+  }
+
+  interface ServiceClientContext<Req = any> {
+    service: string;
+    type: string;
+    request: Req;
+    options: ServiceCallOptions;
+  }
+
+  type ServiceServerInterceptor<Req = any, Resp = any> =
+    (context: ServiceServerContext<Req>, next: () => Promise<Resp>) => Resp | Promise<Resp>;
+
+  type ServiceClientInterceptor<Req = any, Resp = any> =
+    (context: ServiceClientContext<Req>, next: () => Promise<Resp>) => Resp | Promise<Resp>;
+
+  interface ServiceServerOptions<Req = any, Resp = any> {
+    maxConcurrency?: number;
+    timeout?: number;
+    interceptors?: Array<ServiceServerInterceptor<Req, Resp>>;
+    validate?: boolean;
+  }
+
+  interface ReconnectOptions {
+    maxRetries?: number;
+    delayMs?: number;
+    maxDelayMs?: number;
+    backoffFactor?: number;
+  }
+
+  interface ServiceClientOptions<Req = any, Resp = any> {
+    persist?: boolean;
+    queueLength?: number;
+    resolve?: boolean;
+    timeout?: number;
+    maxConcurrency?: number;
+    interceptors?: Array<ServiceClientInterceptor<Req, Resp>>;
+    idempotent?: boolean;
+    reconnect?: boolean | ReconnectOptions;
+    validate?: boolean;
+  }
+
+  interface ServiceCallOptions {
+    timeout?: number;
+    signal?: any;
+    idempotent?: boolean;
+  }
+
+  /**
+   * Fill in the response and return true, or return the response (or a Promise of it).
+   * Throwing or rejecting sends a failed call to the client.
+   */
+  type ServiceCallback<Req, Resp> =
+    (request: Req, response: Resp) => boolean | Resp | Promise<boolean | Resp>;
+
+  interface Publisher<M = any> extends EventEmitter {
+    getTopic(): string;
+    getType(): string;
+    getLatching(): boolean;
+    getStats(): any;
+    getNumSubscribers(): number;
+    shutdown(): Promise<void>;
+    isShutdown(): boolean;
+    publish(msg: M, throttleMs?: number): void;
+  }
+
+  interface Subscriber<M = any> extends EventEmitter {
+    getTopic(): string;
+    getType(): string;
+    getStats(): any;
+    getConnectionTransports(): any;
+    getNumPublishers(): number;
+    shutdown(): Promise<void>;
+    isShutdown(): boolean;
+    on(event: 'message', listener: (msg: M, len: number, nodeUri: string) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  interface ServiceServer<Req = any, Resp = any> extends EventEmitter {
+    getService(): string;
+    getType(): string;
+    getPersist(): boolean;
+    isCallInProgress(): boolean;
+    getServiceUri(): string;
+    getClientUris(): string[];
+    shutdown(): void;
+    isShutdown(): boolean;
+    disconnect(): void;
+  }
+
+  interface ServiceClient<Req = any, Resp = any> extends EventEmitter {
+    getService(): string;
+    getType(): string;
+    getPersist(): boolean;
+    getMaxConcurrency(): number;
+    isCallInProgress(): boolean;
+    isConnected(): boolean;
+    close(): void;
+    shutdown(): void;
+    isShutdown(): boolean;
+    call(request: Partial<Req>, options?: ServiceCallOptions): Promise<Resp>;
+  }
+
+  interface ConversionOptions {
+    /** how uint8[] and char[] fields are written */
+    bytes?: 'base64' | 'array';
+  }
+
+  interface TopicList {
+    topics: Array<{ name: string, type: string }>;
+  }
+
+  interface SystemState {
+    publishers: { [topic: string]: string[] };
+    subscribers: { [topic: string]: string[] };
+    services: { [service: string]: string[] };
+  }
+
+  interface NodeHandle {
+    setNamespace(namespace: string): void;
+    getNodeName(): string;
+    isShutdown(): boolean;
+
+    advertise<T extends MessageType>(topic: string, type: T, options?: PublisherOptions):
+      Publisher<Rosnodejs.MessageTypes[T]>;
+    advertise<M>(topic: string, type: MessageClass<M>, options?: PublisherOptions): Publisher<M>;
+    advertise(topic: string, type: string, options?: PublisherOptions): Publisher;
+
+    subscribe<T extends MessageType>(topic: string, type: T,
+      callback?: (msg: Rosnodejs.MessageTypes[T], len: number, nodeUri: string) => void,
+      options?: SubscriberOptions): Subscriber<Rosnodejs.MessageTypes[T]>;
+    subscribe<M>(topic: string, type: MessageClass<M>,
+      callback?: (msg: M, len: number, nodeUri: string) => void,
+      options?: SubscriberOptions): Subscriber<M>;
+    subscribe(topic: string, type: string,
+      callback?: (msg: any, len: number, nodeUri: string) => void,
+      options?: SubscriberOptions): Subscriber;
+
+    advertiseService<T extends ServiceType>(service: string, type: T,
+      callback: ServiceCallback<ServiceRequest<T>, ServiceResponse<T>>,
+      options?: ServiceServerOptions<ServiceRequest<T>, ServiceResponse<T>>):
+      ServiceServer<ServiceRequest<T>, ServiceResponse<T>>;
+    advertiseService<Req, Resp>(service: string, type: ServiceClass<Req, Resp>,
+      callback: ServiceCallback<Req, Resp>,
+      options?: ServiceServerOptions<Req, Resp>): ServiceServer<Req, Resp>;
+    advertiseService(service: string, type: string, callback: ServiceCallback<any, any>,
+      options?: ServiceServerOptions): ServiceServer;
+
+    serviceClient<T extends ServiceType>(service: string, type: T,
+      options?: ServiceClientOptions<ServiceRequest<T>, ServiceResponse<T>>):
+      ServiceClient<ServiceRequest<T>, ServiceResponse<T>>;
+    serviceClient<Req, Resp>(service: string, type: ServiceClass<Req, Resp>,
+      options?: ServiceClientOptions<Req, Resp>): ServiceClient<Req, Resp>;
+    serviceClient(service: string, type: string, options?: ServiceClientOptions): ServiceClient;
+
+    addServiceServerInterceptor(interceptor: ServiceServerInterceptor): void;
+    removeServiceServerInterceptor(interceptor: ServiceServerInterceptor): void;
+    addServiceClientInterceptor(interceptor: ServiceClientInterceptor): void;
+    removeServiceClientInterceptor(interceptor: ServiceClientInterceptor): void;
+
+    actionClientInterface(actionServer: string, type: string, options?: object): any;
+    actionServerInterface(actionServer: string, type: string, options?: object): any;
+
+    unsubscribe(topic: string): Promise<void>;
+    unadvertise(topic: string): Promise<void>;
+    unadvertiseService(service: string): Promise<void>;
+    waitForService(service: string, timeout?: number): Promise<boolean>;
+
+    /** resolves with the master's raw [code, statusMessage, masterUri] response */
+    getMasterUri(): Promise<[number, string, string]>;
+    getPublishedTopics(subgraph?: string): Promise<TopicList>;
+    getTopicTypes(): Promise<TopicList>;
+    getSystemState(): Promise<SystemState>;
+
+    deleteParam(key: string): Promise<void>;
+    setParam(key: string, value: any): Promise<void>;
+    getParam(key: string): Promise<any>;
+    getParamCached(key: string): Promise<any>;
+    hasParam(key: string): Promise<boolean>;
+    searchParam(key: string): Promise<string>;
+    getParamNames(): Promise<string[]>;
+    subscribeParam(key: string, callback: (value: any, oldValue: any) => void): Promise<any>;
+    unsubscribeParam(key: string, callback?: (value: any, oldValue: any) => void): Promise<void>;
+
+    resolveName(name: string, remap?: boolean, noValidate?: boolean): string;
+    remapName(name: string): string;
+  }
+
+  interface RosnodejsModule {
+    initNode(nodeName: string, options?: NodeOptions): Promise<NodeHandle>;
+    reset(): void;
+    createMaster(options?: { port?: number, host?: string }): Promise<any>;
+    shutdown(): Promise<void>;
+    ok(): boolean;
+    on(evt: string, handler: (...args: any[]) => void): void;
+    once(evt: string, handler: (...args: any[]) => void): void;
+    removeListener(evt: string, handler: (...args: any[]) => void): void;
+
+    loadPackage(packageName: string, outputDir?: string | null, verbose?: boolean, typings?: boolean): Promise<void>;
+    loadAllPackages(outputDir?: string | null, verbose?: boolean, typings?: boolean): Promise<void>;
+    findPackage(packageName: string): Promise<string>;
+    getJsonSchema(type: string): Promise<{ [key: string]: any }>;
+    registerMessageDirectory(directory: string): Promise<string[]>;
+    registerMessage(type: string, definition: string): MessageClass<any>;
+    registerService(type: string, definition: string): ServiceClass<any, any>;
+
+    require<K extends keyof Rosnodejs.MessagePackages>(msgPackage: K): Rosnodejs.MessagePackages[K];
+    require(msgPackage: string): any;
+    getAvailableMessagePackages(): any;
+    checkMessage<T extends MessageType>(type: T): MessageClass<Rosnodejs.MessageTypes[T]> | undefined;
+    checkMessage(type: string): MessageClass<any> | undefined;
+    checkService(type: string): ServiceClass<any, any> | undefined;
+
+    toJSON(msg: object, type?: string | MessageClass<any> | null, options?: ConversionOptions): any;
+    fromJSON<T extends MessageType>(type: T, json: object | string): Rosnodejs.MessageTypes[T];
+    fromJSON<M>(type: MessageClass<M>, json: object | string): M;
+    fromJSON(type: string, json: object | string): any;
+    toYAML(msg: object, type?: string | MessageClass<any> | null, options?: ConversionOptions): string;
+    fromYAML<T extends MessageType>(type: T, yaml: string): Rosnodejs.MessageTypes[T];
+    fromYAML<M>(type: MessageClass<M>, yaml: string): M;
+    fromYAML(type: string, yaml: string): any;
+
+    getNodeHandle(namespace?: string): NodeHandle;
+    readonly nodeHandle: NodeHandle;
+    readonly nh: NodeHandle;
+    readonly log: any;
+    readonly logStreams: any;
+    readonly Time: any;
+
+    getActionClient(options: any): any;
+
+    ActionServer: any;
+    ActionClient: any;
+    SimpleActionServer: any;
+    SimpleActionClient: any;
+    PolicyActionServer: any;
+    SimpleClientGoalState: any;
+    RosMaster: any;
+  }
+}
+
+declare const rosnodejs: rosnodejs.RosnodejsModule;
+
+export = rosnodejs;
@@ -35,6 +35,9 @@ const GoalIdGenerator = require('./GoalIdGenerator.js');
  * @class ActionClient
  * EXPERIMENTAL
  *
+ * With the serverTimeoutMs option, outstanding goals are moved to the LOST terminal
+ * state when the action server is lost, and 'serverLost' is emitted with their handles.
+ * Goals sent while the server is lost are moved to LOST as well.
  */
 class ActionClient extends EventEmitter {
   constructor(options) {
@@ -45,6 +48,8 @@ class ActionClient extends EventEmitter {
     this._acInterface.on('status', this._handleStatus.bind(this));
     this._acInterface.on('feedback', this._handleFeedback.bind(this));
     this._acInterface.on('result', this._handleResult.bind(this));
+    this._acInterface.on('serverLost', this._handleServerLost.bind(this));
+    this._acInterface.on('serverRestored', () => { this.emit('serverRestored'); });
 
     const actionType = this._acInterface.getType();
     this._messageTypes = this._messageTypes = {
@@ -58,6 +63,9 @@ class ActionClient extends EventEmitter {
 
     this._goalLookup = {};
 
+    // why the watchdog last decided the action server was lost
+    this._serverLostReason = null;
+
     this._shutdown = false;
     this._ultron = new Ultron(ThisNode);
 
@@ -103,6 +111,16 @@ class ActionClient extends EventEmitter {
 
     this._goalLookup[goalIdStr] = handle;
 
+    if (this._acInterface.isServerLost()) {
+      // the server won't hear about this goal either - wait a tick
+      // so that callers can listen for the transition
+      process.nextTick(() => {
+        if (this._acInterface.isServerLost()) {
+          this._markGoalLost(goalIdStr);
+        }
+      });
+    }
+
     return handle;
   }
 
@@ -141,6 +159,34 @@ class ActionClient extends EventEmitter {
     }
   }
 
+  _handleServerLost(reason) {
+    log.warn('Lost action server (%s)', reason);
+    this._serverLostReason = reason;
+
+    const lostGoals = Object.keys(this._goalLookup)
+      .map((goalId) => this._markGoalLost(goalId))
+      .filter((goalHandle) => goalHandle !== null);
+
+    this.emit('serverLost', lostGoals, reason);
+  }
+
+  /**
+   * Stops tracking a goal, moving it to LOST if it's still active
+   * @param goalId {string}
+   * @returns {ClientGoalHandle|null} the goal's handle if it was lost
+   */
+  _markGoalLost(goalId) {
+    const goalHandle = this._goalLookup[goalId];
+    delete this._goalLookup[goalId];
+
+    if (goalHandle && !goalHandle.isExpired()) {
+      goalHandle.markLost(`Lost action server (${this._serverLostReason})`);
+      return goalHandle;
+    }
+    // else
+    return null;
+  }
+
   _handleFeedback(msg) {
     const goalId = msg.status.goal_id.id;
     const goalHandle = this._goalLookup[goalId];
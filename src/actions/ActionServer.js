@@ -34,10 +34,17 @@ let GoalStatusArrayMsg = null;
 let GoalStatuses = null;
 let goalCount = 0;
 
+const DEFAULT_STATUS_FREQUENCY = 5;
+const DEFAULT_STATUS_LIST_TIMEOUT = 5;
+const DEFAULT_GOAL_HISTORY_LENGTH = 100;
+
 /**
  * @class ActionServer
  * EXPERIMENTAL
  *
+ * Goals stay in the status list for statusListTimeout seconds after reaching a terminal
+ * state, like actionlib's status_list_timeout. The most recent goalHistoryLength
+ * goals to finish are kept, along with their results, for diagnostics.
  */
 class ActionServer extends EventEmitter {
   constructor(options) {
@@ -65,7 +72,13 @@ class ActionServer extends EventEmitter {
 
     this._lastCancelStamp = Time.epoch();
 
-    this._statusListTimeout = { secs: 5, nsecs: 0 };
+    this._statusListTimeout = Time.fromSeconds(
+      getNumberOption(options, 'statusListTimeout', 'status_list_timeout', DEFAULT_STATUS_LIST_TIMEOUT));
+
+    // records of goals that finished, oldest first
+    this._goalHistory = [];
+    this._goalHistoryLength = getNumberOption(options, 'goalHistoryLength', null, DEFAULT_GOAL_HISTORY_LENGTH);
+
     this._shutdown = false;
     this._ultron = new Ultron(ThisNode);
   }
@@ -88,20 +101,19 @@ class ActionServer extends EventEmitter {
 
     this.publishStatus();
 
-    let statusFreq = 5;
-    if (this._options.statusFrequency !== undefined) {
-      if (typeof this._options.statusFrequency !== 'number') {
-        throw new Error(`Invalid value (${this._options.statusFrequency}) for statusFrequency - expected number`);
-      }
-
-      statusFreq = this._options.statusFrequency;
-    }
+    const statusFreq = getNumberOption(this._options, 'statusFrequency', 'status_frequency', DEFAULT_STATUS_FREQUENCY);
 
     if (statusFreq > 0) {
       this._statusFreqInt = setInterval(() => {
         this.publishStatus();
       }, 1000 / statusFreq);
     }
+    else {
+      // publishing status prunes old goals - make sure that still happens
+      this._pruneInt = setInterval(() => {
+        this._pruneGoalHandles();
+      }, 1000);
+    }
 
     // FIXME: how to handle shutdown? Should user be responsible?
     // should we check for shutdown in interval instead of listening
@@ -121,6 +133,9 @@ class ActionServer extends EventEmitter {
       clearInterval(this._statusFreqInt);
       this._statusFreqInt = null;
 
+      clearInterval(this._pruneInt);
+      this._pruneInt = null;
+
       this._ultron.destroy();
       this._ultron = null;
 
@@ -136,6 +151,35 @@ class ActionServer extends EventEmitter {
     return this._goalHandleCache[id];
   }
 
+  /**
+   * @return {Array.<Object>} records of the goals that finished most recently, oldest first.
+   *   Each has the goalId, goal, stamp, status, text, result and the time it finished.
+   */
+  getGoalHistory() {
+    return this._goalHistory.slice();
+  }
+
+  /**
+   * Finds a goal that is being tracked or finished recently.
+   * @param goalId {string}
+   * @return {Object|null} a record like the ones from getGoalHistory. The result
+   *   and finish time are null if the goal hasn't finished.
+   */
+  findGoal(goalId) {
+    for (let i = this._goalHistory.length - 1; i >= 0; --i) {
+      if (this._goalHistory[i].goalId === goalId) {
+        return this._goalHistory[i];
+      }
+    }
+
+    const handle = this._getGoalHandle(goalId);
+    if (handle) {
+      return createGoalRecord(handle.getGoalStatus(), handle.getGoal(), null, null);
+    }
+    // else
+    return null;
+  }
+
   _handleGoal(msg) {
     if (!this._started) {
       return;
@@ -190,7 +234,7 @@ class ActionServer extends EventEmitter {
     for (let i = 0, len = this._goalHandleList.length; i < len; ++i) {
       const handle = this._goalHandleList[i];
       const handleId = handle.id;
-      const handleStamp = handle.getStatus().goal_id.stamp;
+      const handleStamp = handle.getGoalStatus().goal_id.stamp;
 
       if (shouldCancelEverything ||
           cancelId === handleId ||
@@ -222,6 +266,8 @@ class ActionServer extends EventEmitter {
   }
 
   publishResult(status, result) {
+    this._recordResult(status, result);
+
     const msg = this._createMessage('actionResult', { status, result });
     msg.header.stamp = Time.now();
     msg.header.seq = this._getAndIncrementSeq('actionResult');
@@ -238,17 +284,29 @@ class ActionServer extends EventEmitter {
   }
 
   publishStatus() {
+    this._pruneGoalHandles();
+
     const msg = new GoalStatusArrayMsg();
     msg.header.stamp = Time.now();
     msg.header.seq = this._getAndIncrementSeq('status');
 
+    for (let i = 0, len = this._goalHandleList.length; i < len; ++i) {
+      msg.status_list.push(this._goalHandleList[i].getGoalStatus());
+    }
+
+    this._asInterface.publishStatus(msg);
+  }
+
+  /**
+   * Stops tracking goals that reached a terminal state more than statusListTimeout ago
+   */
+  _pruneGoalHandles() {
     let goalsToRemove = new Set();
 
     const now = Time.now();
 
     for (let i = 0, len = this._goalHandleList.length; i < len; ++i) {
       const goalHandle = this._goalHandleList[i];
-      msg.status_list.push(goalHandle.getGoalStatus());
 
       const t = goalHandle._destructionTime;
       if (!Time.isZeroTime(t) &&
@@ -267,8 +325,16 @@ class ActionServer extends EventEmitter {
       }
       return true;
     });
+  }
 
-    this._asInterface.publishStatus(msg);
+  _recordResult(status, result) {
+    const handle = this._getGoalHandle(status.goal_id.id);
+    const goal = handle ? handle.getGoal() : undefined;
+    this._goalHistory.push(createGoalRecord(status, goal, result, Time.now()));
+
+    if (this._goalHistory.length > this._goalHistoryLength) {
+      this._goalHistory.shift();
+    }
   }
 
   _getAndIncrementSeq(type) {
@@ -280,4 +346,41 @@ class ActionServer extends EventEmitter {
   }
 }
 
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+/**
+ * Gets a numeric option that can be given in camelCase or, like
+ * actionlib's parameters, snake_case.
+ */
+function getNumberOption(options, name, rosName, defaultValue) {
+  let value = options[name];
+  if (value === undefined && rosName) {
+    value = options[rosName];
+    name = rosName;
+  }
+
+  if (value === undefined) {
+    return defaultValue;
+  }
+  else if (typeof value !== 'number') {
+    throw new Error(`Invalid value (${value}) for ${name} - expected number`);
+  }
+  // else
+  return value;
+}
+
+function createGoalRecord(status, goal, result, finishedAt) {
+  return {
+    goalId: status.goal_id.id,
+    stamp: status.goal_id.stamp,
+    goal,
+    status: status.status,
+    text: status.text,
+    result,
+    finishedAt
+  };
+}
+
 module.exports = ActionServer;
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * @class AsyncGoalHandle
+ * Promise based view of a goal sent through SimpleActionClient.sendGoalAsync.
+ * Wraps the goal's ClientGoalHandle.
+ *
+ * handle.result resolves to {state, result} when the goal finishes, where state is
+ * a SimpleClientGoalState. handle.feedback() returns an async iterator of the goal's
+ * feedback that ends when the goal finishes. If an AbortSignal is given, aborting it
+ * cancels the goal.
+ */
+class AsyncGoalHandle {
+  constructor(goalHandle, signal = null) {
+    this._goalHandle = goalHandle;
+
+    this._done = false;
+
+    // open feedback iterators
+    this._iterators = [];
+
+    this.result = new Promise((resolve) => {
+      this._resolveResult = resolve;
+    });
+
+    this._signal = signal;
+    this._handleAbort = () => { this.cancel(); };
+    if (signal) {
+      if (signal.aborted) {
+        this.cancel();
+      }
+      else {
+        signal.addEventListener('abort', this._handleAbort);
+      }
+    }
+  }
+
+  /**
+   * @return {string} the id of the goal
+   */
+  getGoalId() {
+    return this._goalHandle.getGoalId();
+  }
+
+  isDone() {
+    return this._done;
+  }
+
+  /**
+   * Cancels the goal
+   * @return {Promise} the result promise
+   */
+  cancel() {
+    if (!this._done) {
+      this._goalHandle.cancel();
+    }
+    return this.result;
+  }
+
+  /**
+   * Creates an async iterator over feedback for this goal, starting with feedback that
+   * arrives after this is called. Feedback that arrives between calls to next() is buffered.
+   *   e.g.
+   *     for await (const feedback of handle.feedback()) { ... }
+   * @return {Object} async iterator
+   */
+  feedback() {
+    const iterator = new FeedbackIterator(() => {
+      const index = this._iterators.indexOf(iterator);
+      if (index !== -1) {
+        this._iterators.splice(index, 1);
+      }
+    });
+
+    if (this._done) {
+      iterator.end();
+    }
+    else {
+      this._iterators.push(iterator);
+    }
+
+    return iterator;
+  }
+
+  _handleFeedback(feedback) {
+    this._iterators.forEach((iterator) => {
+      iterator.push(feedback);
+    });
+  }
+
+  _finish(state, result) {
+    if (this._done) {
+      return;
+    }
+    // else
+    this._done = true;
+
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._handleAbort);
+      this._signal = null;
+    }
+
+    this._iterators.forEach((iterator) => {
+      iterator.end();
+    });
+    this._iterators = [];
+
+    this._resolveResult({state, result});
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+class FeedbackIterator {
+  constructor(onReturn) {
+    this._onReturn = onReturn;
+
+    // feedback that hasn't been asked for yet
+    this._buffer = [];
+
+    // resolve functions from calls to next() waiting on feedback
+    this._waiting = [];
+
+    this._ended = false;
+
+    if (typeof Symbol.asyncIterator === 'symbol') {
+      this[Symbol.asyncIterator] = () => this;
+    }
+  }
+
+  next() {
+    if (this._buffer.length > 0) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false });
+    }
+    else if (this._ended) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    // else
+    return new Promise((resolve) => {
+      this._waiting.push(resolve);
+    });
+  }
+
+  /**
+   * Called when a for await loop exits early
+   */
+  return() {
+    this._buffer = [];
+    this.end();
+    this._onReturn();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  push(feedback) {
+    if (this._ended) {
+      return;
+    }
+    else if (this._waiting.length > 0) {
+      this._waiting.shift()({ value: feedback, done: false });
+    }
+    else {
+      this._buffer.push(feedback);
+    }
+  }
+
+  end() {
+    this._ended = true;
+    this._waiting.forEach((resolve) => {
+      resolve({ value: undefined, done: true });
+    });
+    this._waiting = [];
+  }
+}
+
+module.exports = AsyncGoalHandle;
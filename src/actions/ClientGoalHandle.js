@@ -53,6 +53,10 @@ class ClientGoalHandle extends EventEmitter {
     return this._goalStatus;
   }
 
+  getGoalId() {
+    return this._goal.goal_id.id;
+  }
+
   resend() {
     if (!this._active) {
       log.error('Trying to resend on an inactive ClientGoalHandle!');
@@ -135,6 +139,22 @@ class ClientGoalHandle extends EventEmitter {
     return !this._active;
   }
 
+  /**
+   * Moves the goal to the DONE state with a terminal status of LOST, e.g. because
+   * the action server went away.
+   * @param [text] {string} reason the goal was lost
+   */
+  markLost(text = '') {
+    if (this._state === CommState.DONE) {
+      return;
+    }
+    // else
+    log.warn('Transitioning goal %s to LOST', this.getGoalId());
+    this._goalStatus = Object.assign({ goal_id: this._goal.goal_id }, this._goalStatus,
+      { status: GoalStatuses.LOST, text });
+    this._transition(CommState.DONE);
+  }
+
   updateFeedback(feedback) {
     this.emit('feedback', feedback);
   }
@@ -181,9 +201,7 @@ class ClientGoalHandle extends EventEmitter {
           this._state !== CommState.WAITING_FOR_RESULT &&
           this._state !== CommState.DONE)
       {
-        log.warn('Transitioning goal to LOST');
-        this._goalStatus.status === GoalStatuses.LOST;
-        this._transition(CommState.DONE);
+        this.markLost('Goal was not included in the status from the action server');
       }
       return;
     }
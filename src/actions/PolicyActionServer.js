@@ -0,0 +1,265 @@
+'use strict';
+
+const ActionServer = require('./ActionServer.js');
+const Ultron = require('ultron');
+const EventEmitter = require('events');
+
+const log = require('../lib/Logging.js').getLogger('actionlib_nodejs');
+const msgUtils = require('../utils/message_utils.js');
+const ThisNode = require('../lib/ThisNode.js');
+
+let GoalStatuses = null;
+
+const GoalPolicy = {
+  // wait for a free slot, in the order goals arrived
+  QUEUE: 'queue',
+  // reject goals while every slot is busy
+  REJECT: 'reject',
+  // preempt the oldest running goal
+  PREEMPT: 'preempt'
+};
+
+/**
+ * @class PolicyActionServer
+ * Runs goals with an async executeCallback, scheduling them according to a policy.
+ * Up to maxConcurrency goals run at once. When every slot is busy, new goals are
+ * queued (up to maxQueueLength), rejected, or preempt the oldest running goal.
+ *
+ * executeCallback(goal, {signal, publishFeedback, goalHandle}) should return a Promise.
+ * The AbortSignal is aborted when the goal is cancelled or preempted. The goal is
+ * set to succeeded with the resolved result, aborted if the Promise rejects,
+ * or preempted if the signal was aborted. On shutdown, queued goals are canceled
+ * and running goals are aborted.
+ */
+class PolicyActionServer extends EventEmitter {
+  constructor(options) {
+    super();
+
+    if (typeof AbortController === 'undefined') {
+      throw new Error('PolicyActionServer requires AbortController, which is available in Node.js 15 and later');
+    }
+
+    if (GoalStatuses === null) {
+      GoalStatuses = msgUtils.requireMsgPackage('actionlib_msgs').msg.GoalStatus.Constants;
+    }
+
+    this._policy = options.policy || GoalPolicy.QUEUE;
+    if (Object.keys(GoalPolicy).every((key) => GoalPolicy[key] !== this._policy)) {
+      throw new Error(`Invalid goal policy ${this._policy}`);
+    }
+
+    this._maxConcurrency = Math.max(options.maxConcurrency || 1, 1);
+
+    // <= 0 for no limit
+    this._maxQueueLength = options.maxQueueLength || 0;
+
+    if (typeof options.executeCallback !== 'function') {
+      throw new Error('PolicyActionServer requires an executeCallback');
+    }
+    this._executeCallback = options.executeCallback;
+
+    this._as = new ActionServer(options);
+
+    // goals waiting to run
+    this._queue = [];
+
+    // {goalHandle, controller} for each running goal, oldest first
+    this._running = [];
+
+    this._shutdown = false;
+    this._ultron = new Ultron(ThisNode);
+  }
+
+  start() {
+    this._as.start();
+
+    this._as.on('goal', this._handleGoal.bind(this));
+    this._as.on('cancel', this._handleCancel.bind(this));
+
+    this._ultron.once('shutdown', () => { this.shutdown(); });
+  }
+
+  shutdown() {
+    if (!this._shutdown) {
+      this._shutdown = true;
+      this.removeAllListeners();
+
+      // let clients know we won't finish their goals. Status changes from the
+      // aborted executions are ignored now that we're shutdown.
+      this._queue.forEach((goalHandle) => {
+        goalHandle.setCanceled(this._createResult(),
+          'This goal was canceled because the action server shut down');
+      });
+      this._queue = [];
+
+      this._running.forEach((execution) => {
+        execution.goalHandle.setAborted(this._createResult(),
+          'This goal was aborted because the action server shut down');
+        execution.controller.abort();
+      });
+      this._running = [];
+
+      this._ultron.destroy();
+      this._ultron = null;
+
+      return this._as.shutdown();
+    }
+    // else
+    return Promise.resolve();
+  }
+
+  getPolicy() {
+    return this._policy;
+  }
+
+  /**
+   * @return {Array.<GoalHandle>} goals that are running, oldest first
+   */
+  getRunningGoals() {
+    return this._running.map((execution) => execution.goalHandle);
+  }
+
+  /**
+   * @return {Array.<GoalHandle>} goals waiting to run, in the order they'll be run
+   */
+  getQueuedGoals() {
+    return this._queue.slice();
+  }
+
+  _handleGoal(goalHandle) {
+    if (this._running.length < this._maxConcurrency) {
+      this._execute(goalHandle);
+      return;
+    }
+    // else
+    switch (this._policy) {
+      case GoalPolicy.QUEUE:
+        if (this._maxQueueLength > 0 && this._queue.length >= this._maxQueueLength) {
+          this._reject(goalHandle, 'This goal was rejected because the goal queue is full');
+        }
+        else {
+          this._queue.push(goalHandle);
+          this.emit('queued', goalHandle);
+        }
+        break;
+      case GoalPolicy.REJECT:
+        this._reject(goalHandle, 'This goal was rejected because the action server is busy');
+        break;
+      case GoalPolicy.PREEMPT:
+      {
+        // goals still waiting on a preempted goal are preempted too
+        this._queue.forEach((queuedGoal) => {
+          queuedGoal.setCanceled(this._createResult(),
+            'This goal was canceled because another goal was received by the action server');
+        });
+        this._queue = [goalHandle];
+
+        // preempt the oldest running goal, unless one is already stopping to make room
+        const isStopping = (execution) => execution.controller.signal.aborted;
+        if (!this._running.some(isStopping)) {
+          const execution = this._running.find((execution) => !isStopping(execution));
+          if (execution) {
+            execution.controller.abort();
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  _handleCancel(goalHandle) {
+    const index = this._queue.indexOf(goalHandle);
+    if (index !== -1) {
+      this._queue.splice(index, 1);
+      goalHandle.setCanceled(this._createResult());
+      return;
+    }
+    // else
+    const execution = this._running.find((execution) => execution.goalHandle === goalHandle);
+    if (execution) {
+      execution.controller.abort();
+    }
+  }
+
+  _reject(goalHandle, text) {
+    log.debug('Rejecting goal %s: %s', goalHandle.id, text);
+    goalHandle.setRejected(this._createResult(), text);
+  }
+
+  _execute(goalHandle) {
+    const controller = new AbortController();
+    const execution = { goalHandle, controller };
+    this._running.push(execution);
+
+    goalHandle.setAccepted('This goal has been accepted by the action server');
+
+    const isActive = () => {
+      if (this._shutdown) {
+        return false;
+      }
+      // else
+      const status = goalHandle.getStatusId();
+      return status === GoalStatuses.ACTIVE || status === GoalStatuses.PREEMPTING;
+    };
+
+    const publishFeedback = (feedback) => {
+      if (isActive()) {
+        goalHandle.publishFeedback(feedback);
+      }
+    };
+
+    new Promise((resolve) => {
+      resolve(this._executeCallback(goalHandle.getGoal(),
+        { signal: controller.signal, publishFeedback, goalHandle }));
+    })
+    .then((result) => {
+      if (!isActive()) {
+        return;
+      }
+      else if (controller.signal.aborted) {
+        goalHandle.setCanceled(this._createResult(result));
+      }
+      else {
+        goalHandle.setSucceeded(this._createResult(result));
+      }
+    },
+    (err) => {
+      if (!isActive()) {
+        return;
+      }
+      // else
+      const text = err instanceof Error ? err.message : String(err);
+      if (controller.signal.aborted) {
+        goalHandle.setCanceled(this._createResult(), text);
+      }
+      else {
+        log.warn('executeCallback failed: %s', text);
+        goalHandle.setAborted(this._createResult(), text);
+      }
+    })
+    .catch((err) => {
+      log.error('Error setting goal %s status: %s', goalHandle.id, err);
+    })
+    .then(() => {
+      const index = this._running.indexOf(execution);
+      if (index !== -1) {
+        this._running.splice(index, 1);
+      }
+      this._executeNextGoal();
+    });
+  }
+
+  _executeNextGoal() {
+    if (!this._shutdown && this._queue.length > 0 && this._running.length < this._maxConcurrency) {
+      this._execute(this._queue.shift());
+    }
+  }
+
+  _createResult(result) {
+    return this._as._createMessage('result', result);
+  }
+}
+
+PolicyActionServer.GoalPolicy = GoalPolicy;
+
+module.exports = PolicyActionServer;
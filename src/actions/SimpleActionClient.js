@@ -21,6 +21,7 @@ const EventEmitter = require('events');
 const Ultron = require('ultron');
 
 const ActionClient = require('./ActionClient.js');
+const AsyncGoalHandle = require('./AsyncGoalHandle.js');
 const { CommState, SimpleGoalState, SimpleClientGoalState } = require('./ClientStates.js');
 const Time = require('../lib/Time.js');
 const msgUtils = require('../utils/message_utils.js');
@@ -35,6 +36,8 @@ class SimpleActionClient extends EventEmitter {
     super();
 
     this._ac = new ActionClient(options);
+    this._ac.on('serverLost', (lostGoals, reason) => { this.emit('serverLost', reason); });
+    this._ac.on('serverRestored', () => { this.emit('serverRestored'); });
     this._simpleState = SimpleGoalState.PENDING;
 
     if (GoalStatuses === null) {
@@ -43,6 +46,9 @@ class SimpleActionClient extends EventEmitter {
 
     this._goalHandle = null;
 
+    // handle for the current goal if it was sent with sendGoalAsync
+    this._asyncGoalHandle = null;
+
     this._activeCb = null;
     this._doneCb = null;
     this._feedbackCb = null;
@@ -82,6 +88,12 @@ class SimpleActionClient extends EventEmitter {
       this._goalHandle.reset();
     }
 
+    // we've stopped tracking the last goal
+    if (this._asyncGoalHandle) {
+      this._asyncGoalHandle._finish(SimpleClientGoalState.LOST, null);
+      this._asyncGoalHandle = null;
+    }
+
     this._simpleState = SimpleGoalState.PENDING;
 
     // NOTE: should these automatically be attached to events like we do elsewhere?
@@ -97,6 +109,34 @@ class SimpleActionClient extends EventEmitter {
     this._goalHandle = gh;
   }
 
+  /**
+   * Sends a goal, like sendGoal, and returns an AsyncGoalHandle for it.
+   * handle.result resolves to {state, result} when the goal finishes,
+   * and handle.feedback() iterates over its feedback.
+   *   e.g.
+   *     const handle = client.sendGoalAsync(goal);
+   *     for await (const feedback of handle.feedback()) { ... }
+   *     const {state, result} = await handle.result;
+   * If another goal is sent before this one finishes, we stop tracking this one
+   * and its result resolves with state LOST.
+   * @param goal {Object}
+   * @param [options] {Object}
+   * @param [options.signal] {AbortSignal} cancels the goal when aborted
+   * @return {AsyncGoalHandle}
+   */
+  sendGoalAsync(goal, options = {}) {
+    let handle = null;
+    this.sendGoal(goal,
+      (simpleState, result) => { handle._finish(this.getState(), result); },
+      null,
+      (feedback) => { handle._handleFeedback(feedback); }
+    );
+
+    handle = new AsyncGoalHandle(this._goalHandle, options.signal);
+    this._asyncGoalHandle = handle;
+    return handle;
+  }
+
   sendGoalAndWait(goal, execTimeout, preemptTimeout) {
     this.sendGoal(goal);
 
@@ -323,6 +363,7 @@ class SimpleActionClient extends EventEmitter {
           case SimpleGoalState.PENDING:
           case SimpleGoalState.ACTIVE:
             this._setSimpleState(SimpleGoalState.DONE);
+            this._asyncGoalHandle = null;
             if (this._doneCb) {
               this._doneCb(this._simpleState, this._goalHandle.getResult());
             }
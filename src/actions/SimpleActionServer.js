@@ -29,6 +29,17 @@ const ThisNode = require('../lib/ThisNode.js');
 
 let GoalStatuses = null;
 
+/**
+ * @class SimpleActionServer
+ * Handles one goal at a time. New goals preempt the current goal.
+ *
+ * By default, executeCallback(goal) is called for each goal from a polling loop and
+ * should check isPreemptRequested() and set the goal's terminal status itself.
+ * With the asyncExecute option, executeCallback(goal, {signal, publishFeedback}) is called
+ * as soon as a goal arrives and should return a Promise. The AbortSignal is aborted when the
+ * goal is cancelled or preempted by a new goal. The goal is set to succeeded with the resolved
+ * result, aborted if the Promise rejects, or preempted if the signal was aborted.
+ */
 class SimpleActionServer extends EventEmitter {
   constructor(options) {
     super();
@@ -41,6 +52,14 @@ class SimpleActionServer extends EventEmitter {
 
     this._executeCallback = options.executeCallback;
 
+    this._asyncExecute = !!options.asyncExecute;
+    if (this._asyncExecute && typeof AbortController === 'undefined') {
+      throw new Error('asyncExecute requires AbortController, which is available in Node.js 15 and later');
+    }
+
+    // aborts the goal being executed in asyncExecute mode
+    this._executeController = null;
+
     this._currentGoal = null;
     this._nextGoal = null;
 
@@ -57,7 +76,7 @@ class SimpleActionServer extends EventEmitter {
     this._as.on('goal', this._handleGoal.bind(this));
     this._as.on('cancel', this._handleCancel.bind(this));
 
-    if (this._executeCallback) {
+    if (this._executeCallback && !this._asyncExecute) {
       this._runExecuteLoop();
     }
 
@@ -92,6 +111,11 @@ class SimpleActionServer extends EventEmitter {
       this._nextGoal = null;
       clearTimeout(this._executeLoopTimer);
 
+      if (this._executeController) {
+        this._executeController.abort();
+        this._executeController = null;
+      }
+
       this._ultron.destroy();
       this._ultron = null;
 
@@ -195,6 +219,10 @@ class SimpleActionServer extends EventEmitter {
       }
 
       this.emit('goal');
+
+      if (this._asyncExecute) {
+        this._updateAsyncExecution();
+      }
     }
     else {
       // FIXME: make debug
@@ -206,12 +234,92 @@ class SimpleActionServer extends EventEmitter {
     if (this._currentGoal && this._currentGoal.id === goal.id) {
       this._preemptRequested = true;
       this.emit('preempt');
+
+      if (this._asyncExecute) {
+        this._updateAsyncExecution();
+      }
     }
     else if (this._nextGoal && this._nextGoal.id === goal.id) {
       this._newGoalPreemptRequest = true;
     }
   }
 
+  /**
+   * Aborts the goal being executed if it should be preempted, or starts
+   * executing the next goal if we're idle.
+   */
+  _updateAsyncExecution() {
+    if (this._shutdown) {
+      return;
+    }
+    else if (this._executeController) {
+      if (this._preemptRequested && !this._executeController.signal.aborted) {
+        this._executeController.abort();
+      }
+    }
+    else if (this.isNewGoalAvailable()) {
+      this._executeAsync();
+    }
+  }
+
+  _executeAsync() {
+    const goal = this.acceptNewGoal();
+    const goalHandle = this._currentGoal;
+
+    const controller = new AbortController();
+    this._executeController = controller;
+    // the goal may have been cancelled before we accepted it
+    if (this._preemptRequested) {
+      controller.abort();
+    }
+
+    const publishFeedback = (feedback) => {
+      if (goalHandle === this._currentGoal) {
+        this.publishFeedback(feedback);
+      }
+    };
+
+    const isStillActive = () => goalHandle === this._currentGoal && this.isActive();
+
+    new Promise((resolve) => {
+      resolve(this._executeCallback(goal, { signal: controller.signal, publishFeedback }));
+    })
+    .then((result) => {
+      if (!isStillActive()) {
+        return;
+      }
+      else if (controller.signal.aborted) {
+        this.setPreempted(result);
+      }
+      else {
+        this.setSucceeded(result);
+      }
+    },
+    (err) => {
+      if (!isStillActive()) {
+        return;
+      }
+      // else
+      const text = err instanceof Error ? err.message : String(err);
+      if (controller.signal.aborted) {
+        this.setPreempted(null, text);
+      }
+      else {
+        log.warn('executeCallback failed: %s', text);
+        this.setAborted(null, text);
+      }
+    })
+    .catch((err) => {
+      log.error('Error setting goal %s status: %s', goalHandle.id, err);
+    })
+    .then(() => {
+      if (this._executeController === controller) {
+        this._executeController = null;
+      }
+      this._updateAsyncExecution();
+    });
+  }
+
   _runExecuteLoop(timeoutMs = 100) {
     this._executeLoopTimer = setTimeout(() => {
       if (this._shutdown) {
@@ -31,6 +31,8 @@ const NodeHandle = require('./lib/NodeHandle.js');
 const Logging = require('./lib/Logging.js');
 const ActionClientInterface = require('./lib/ActionClientInterface.js');
 const Time = require('./lib/Time.js');
+const StatisticsLogger = require('./lib/impl/StatisticsLogger.js');
+const RosMaster = require('./master/RosMaster.js');
 const packages = require('./utils/messageGeneration/packages.js');
 
 const ActionServer = require('./actions/ActionServer.js');
@@ -38,8 +40,10 @@ const ActionClient = require('./actions/ActionClient.js');
 const ClientStates = require('./actions/ClientStates.js');
 const SimpleActionClient = require('./actions/SimpleActionClient.js');
 const SimpleActionServer = require('./actions/SimpleActionServer.js');
+const PolicyActionServer = require('./actions/PolicyActionServer.js');
 
 const MsgLoader = require('./utils/messageGeneration/MessageLoader.js');
+const ConversionUtils = require('./utils/conversion_utils.js');
 const RemapUtils = require('./utils/remapping_utils.js');
 const names = require('./lib/Names.js');
 const ThisNode = require('./lib/ThisNode.js');
@@ -66,6 +70,10 @@ let Rosnodejs = {
    * @param {number}    options.timeout time in ms to wait for node to be initialized
    *                                    before timing out. A negative value will retry forever.
    *                                    A value of '0' will try once before stopping. @default -1
+   * @param {object}    options.node options for the ros node
+   * @param {number}    options.node.masterWatchdogMs how often, in ms, to check whether the master
+   *                                    restarted so that we can register with it again.
+   *                                    A value <= 0 disables the check. @default 5000
    * @return {Promise} resolved when connection to master is established
    */
   initNode(nodeName, options) {
@@ -110,8 +118,10 @@ let Rosnodejs = {
     return new Promise((resolve,reject)=>{
       this._loadOnTheFlyMessages(options)
       .then(()=>{return _checkMasterHelper(100, options.timeout);})
+      .then(() => { ThisNode.node.startMasterWatchdog(); })
       .then(Logging.initializeRosOptions.bind(Logging, this, options.logging))
       .then(Time._initializeRosTime.bind(Time, this, options.notime))
+      .then(StatisticsLogger._initializeStatistics.bind(StatisticsLogger, this))
       .then(() => { resolve(this.getNodeHandle()); })
       .catch((err) => {
         log.error('Error during initialization: ' + err);
@@ -125,6 +135,25 @@ let Rosnodejs = {
     ThisNode.node = null;
   },
 
+  /**
+   * Starts a ROS Master and Parameter Server in this process, for use when
+   * roscore isn't available. Nodes in this or other processes can connect to it
+   * through its uri.
+   * @param {object} options
+   * @param {number}    options.port port for the master to listen on. 0 picks an available port. @default 11311
+   * @param {string}    options.host hostname to report in the master uri
+   * @return {Promise} resolved with the RosMaster once it is listening
+   */
+  createMaster(options) {
+    options = options || {};
+
+    netUtils.init(RemapUtils.processRemapping(process.argv.slice(2)));
+
+    const master = new RosMaster(options);
+    return master.listen()
+    .then(() => master);
+  },
+
   shutdown() {
     clearTimeout(pingMasterTimeout);
     return ThisNode.shutdown();
@@ -160,8 +189,8 @@ let Rosnodejs = {
     return Promise.resolve();
   },
 
-  loadPackage(packageName, outputDir=null, verbose=false) {
-    const msgLoader = new MsgLoader(verbose);
+  loadPackage(packageName, outputDir=null, verbose=false, typings=true) {
+    const msgLoader = new MsgLoader(verbose, typings);
     if (!outputDir) {
       outputDir = msgUtils.getTopLevelMessageDirectory();
     }
@@ -174,8 +203,8 @@ let Rosnodejs = {
     });
   },
 
-  loadAllPackages(outputDir=null, verbose=false) {
-    const msgLoader = new MsgLoader(verbose);
+  loadAllPackages(outputDir=null, verbose=false, typings=true) {
+    const msgLoader = new MsgLoader(verbose, typings);
     if (!outputDir) {
       outputDir = msgUtils.getTopLevelMessageDirectory();
     }
@@ -185,6 +214,59 @@ let Rosnodejs = {
       })
   },
 
+  /**
+   * Creates a JSON Schema for a message or service type from its definition, including the
+   * messages it depends on. The schema matches the JSON format of toJSON() and fromJSON().
+   * Registered and pre-generated types are used before searching the ROS_PACKAGE_PATH.
+   * @param type {string} e.g. geometry_msgs/Pose or std_srvs/SetBool
+   * @return {Promise.<Object>}
+   */
+  getJsonSchema(type) {
+    return Promise.resolve().then(() => {
+      const spec = messages.getRegisteredSpec(type);
+      if (spec) {
+        return spec.generateJsonSchema();
+      }
+      // else
+      const msgLoader = new MsgLoader();
+      return msgLoader.createJsonSchema(type);
+    });
+  },
+
+  /**
+   * Registers the messages, services and actions in a directory, so they can be used without
+   * a catkin workspace or ROS_PACKAGE_PATH. Files should be laid out like they are in their
+   * packages, e.g. <directory>/my_msgs/msg/Foo.msg. Messages they use must be in the
+   * directory, already registered or pre-generated.
+   * @param directory {string}
+   * @return {Promise.<Array.<string>>} types that were registered
+   */
+  registerMessageDirectory(directory) {
+    return messages.registerDirectory(directory);
+  },
+
+  /**
+   * Registers a message type from the contents of its .msg file, or from a full definition
+   * including its dependencies like a message class's messageDefinition() returns
+   * @param type {string} e.g. my_msgs/Foo
+   * @param definition {string}
+   * @return {Object} message class
+   */
+  registerMessage(type, definition) {
+    return messages.registerMessageDefinition(type, definition);
+  },
+
+  /**
+   * Registers a service type from the contents of its .srv file.
+   * Messages it uses must already be registered or pre-generated.
+   * @param type {string} e.g. my_msgs/SetFoo
+   * @param definition {string}
+   * @return {Object} service class
+   */
+  registerService(type, definition) {
+    return messages.registerServiceDefinition(type, definition);
+  },
+
   findPackage(packageName) {
     return new Promise((resolve, reject) => {
       packages.findPackage(packageName, (err, dir) => {
@@ -227,6 +309,50 @@ let Rosnodejs = {
     return rtv;
   },
 
+  /**
+   * Converts a message to plain JSON, with time fields as {secs, nsecs} and
+   * uint8[] fields as base64 strings.
+   * @param msg {Object}
+   * @param [type] {string|Object} message type or class, if msg is a plain object
+   * @param [options] {Object} bytes: 'base64' (default) or 'array'
+   * @return {Object}
+   */
+  toJSON(msg, type=null, options={}) {
+    return ConversionUtils.toJSON(msg, type, options);
+  },
+
+  /**
+   * Creates a message from JSON, filling in defaults for missing fields
+   * @param type {string|Object} message type or class, e.g. 'geometry_msgs/Twist'
+   * @param json {Object|string}
+   * @return {Object} message
+   */
+  fromJSON(type, json) {
+    return ConversionUtils.fromJSON(type, json);
+  },
+
+  /**
+   * Formats a message as YAML, the way rostopic echo does
+   * @param msg {Object}
+   * @param [type] {string|Object} message type or class, if msg is a plain object
+   * @param [options] {Object} bytes: 'array' (default) or 'base64'
+   * @return {string}
+   */
+  toYAML(msg, type=null, options={}) {
+    return ConversionUtils.toYAML(msg, type, options);
+  },
+
+  /**
+   * Creates a message from YAML in the formats rostopic pub accepts,
+   * filling in defaults for missing fields
+   * @param type {string|Object} message type or class, e.g. 'geometry_msgs/Twist'
+   * @param yaml {string} e.g. '{linear: {x: 1.0}, angular: {z: 0.5}}'
+   * @return {Object} message
+   */
+  fromYAML(type, yaml) {
+    return ConversionUtils.fromYAML(type, yaml);
+  },
+
   /**
    * @return {NodeHandle} for initialized node
    */
@@ -283,7 +409,9 @@ Rosnodejs.ActionServer = ActionServer;
 Rosnodejs.ActionClient = ActionClient;
 Rosnodejs.SimpleActionServer = SimpleActionServer;
 Rosnodejs.SimpleActionClient = SimpleActionClient;
+Rosnodejs.PolicyActionServer = PolicyActionServer;
 Rosnodejs.SimpleClientGoalState = ClientStates.SimpleClientGoalState;
+Rosnodejs.RosMaster = RosMaster;
 
 module.exports = Rosnodejs;
 
@@ -24,6 +24,17 @@ const GoalIdGenerator = require('../actions/GoalIdGenerator.js');
 let GoalID = null;
 let Header = null;
 
+const MAX_WATCHDOG_INTERVAL_MS = 1000;
+
+/**
+ * @class ActionClientInterface
+ * Publishers and subscribers for talking to an action server.
+ *
+ * If serverTimeoutMs is set, a watchdog emits 'serverLost' when the action server's status
+ * publisher disconnects, or when it hasn't published status for serverTimeoutMs. It starts
+ * watching when the first goal is sent or the first status arrives, whichever comes first.
+ * 'serverRestored' is emitted when status arrives again.
+ */
 class ActionClientInterface extends EventEmitter {
   constructor(options) {
     super();
@@ -71,6 +82,23 @@ class ActionClientInterface extends EventEmitter {
                                    resultOptions);
 
     this._hasStatus = false;
+
+    // time in ms of the last status message
+    this._lastStatusTime = null;
+
+    // time in ms the watchdog started watching the server
+    this._watchStartTime = null;
+
+    this._serverLost = false;
+
+    // <= 0 to disable the watchdog
+    this._serverTimeoutMs = options.serverTimeoutMs || 0;
+    this._watchdogInterval = null;
+    if (this._serverTimeoutMs > 0) {
+      this._watchdogInterval = setInterval(() => {
+        this._checkServer();
+      }, Math.min(this._serverTimeoutMs, MAX_WATCHDOG_INTERVAL_MS));
+    }
   }
 
   getType() {
@@ -99,6 +127,9 @@ class ActionClientInterface extends EventEmitter {
   }
 
   sendGoal(goal) {
+    if (this._watchStartTime === null) {
+      this._watchStartTime = Date.now();
+    }
     this._goalPub.publish(goal);
   }
 
@@ -135,6 +166,25 @@ class ActionClientInterface extends EventEmitter {
     return GoalIdGenerator(now);
   }
 
+  /**
+   * @return {boolean} if the watchdog decided the action server was lost
+   */
+  isServerLost() {
+    return this._serverLost;
+  }
+
+  /**
+   * @return {number|null} time in ms since the last status message from the action server,
+   *   or null if we haven't gotten one
+   */
+  getTimeSinceLastStatus() {
+    if (this._lastStatusTime === null) {
+      return null;
+    }
+    // else
+    return Date.now() - this._lastStatusTime;
+  }
+
   isServerConnected() {
     return this._hasStatus &&
       this._goalPub.getNumSubscribers() > 0 &&
@@ -153,6 +203,9 @@ class ActionClientInterface extends EventEmitter {
   shutdown() {
     this.removeAllListeners();
 
+    clearInterval(this._watchdogInterval);
+    this._watchdogInterval = null;
+
     return Promise.all([
       this._goalPub.shutdown(),
       this._cancelPub.shutdown(),
@@ -164,9 +217,33 @@ class ActionClientInterface extends EventEmitter {
 
   _handleStatus(msg) {
     this._hasStatus = true;
+    this._lastStatusTime = Date.now();
+    if (this._watchStartTime === null) {
+      this._watchStartTime = this._lastStatusTime;
+    }
+
+    if (this._serverLost) {
+      this._serverLost = false;
+      this.emit('serverRestored');
+    }
+
     this.emit('status', msg);
   }
 
+  _checkServer() {
+    // nothing to watch until we've sent a goal or heard from the server
+    if (this._watchStartTime === null || this._serverLost) {
+      return;
+    }
+    // else
+    const disconnected = this._hasStatus && this._statusSub.getNumPublishers() === 0;
+    const lastHeardTime = this._hasStatus ? this._lastStatusTime : this._watchStartTime;
+    if (disconnected || Date.now() - lastHeardTime > this._serverTimeoutMs) {
+      this._serverLost = true;
+      this.emit('serverLost', disconnected ? 'disconnected' : 'timeout');
+    }
+  }
+
   _handleFeedback(msg) {
     this.emit('feedback', msg);
   }
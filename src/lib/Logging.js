@@ -45,6 +45,10 @@ const KNOWN_LOGS = [
     name: `${DEFAULT_LOGGER_NAME}.params`,
     level: 'warn'
   },
+  {
+    name: `${DEFAULT_LOGGER_NAME}.master`,
+    level: 'warn'
+  },
   {
     name: `${DEFAULT_LOGGER_NAME}.spinner`,
     level: 'error'
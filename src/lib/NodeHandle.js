@@ -68,6 +68,12 @@ class NodeHandle {
    * @param [options.tpcNoDelay] {boolean} set TCP no delay option on Socket
    * @param [options.queueSize] {number} number of messages to queue when publishing
    * @param [options.throttleMs] {number} milliseconds to throttle when publishing
+   * @param [options.zeroCopy] {boolean} hand published messages directly to subscribers in this
+   *                                     node instead of a frozen copy. Messages must not be modified
+   *                                     after they're published.
+   * @param [options.validate] {boolean} check messages against the message spec when they're
+   *                                     published. publish() throws an error with code
+   *                                     E_ROSMSGINVALID listing each bad field.
    * @return {Publisher}
    */
   advertise(topic, type, options={}) {
@@ -99,12 +105,19 @@ class NodeHandle {
   /**
    * Creates a ros subscriber with the provided options
    * @param topic {string}
-   * @param type {string|Object} string representing message type or instance
+   * @param type {string|Object} string representing message type or instance. Types without
+   *                             a local definition are loaded from the publishers' definitions.
    * @param callback {function} function to call when message is received
    * @param [options] {object}
    * @param [options.queueSize] {number} number of messages to queue when subscribing
    * @param [options.throttleMs] {number} milliseconds to throttle when subscribing
-   * @param [options.transports] {string[]} transports list
+   * @param [options.transports] {string[]} transports list. Subscribers requesting only UDPROS
+   *                                         will fall back to TCPROS for publishers that don't support it.
+   * @param [options.dgramSize] {number} max datagram size to request for UDPROS connections
+   * @param [options.reassemblyTimeoutMs] {number} milliseconds to wait for all the datagrams of
+   *                                               a UDPROS message before counting it as lost
+   * @param [options.intraProcess] {boolean} receive messages directly from publishers in this node,
+   *                                         skipping serialization @default false
    * @return {Subscriber}
    */
   subscribe(topic, type, callback, options={}) {
@@ -119,7 +132,16 @@ class NodeHandle {
       options.topic = this.resolveName(topic);
       if (typeof type === 'string' || type instanceof String) {
         options.type = type;
-        options.typeClass = messageUtils.getHandlerForMsgType(type, true);
+        try {
+          options.typeClass = messageUtils.getHandlerForMsgType(type, true);
+        }
+        catch (err) {
+          if (err.code !== 'E_ROSMSGNOTFOUND') {
+            throw err;
+          }
+          // else the subscriber will load the definition from its publishers
+          options.typeClass = null;
+        }
       }
       else {
         options.typeClass = type;
@@ -154,9 +176,20 @@ class NodeHandle {
    *       response.data = !request.data;
    *       return true;
    *     }
+   *   or return a Promise resolving to the response. Errors thrown by the callback or
+   *   rejecting its Promise are sent to the client as a failed call.
+   * @param [options] {Object}
+   * @param [options.maxConcurrency] {number} number of requests to handle at once. Others wait
+   *                                         until one completes. <= 0 for no limit @default 0
+   * @param [options.timeout] {number} time in ms to handle each request before sending a failure
+   *                                  response. <= 0 to wait forever
+   * @param [options.interceptors] {Array.<function>} interceptors for requests to this service,
+   *                                                 run after the node's interceptors
+   * @param [options.validate] {boolean} check responses against the service spec before they're
+   *                                     sent. Invalid responses are sent as a failed call.
    * @return {ServiceServer}
    */
-  advertiseService(service, type, callback) {
+  advertiseService(service, type, callback, options={}) {
     if (!service) {
       throw new Error(`Unable to advertise unnamed service - got ${service}`);
     }
@@ -165,7 +198,7 @@ class NodeHandle {
     }
 
     try {
-      let options = { service: this.resolveName(service) };
+      options = Object.assign({}, options, { service: this.resolveName(service) });
       if (typeof type === 'string' || type instanceof String) {
         options.type = type;
         options.typeClass = messageUtils.getHandlerForSrvType(type, true);
@@ -188,6 +221,23 @@ class NodeHandle {
    * @param service {string}
    * @param type {string|Object} string representing service type or instance
    * @param options {Object} extra options to pass to service client
+   * @param [options.persist] {boolean} keep the connection to the service open between calls
+   * @param [options.queueLength] {number} maximum number of calls to queue. Older calls are rejected.
+   * @param [options.resolve] {boolean} resolve requests before sending them
+   * @param [options.timeout] {number} default time in ms to wait for each call. <= 0 to wait forever
+   * @param [options.maxConcurrency] {number} number of calls to have in progress at once, each on
+   *                                         its own connection to the service. @default 1
+   * @param [options.interceptors] {Array.<function>} interceptors for calls from this client,
+   *                                                 run after the node's interceptors
+   * @param [options.idempotent] {boolean} if calls can be sent again when the connection is lost
+   *                                       during a call. Can be overridden per call.
+   * @param [options.reconnect] {boolean|Object} retry calls that fail because the connection to the
+   *                                             service was lost, and reconnect persistent clients
+   *                                             when their connection closes. Takes
+   *                                             {maxRetries, delayMs, maxDelayMs, backoffFactor}
+   * @param [options.validate] {boolean} check requests against the service spec before they're
+   *                                     sent. Calls with invalid requests are rejected with an
+   *                                     error with code E_ROSMSGINVALID.
    * @return {ServiceClient}
    */
   serviceClient(service, type, options={}) {
@@ -216,6 +266,59 @@ class NodeHandle {
     }
   }
 
+  /**
+   * Adds an interceptor for requests to every service server in this node.
+   * Interceptors are called as interceptor(context, next), where context has the
+   * service, type, request, connection header and callerId of the request. Calling next()
+   * runs the rest of the chain and returns a Promise of the response. Interceptors
+   * should return a Promise of the response, or throw to fail the request.
+   *   e.g.
+   *     nh.addServiceServerInterceptor((context, next) => {
+   *       if (allowedCallers.indexOf(context.callerId) === -1) {
+   *         throw new Error('Not allowed');
+   *       }
+   *       return next();
+   *     });
+   * @param interceptor {function}
+   */
+  addServiceServerInterceptor(interceptor) {
+    this._node.addServiceServerInterceptor(interceptor);
+  }
+
+  /**
+   * @param interceptor {function} interceptor added with addServiceServerInterceptor
+   */
+  removeServiceServerInterceptor(interceptor) {
+    this._node.removeServiceServerInterceptor(interceptor);
+  }
+
+  /**
+   * Adds an interceptor for calls from every service client in this node.
+   * Interceptors are called as interceptor(context, next), where context has the
+   * service, type, request and call options. Calling next() makes the call with
+   * the context's request and options and returns a Promise of the response. It can
+   * be called again, e.g. to retry failed calls.
+   *   e.g.
+   *     nh.addServiceClientInterceptor((context, next) => {
+   *       const start = Date.now();
+   *       return next().then((resp) => {
+   *         recordLatency(context.service, Date.now() - start);
+   *         return resp;
+   *       });
+   *     });
+   * @param interceptor {function}
+   */
+  addServiceClientInterceptor(interceptor) {
+    this._node.addServiceClientInterceptor(interceptor);
+  }
+
+  /**
+   * @param interceptor {function} interceptor added with addServiceClientInterceptor
+   */
+  removeServiceClientInterceptor(interceptor) {
+    this._node.removeServiceClientInterceptor(interceptor);
+  }
+
   /**
    * @deprecated - use actionClientInterface
    */
@@ -400,10 +503,82 @@ class NodeHandle {
     return this._node.getParam(this.resolveName(key));
   }
 
+  /**
+   * Get a parameter, using a locally cached value when possible. The first
+   * call for a key subscribes to it on the param server and later calls are
+   * served from memory, with the cache kept current by the master's updates.
+   * @param key {string} parameter to get
+   * @return {Promise} resolved with the parameter value
+   */
+  getParamCached(key) {
+    return this._node.getParamCached(this.resolveName(key));
+  }
+
   hasParam(key) {
     return this._node.hasParam(this.resolveName(key));
   }
 
+  /**
+   * Search up the namespace hierarchy for a parameter, starting in this
+   * handle's namespace. e.g. searching for 'robot_description' from
+   * '/a/b' will check '/a/b/robot_description', '/a/robot_description'
+   * and then '/robot_description'.
+   * @param key {string} parameter to search for
+   * @return {Promise} resolved with the full name of the closest parameter.
+   *                   Rejected if no parameter was found.
+   */
+  searchParam(key) {
+    let namespace = this.resolveName('');
+    if (namespace.length === 0) {
+      namespace = names.resolve('');
+    }
+
+    if (key.startsWith('/')) {
+      key = this.resolveName(key);
+    }
+    else {
+      names.validate(key, true);
+      if (key.startsWith('~')) {
+        throw new Error('Using ~ names with NodeHandle methods is not allowed');
+      }
+    }
+
+    return this._node.searchParam(namespace, key);
+  }
+
+  /**
+   * Get the names of all parameters on the parameter server
+   * @return {Promise.<Array.<string>>}
+   */
+  getParamNames() {
+    return this._node.getParamNames();
+  }
+
+  /**
+   * Subscribe to changes of a parameter on the parameter server
+   * @param key {string} parameter to subscribe to
+   * @param callback {function} function to call when the parameter changes
+   *   e.g.
+   *     (value, oldValue) => {
+   *       console.log('gain changed from %j to %j', oldValue, value);
+   *     }
+   * @return {Promise} resolved with the current value of the parameter
+   */
+  subscribeParam(key, callback) {
+    return this._node.subscribeParam(this.resolveName(key), callback);
+  }
+
+  /**
+   * Stop receiving callbacks for this parameter
+   * @param key {string} parameter to unsubscribe from
+   * @param [callback] {function} callback to remove. If not provided,
+   *                              all callbacks for the parameter are removed.
+   * @return {Promise}
+   */
+  unsubscribeParam(key, callback) {
+    return this._node.unsubscribeParam(this.resolveName(key), callback);
+  }
+
   //------------------------------------------------------------------
   // Namespacing
   //------------------------------------------------------------------
@@ -28,8 +28,8 @@ class ParamServerApiClient {
     this._xmlrpcClient = xmlrpcClient;
   }
 
-  _call(method, data, resolve, reject) {
-    this._xmlrpcClient.call(method, data, resolve, reject);
+  _call(method, data, resolve, reject, options) {
+    this._xmlrpcClient.call(method, data, resolve, reject, options);
   }
 
   deleteParam(callerId, key) {
@@ -55,7 +55,7 @@ class ParamServerApiClient {
     });
   }
 
-  getParam(callerId, key) {
+  getParam(callerId, key, options) {
     let data = [
       callerId,
       key
@@ -65,20 +65,52 @@ class ParamServerApiClient {
       this._call('getParam', data, (resp) => {
         // resp[2] is the actual parameter value, and presumably all anyone cares about
         resolve(resp[2]);
-      }, reject);
+      }, reject, options);
     });
   }
 
   searchParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+    let data = [
+      callerId,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('searchParam', data, (resp) => {
+        // resp[2] is the name of the closest matching parameter
+        resolve(resp[2]);
+      }, reject);
+    });
   }
 
-  subscribeParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+  subscribeParam(callerId, callerApi, key, options) {
+    let data = [
+      callerId,
+      callerApi,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('subscribeParam', data, (resp) => {
+        // resp[2] is the current parameter value (an empty dictionary if it isn't set)
+        resolve(resp[2]);
+      }, reject, options);
+    });
   }
 
-  unsubscribeParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+  unsubscribeParam(callerId, callerApi, key, options) {
+    let data = [
+      callerId,
+      callerApi,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('unsubscribeParam', data, (resp) => {
+        // resp[2] is the number of subscriptions removed
+        resolve(resp[2]);
+      }, reject, options);
+    });
   }
 
   hasParam(callerId, key) {
@@ -72,6 +72,19 @@ class Publisher extends EventEmitter {
     return false;
   }
 
+  /**
+   * Get message and byte counts for this publisher's topic and for each
+   * subscriber connection
+   * @returns {Object|null} null if this publisher has been shutdown
+   */
+  getStats() {
+    if (this._impl) {
+      return this._impl.getStats();
+    }
+    // else
+    return null;
+  }
+
   /**
    * Get the numbber of subscribers currently connected to this publisher
    * @returns {number}
@@ -32,15 +32,24 @@ const GlobalSpinner = require('../utils/spinners/GlobalSpinner.js');
 let NetworkUtils = require('../utils/network_utils.js');
 let messageUtils = require('../utils/message_utils.js');
 let tcprosUtils = require('../utils/tcpros_utils.js');
+const paramUtils = require('../utils/param_utils.js');
 let SerializationUtils = require('../utils/serialization_utils.js');
 let DeserializeStream = SerializationUtils.DeserializeStream;
 let Deserialize = SerializationUtils.Deserialize;
 let Serialize = SerializationUtils.Serialize;
 let EventEmitter = require('events');
 let Logging = require('./Logging.js');
+const XmlrpcClient = require('../utils/XmlrpcClient.js');
 const UdprosUtils = require('../utils/udpros_utils.js');
 const UDPSocket = require('dgram');
 
+// how long to hold on to datagrams for a UDPROS connection we haven't set up yet
+const PENDING_UDP_DATAGRAM_TIMEOUT_MS = 1000;
+const MAX_PENDING_UDP_DATAGRAMS = 256;
+
+// how often to check whether the master went away or restarted
+const DEFAULT_MASTER_WATCHDOG_MS = 5000;
+
 /**
  * Create a ros node interface to the master
  * @param name {string} name of the node
@@ -64,6 +73,9 @@ class RosNode extends EventEmitter {
     this._tcprosServer = null;
     this._udprosServer = null;
 
+    // datagrams for UDPROS connections that haven't been set up yet, by connection id
+    this._pendingUdpDatagrams = {};
+
     this._tcprosPort = null;
     this._udprosPort = null;
 
@@ -82,6 +94,23 @@ class RosNode extends EventEmitter {
 
     this._services = {};
 
+    // interceptors run for every service server and client in this node
+    this._serviceServerInterceptors = [];
+    this._serviceClientInterceptors = [];
+
+    this._paramSubscriptions = {};
+
+    // the watchdog gets its own xmlrpc client so that its calls aren't queued
+    // behind registrations that are waiting for the master to come back
+    this._masterWatchdogClient = new XmlrpcClient(
+      NetworkUtils.getAddressAndPortFromUri(this._rosMasterAddress), this._debugLog);
+    this._masterWatchdogApi = new ParamServerApiClient(this._masterWatchdogClient);
+    this._masterWatchdogMs = options.hasOwnProperty('masterWatchdogMs') ?
+      options.masterWatchdogMs : DEFAULT_MASTER_WATCHDOG_MS;
+    this._masterWatchdogTimeout = null;
+    this._masterConnected = true;
+    this._masterRunId = undefined;
+
     this._setupTcprosServer(options.tcprosPort)
       .then(this._setupSlaveApi.bind(this, options.xmlrpcPort));
 
@@ -150,6 +179,30 @@ class RosNode extends EventEmitter {
     return new ServiceClient(options, this);
   }
 
+  addServiceServerInterceptor(interceptor) {
+    this._serviceServerInterceptors.push(interceptor);
+  }
+
+  removeServiceServerInterceptor(interceptor) {
+    this._serviceServerInterceptors = this._serviceServerInterceptors.filter((i) => i !== interceptor);
+  }
+
+  getServiceServerInterceptors() {
+    return this._serviceServerInterceptors;
+  }
+
+  addServiceClientInterceptor(interceptor) {
+    this._serviceClientInterceptors.push(interceptor);
+  }
+
+  removeServiceClientInterceptor(interceptor) {
+    this._serviceClientInterceptors = this._serviceClientInterceptors.filter((i) => i !== interceptor);
+  }
+
+  getServiceClientInterceptors() {
+    return this._serviceClientInterceptors;
+  }
+
   unsubscribe(topic, options) {
     const sub = this._subscribers[topic];
     if (sub) {
@@ -196,6 +249,33 @@ class RosNode extends EventEmitter {
     return this._nodeName;
   }
 
+  /**
+   * Gets our publisher for topic if nodeUri refers to this node
+   * @param nodeUri {string} xmlrpc uri of a node publishing topic
+   * @param topic {string}
+   * @returns {PublisherImpl|null}
+   */
+  getIntraProcessPublisher(nodeUri, topic) {
+    if (nodeUri !== this._getXmlrpcUri()) {
+      return null;
+    }
+    // else
+    const pub = this._publishers[topic];
+    if (!pub || pub.isShutdown()) {
+      return null;
+    }
+    return pub;
+  }
+
+  /**
+   * Get an id for a new topic connection that is unique within this node.
+   * Used as the UDPROS connection id and when reporting bus info and stats.
+   * @returns {number}
+   */
+  nextConnectionId() {
+    return ++this._connections;
+  }
+
 //------------------------------------------------------------------
 // Master API
 //------------------------------------------------------------------
@@ -299,6 +379,34 @@ class RosNode extends EventEmitter {
     return this._masterApi.getSystemState(this._nodeName, options);
   }
 
+  /**
+   * Starts periodically checking on the ROS master. If we lose our connection to it,
+   * or it restarts (its /run_id changes), everything this node has registered with
+   * the master is registered again once it's reachable.
+   * Emits 'masterDisconnected' and 'masterReconnected'.
+   */
+  startMasterWatchdog() {
+    if (this._masterWatchdogMs <= 0 || this._masterWatchdogTimeout !== null) {
+      return;
+    }
+    // else
+    const scheduleCheck = () => {
+      this._masterWatchdogTimeout = setTimeout(() => {
+        this._checkMaster()
+        .then(() => {
+          if (!this.isShutdown()) {
+            scheduleCheck();
+          }
+        });
+      }, this._masterWatchdogMs);
+    };
+    scheduleCheck();
+  }
+
+  isMasterConnected() {
+    return this._masterConnected;
+  }
+
   /** Services currently do not declare their type with the master, so instead
     we probe the service for its headers. Just like in
   https://github.com/ros/ros_comm/blob/6292d54dc14395531bffb2e165f3954fb0ef2c34/tools/rosservice/src/rosservice/__init__.py#L94-L98
@@ -358,6 +466,85 @@ class RosNode extends EventEmitter {
     return 'http://' + NetworkUtils.getHost() + ':' + this._xmlrpcPort;
   }
 
+  _checkMaster() {
+    return this._getMasterRunId()
+    .then((runId) => {
+      if (this.isShutdown()) {
+        return;
+      }
+      // else
+      const restarted = this._masterRunId !== undefined && runId !== this._masterRunId;
+      this._masterRunId = runId;
+      if (restarted && this._masterConnected) {
+        // the master came back before we noticed it was gone
+        this._handleMasterDisconnected('master restarted');
+      }
+
+      if (!this._masterConnected) {
+        this._masterConnected = true;
+        this._log.warn('Reconnected to ROS master at %s - registering again', this._rosMasterAddress);
+        // don't wait on this - registration calls retry until they get through
+        // and we want to keep watching the master in the meantime
+        this._reregister()
+        .then(() => {
+          this.emit('masterReconnected');
+        });
+      }
+    },
+    (err) => {
+      if (!this.isShutdown() && this._masterConnected) {
+        this._handleMasterDisconnected(err.message);
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise} resolved with the master's run id, or null if it doesn't have one.
+   *                    Rejected if the master is unreachable.
+   */
+  _getMasterRunId() {
+    return this._masterWatchdogApi.getParam(this._nodeName, '/run_id', { maxAttempts: 1 })
+    .catch((err) => {
+      if (err.statusCode !== undefined || !err.code) {
+        // the master responded, it just didn't give us a run id
+        return null;
+      }
+      // else
+      throw err;
+    });
+  }
+
+  _handleMasterDisconnected(reason) {
+    this._log.warn('Lost connection to ROS master at %s: %s', this._rosMasterAddress, reason);
+    this._masterConnected = false;
+    this.emit('masterDisconnected');
+  }
+
+  /**
+   * Registers every publisher, subscriber, service and param subscription with the master again
+   * @returns {Promise}
+   */
+  _reregister() {
+    const promises = [];
+    [this._publishers, this._subscribers, this._services].forEach((handles) => {
+      Object.keys(handles).forEach((name) => {
+        promises.push(handles[name].reregister());
+      });
+    });
+
+    Object.keys(this._paramSubscriptions).forEach((key) => {
+      promises.push(this._reregisterParamSubscription(key));
+    });
+
+    return Promise.all(promises)
+    .then(() => {
+      this._log.info('Finished registering with ROS master again');
+    })
+    .catch((err) => {
+      this._log.error('Error registering with ROS master again: %s', err);
+    });
+  }
+
 //------------------------------------------------------------------
 // Parameter Server API
 //------------------------------------------------------------------
@@ -374,9 +561,209 @@ class RosNode extends EventEmitter {
     return this._paramServerApi.getParam(this._nodeName, key);
   }
 
+  /**
+   * Gets a parameter from the local cache. The first read for a key subscribes
+   * to it so that later reads can be served from memory.
+   * @param key {string} resolved parameter name
+   * @return {Promise} resolved with a copy of the parameter value
+   */
+  getParamCached(key) {
+    return this.subscribeParam(key)
+    .then((value) => {
+      const sub = this._paramSubscriptions[paramUtils.cleanKey(key)];
+      if (sub) {
+        sub.cached = true;
+      }
+
+      if (!paramUtils.isEmptyDictionary(value)) {
+        return paramUtils.copyValue(value);
+      }
+      else if (!sub) {
+        return this.getParam(key);
+      }
+      else if (sub.unsetError === null) {
+        return {};
+      }
+      else if (sub.unsetError) {
+        return Promise.reject(sub.unsetError);
+      }
+      // else
+      // the master reports unset parameters as empty dictionaries - check
+      // with it once so that we reject like getParam for missing keys.
+      // Reads that come in while we're checking share the same request.
+      if (!sub.unsetCheck) {
+        const checkedValue = sub.value;
+        sub.unsetCheck = this.getParam(key)
+        .then((value) => {
+          sub.unsetCheck = null;
+          // unless an update came in while we were checking
+          if (sub.value === checkedValue) {
+            sub.unsetError = null;
+          }
+          return value;
+        },
+        (err) => {
+          sub.unsetCheck = null;
+          // only remember the master's answer, not connection errors
+          if (err.statusCode !== undefined && sub.value === checkedValue) {
+            sub.unsetError = err;
+          }
+          throw err;
+        });
+      }
+      return sub.unsetCheck.then((value) => paramUtils.copyValue(value));
+    });
+  }
+
   hasParam(key) {
     return this._paramServerApi.hasParam(this._nodeName, key);
   }
+
+  /**
+   * Asks the master to search for a parameter, starting in namespace
+   * and moving up towards the root namespace.
+   * @param namespace {string} resolved namespace to start searching from
+   * @param key {string} parameter name to search for
+   * @return {Promise} resolved with the full name of the parameter that was found
+   */
+  searchParam(namespace, key) {
+    return this._paramServerApi.searchParam(namespace, key);
+  }
+
+  getParamNames() {
+    return this._paramServerApi.getParamNames(this._nodeName);
+  }
+
+  /**
+   * Subscribes to updates for a parameter from the master. The local value
+   * is kept current through paramUpdate calls, including updates to nested keys.
+   * @param key {string} resolved parameter name
+   * @param [callback] {function} called with (value, oldValue) whenever the parameter changes
+   * @return {Promise} resolved with the current value of the parameter
+   */
+  subscribeParam(key, callback, options) {
+    key = paramUtils.cleanKey(key);
+    let sub = this._paramSubscriptions[key];
+    if (!sub) {
+      sub = {
+        value: undefined,
+        updated: false,
+        cached: false,
+        // for empty dictionaries: undefined until we know whether the param is set,
+        // then null if it is or the error from the master if it isn't
+        unsetError: undefined,
+        // in-flight request to the master to check if an empty dictionary is unset
+        unsetCheck: null,
+        callbacks: [],
+        registered: null
+      };
+      this._paramSubscriptions[key] = sub;
+
+      this._debugLog.info('Subscribing to param %s', key);
+      sub.registered = this._whenReady()
+      .then(() => {
+        return this._paramServerApi.subscribeParam(
+          this._nodeName,
+          this._getXmlrpcUri(),
+          key,
+          options
+        );
+      })
+      .then((value) => {
+        // don't clobber an update that arrived while we were registering
+        if (!sub.updated) {
+          sub.value = value;
+        }
+      })
+      .catch((err) => {
+        if (this._paramSubscriptions[key] === sub) {
+          delete this._paramSubscriptions[key];
+        }
+        throw err;
+      });
+    }
+
+    if (typeof callback === 'function') {
+      sub.callbacks.push(callback);
+    }
+
+    return sub.registered.then(() => sub.value);
+  }
+
+  /**
+   * Removes a callback for a parameter subscription. If no callback is
+   * provided, or no other callbacks remain and the parameter isn't cached
+   * by getParamCached, unsubscribes from the master.
+   * @param key {string} resolved parameter name
+   * @param [callback] {function} callback to remove
+   * @return {Promise}
+   */
+  unsubscribeParam(key, callback, options) {
+    key = paramUtils.cleanKey(key);
+    const sub = this._paramSubscriptions[key];
+    if (!sub) {
+      return Promise.resolve();
+    }
+
+    if (typeof callback === 'function') {
+      const index = sub.callbacks.indexOf(callback);
+      if (index !== -1) {
+        sub.callbacks.splice(index, 1);
+      }
+
+      if (sub.callbacks.length > 0 || sub.cached) {
+        return Promise.resolve();
+      }
+    }
+
+    this._debugLog.info('Unsubscribing from param %s', key);
+    delete this._paramSubscriptions[key];
+    return this._whenReady()
+    .then(() => {
+      return this._paramServerApi.unsubscribeParam(
+        this._nodeName,
+        this._getXmlrpcUri(),
+        key,
+        options
+      );
+    });
+  }
+
+  hasParamSubscription(key) {
+    return this._paramSubscriptions.hasOwnProperty(paramUtils.cleanKey(key));
+  }
+
+  _reregisterParamSubscription(key) {
+    return this._paramServerApi.subscribeParam(this._nodeName, this._getXmlrpcUri(), key)
+    .then((value) => {
+      const sub = this._paramSubscriptions[key];
+      // the new master may not have the same value for the param
+      if (sub && JSON.stringify(value) !== JSON.stringify(sub.value)) {
+        this._updateParamSubscription(key, sub, value);
+      }
+      else if (sub) {
+        // or it may not have the param at all
+        sub.unsetError = undefined;
+      }
+    });
+  }
+
+  _updateParamSubscription(key, sub, newValue) {
+    const oldValue = sub.value;
+    sub.value = newValue;
+    sub.updated = true;
+    // deleted params and empty dictionaries look the same
+    sub.unsetError = undefined;
+
+    sub.callbacks.slice().forEach((cb) => {
+      try {
+        cb(newValue, oldValue);
+      }
+      catch (err) {
+        this._log.error('Error in param update callback for %s: %s', key, err.stack);
+      }
+    });
+  }
 //------------------------------------------------------------------
 // Slave API
 //------------------------------------------------------------------
@@ -527,12 +914,9 @@ class RosNode extends EventEmitter {
 
       const socket = UDPSocket.createSocket('udp4');
       socket.on('error', (err) => {
-        this._log.warn('Subscriber client socket %s on topic %s had error: %s',
-          socket.name, this.getTopic(), err);
+        this._log.warn('UDPROS socket had error: %s', err);
         socket.close();
-        this._disconnectClient(socket.nodeUri);
       });
-      // init empty msg
 
       socket.on('message', (dgramMsg, rinfo) => {
         let header = UdprosUtils.deserializeHeader(dgramMsg)
@@ -542,9 +926,9 @@ class RosNode extends EventEmitter {
         }
         // first dgram message
         const { connectionId } = header
-        let topic = Object.keys(this._subscribers).find(s => this._subscribers[s].getConnectionId() === connectionId)
+        let topic = Object.keys(this._subscribers).find(s => this._subscribers[s].hasUdpConnection(connectionId))
         if(!this._subscribers[topic]){
-          this._log.warn('Unable to find subscriberImpl for connection id: '  + connectionId)
+          this._bufferUdpDatagram(header, dgramMsg);
           return
         }
         this._subscribers[topic].handleMessageChunk(header, dgramMsg)
@@ -573,56 +957,110 @@ class RosNode extends EventEmitter {
     if (!err) {
       let topic = params[1];
       let pub = this._publishers[topic];
-      if (pub) {
-        if(params[2][0][0] === 'TCPROS'){
-          let port = this._tcprosPort;
-          let resp = [
-            1,
-            'Allocated topic connection on port ' + port,
-            [
-              'TCPROS',
-              NetworkUtils.getHost(),
-              port
-            ]
-          ];
-          callback(null, resp);
-        }
-        else {
-          let header = UdprosUtils.parseUdpRosHeader(params[2][0][1])
-          let host = params[2][0][2];
-          let port = params[2][0][3];
-          let typeClass = messageUtils.getHandlerForMsgType(header.type, true)
-
-          let dgramSize = params[2][0][4];
-          let resp = [
-            1,
-            ' ', // this string must not be empty, otherwise the subscriber will not understand the response
-            [
-              'UDPROS',
-              NetworkUtils.getHost(),
-              this._udprosPort,
-              ++this._connections, //connection Id
-              dgramSize,
-              UdprosUtils.createPubHeader(this.getNodeName(), typeClass.md5sum(), typeClass.messageDefinition(), topic, header.type)
-            ]
+      if (!pub) {
+        callback(null, [0, 'Not a publisher of [' + topic + ']', []]);
+        return;
+      }
+      // else
+      // use the first protocol in the subscriber's list that we support
+      const protocol = params[2].find((proto) => {
+        return proto[0] === 'TCPROS' || (proto[0] === 'UDPROS' && this._udprosServer !== null);
+      });
+
+      if (!protocol) {
+        callback(null, [0, 'No supported protocols for topic [' + topic + ']', []]);
+      }
+      else if (protocol[0] === 'TCPROS') {
+        let port = this._tcprosPort;
+        let resp = [
+          1,
+          'Allocated topic connection on port ' + port,
+          [
+            'TCPROS',
+            NetworkUtils.getHost(),
+            port
           ]
-          pub.addUdpSubscriber(resp[2],host,port)
-          callback(null, resp)
-        }
+        ];
+        callback(null, resp);
+      }
+      else {
+        let header = UdprosUtils.parseUdpRosHeader(protocol[1])
+        let host = protocol[2];
+        let port = protocol[3];
+        let typeClass = messageUtils.getHandlerForMsgType(header.type, true)
+
+        let dgramSize = UdprosUtils.negotiateDatagramSize(protocol[4]);
+        let resp = [
+          1,
+          ' ', // this string must not be empty, otherwise the subscriber will not understand the response
+          [
+            'UDPROS',
+            NetworkUtils.getHost(),
+            this._udprosPort,
+            this.nextConnectionId(), //connection Id
+            dgramSize,
+            UdprosUtils.createPubHeader(this.getNodeName(), typeClass.md5sum(), typeClass.messageDefinition(), topic, header.type)
+          ]
+        ]
+        callback(null, resp)
+        pub.addUdpSubscriber(resp[2], host, port, header)
       }
     }
     else {
       this._log.error('Error during topic request: %s, %j', err, params);
+      let topic = params[1];
       let resp = [
         0,
         'Unable to allocate topic connection for ' + topic,
         []
       ];
-      let err = 'Error: Unknown topic ' + topic;
-      callback(err, resp);
+      callback('Error: Unknown topic ' + topic, resp);
+    }
+  }
+
+  /**
+   * Holds on to datagrams for a UDPROS connection we don't know about yet. Publishers
+   * can start sending (e.g. a latched message) before the response to our topic request
+   * reaches us.
+   * @param header {object} deserialized UDPROS header
+   * @param dgramMsg {Buffer}
+   */
+  _bufferUdpDatagram(header, dgramMsg) {
+    const {connectionId} = header;
+    let pending = this._pendingUdpDatagrams[connectionId];
+    if (!pending) {
+      pending = {
+        datagrams: [],
+        timeout: setTimeout(() => {
+          this._log.debug('Dropping datagrams for unknown UDPROS connection %d', connectionId);
+          delete this._pendingUdpDatagrams[connectionId];
+        }, PENDING_UDP_DATAGRAM_TIMEOUT_MS)
+      };
+      this._pendingUdpDatagrams[connectionId] = pending;
+    }
+
+    if (pending.datagrams.length < MAX_PENDING_UDP_DATAGRAMS) {
+      pending.datagrams.push({header, dgramMsg});
+    }
+  }
+
+  /**
+   * Claims any datagrams that arrived for a UDPROS connection before it was set up
+   * @param connectionId {number}
+   * @returns {Array} [{header, dgramMsg}]
+   */
+  takePendingUdpDatagrams(connectionId) {
+    const pending = this._pendingUdpDatagrams[connectionId];
+    if (!pending) {
+      return [];
     }
+    // else
+    clearTimeout(pending.timeout);
+    delete this._pendingUdpDatagrams[connectionId];
+    return pending.datagrams;
   }
 
+
   /**
    * Handle publisher update message from master
    * @param err was there an error
@@ -656,8 +1094,43 @@ class RosNode extends EventEmitter {
     }
   }
 
+  /**
+   * Handle param update message from master
+   * @param err was there an error
+   * @param params {Array} [caller_id, parameter_key, parameter_value]
+   * @param callback function(err, resp) call when done handling message
+   */
   _handleParamUpdate(err, params, callback) {
-    this._log.info('Got param update! Not really doing anything with it...' + params);
+    this._debugLog.info('Param update ' + err + ' params: ' + JSON.stringify(params));
+    const key = paramUtils.cleanKey(params[1]);
+    const value = params[2];
+
+    Object.keys(this._paramSubscriptions).forEach((subKey) => {
+      const sub = this._paramSubscriptions[subKey];
+      let newValue;
+      if (paramUtils.isInNamespace(key, subKey)) {
+        // the subscribed param or one of its children was updated
+        const path = paramUtils.getRelativePath(key, subKey);
+        newValue = paramUtils.setSubValue(sub.value, path, value);
+      }
+      else if (paramUtils.isInNamespace(subKey, key)) {
+        // a dictionary containing the subscribed param was updated
+        const path = paramUtils.getRelativePath(subKey, key);
+        newValue = paramUtils.getSubValue(value, path);
+      }
+      else {
+        return;
+      }
+
+      this._updateParamSubscription(subKey, sub, newValue);
+    });
+
+    const resp = [
+      1,
+      'Handled param update for ' + key,
+      0
+    ];
+    callback(null, resp);
   }
 
   _handleGetPublications(err, params, callback) {
@@ -710,31 +1183,30 @@ class RosNode extends EventEmitter {
 
   _handleGetBusInfo(err, params, callback) {
     const busInfo = [];
-    let count = 0;
     Object.keys(this._subscribers).forEach((topic) => {
       const sub = this._subscribers[topic];
-      sub.getClientUris().forEach((clientUri) => {
+      sub.getStats().connections.forEach((conn) => {
         busInfo.push([
-          ++count,
-          clientUri,
+          conn.connectionId,
+          conn.uri,
           'i',
-          sub.getTransport(),
+          conn.transport,
           sub.getTopic(),
-          true
+          conn.connected
         ]);
       });
     });
 
     Object.keys(this._publishers).forEach((topic) => {
       const pub = this._publishers[topic];
-      pub.getClientUris().forEach((clientUri) => {
+      pub.getStats().connections.forEach((conn) => {
         busInfo.push([
-          ++count,
-          clientUri,
+          conn.connectionId,
+          conn.uri,
           'o',
-          pub.isUdpSubscriber(clientUri) ? 'UDPROS' : 'TCPROS' ,
+          conn.transport,
           pub.getTopic(),
-          true
+          conn.connected
         ]);
       });
     });
@@ -748,7 +1220,38 @@ class RosNode extends EventEmitter {
   }
 
   _handleGetBusStats(err, params, callback) {
-    this._log.error('Not implemented');
+    const publishStats = Object.keys(this._publishers).map((topic) => {
+      const stats = this._publishers[topic].getStats();
+      return [
+        topic,
+        stats.messageDataSent,
+        stats.connections.map((conn) => {
+          return [conn.connectionId, conn.bytesSent, conn.messagesSent, conn.connected];
+        })
+      ];
+    });
+
+    const subscribeStats = Object.keys(this._subscribers).map((topic) => {
+      const stats = this._subscribers[topic].getStats();
+      return [
+        topic,
+        stats.connections.map((conn) => {
+          // messages lost in transit (UDPROS) are reported as drops as well
+          return [conn.connectionId, conn.bytesReceived, conn.messagesReceived,
+                  conn.dropped + conn.lost, conn.connected];
+        })
+      ];
+    });
+
+    // services don't track any stats yet
+    const serviceStats = [];
+
+    const resp = [
+      1,
+      'Returning bus stats for node ' + this._nodeName,
+      [publishStats, subscribeStats, serviceStats]
+    ];
+    callback(null, resp);
   }
 
   /**
@@ -792,6 +1295,9 @@ class RosNode extends EventEmitter {
         this._masterApi.getXmlrpcClient().clear();
       };
 
+      clearTimeout(this._masterWatchdogTimeout);
+      this._masterWatchdogClient.clear();
+
       const shutdownServer = (server, name) => {
         return new Promise((resolve) => {
           const timeout = setTimeout(() => {
@@ -811,6 +1317,11 @@ class RosNode extends EventEmitter {
         });
       };
 
+      Object.keys(this._pendingUdpDatagrams).forEach((connectionId) => {
+        clearTimeout(this._pendingUdpDatagrams[connectionId].timeout);
+      });
+      this._pendingUdpDatagrams = {};
+
       // shutdown servers first so we don't accept any new connections
       // while unregistering
       const promises = [
@@ -840,6 +1351,10 @@ class RosNode extends EventEmitter {
         unregisterPromises.push(this.unadvertiseService(service, { maxAttempts: 1 }));
       });
 
+      Object.keys(this._paramSubscriptions).forEach((key) => {
+        unregisterPromises.push(this.unsubscribeParam(key, null, { maxAttempts: 1 }));
+      });
+
       // catch any errors while unregistering
       // and don't bother external callers about it.
       promises.push(
@@ -26,22 +26,97 @@ let DeserializeStream = SerializationUtils.DeserializeStream;
 let Deserialize = SerializationUtils.Deserialize;
 let Serialize = SerializationUtils.Serialize;
 let TcprosUtils = require('../utils/tcpros_utils.js');
+const InterceptorUtils = require('../utils/interceptor_utils.js');
+const ValidationUtils = require('../utils/validation_utils.js');
 let EventEmitter = require('events');
 let Logging = require('./Logging.js');
 const {REGISTERED, SHUTDOWN} = require('../utils/ClientStates.js');
 
+const DEFAULT_RECONNECT_OPTIONS = {
+  maxRetries: 5,
+  delayMs: 100,
+  maxDelayMs: 5000,
+  backoffFactor: 2
+};
+
+// errors from losing or failing to make a connection to the service
+const CONNECTION_ERRORS = ['EROSAPIERROR', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'E_ROSSERVICEDISCONNECTED'];
+
 /**
  * @class ServiceCall
  * A small utility class for ServiceClient...
- * basically just a struct.
+ * basically just a struct. Makes sure the call is only settled once,
+ * and cleans up its timeout and abort handler when it is.
  */
 class ServiceCall {
   constructor(request, resolve, reject) {
     this.request = request;
-    this.resolve = resolve;
-    this.reject = reject;
+    this._resolve = resolve;
+    this._reject = reject;
 
     this.serviceClient = null;
+
+    this.finished = false;
+
+    // if the call can safely be sent to the service again after losing the connection
+    this.idempotent = false;
+    // if the request has been sent on the current connection
+    this.sent = false;
+    this.retries = 0;
+    this.retryTimeoutId = null;
+
+    this._timeoutId = null;
+    this._signal = null;
+    this._abortHandler = null;
+  }
+
+  resolve(msg) {
+    if (this._finish()) {
+      this._resolve(msg);
+    }
+  }
+
+  reject(err) {
+    if (this._finish()) {
+      this._reject(err);
+    }
+  }
+
+  /**
+   * Calls onCancel with an error if the call hasn't finished within timeout ms,
+   * or if signal is aborted first.
+   * @param timeout {number} time in ms. <= 0 for no timeout
+   * @param [signal] {AbortSignal}
+   * @param onCancel {function}
+   */
+  watch(timeout, signal, onCancel) {
+    if (timeout > 0) {
+      this._timeoutId = setTimeout(() => {
+        onCancel(createError(`Service call timed out after ${timeout}ms`, 'E_ROSSERVICETIMEOUT'));
+      }, timeout);
+    }
+
+    if (signal) {
+      this._signal = signal;
+      this._abortHandler = () => {
+        onCancel(createError('Service call was aborted', 'E_ROSSERVICEABORTED'));
+      };
+      signal.addEventListener('abort', this._abortHandler);
+    }
+  }
+
+  _finish() {
+    if (this.finished) {
+      return false;
+    }
+    // else
+    this.finished = true;
+    clearTimeout(this._timeoutId);
+    clearTimeout(this.retryTimeoutId);
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._abortHandler);
+    }
+    return true;
   }
 }
 
@@ -50,8 +125,16 @@ class ServiceCall {
  * ServiceClient provides an interface to querying a service in ROS.
  * Typically ROS service calls are blocking. This isn't an option for JS though.
  * To accommodate multiple successive service calls, calls are queued along with
- * resolve/reject handlers created for that specific call. When a call completes, the
- * next call in the queue is handled
+ * resolve/reject handlers created for that specific call. Up to maxConcurrency calls
+ * are in progress at once, each on its own connection to the service. When a call
+ * completes, the next call in the queue is handled.
+ * Persistent clients keep a pool of connections open between calls.
+ * With the reconnect option, calls that fail because the connection to the service was lost
+ * are retried with backoff, looking the service up again in case it moved. Requests that
+ * were already sent are only retried for idempotent calls. Persistent clients also reconnect
+ * in the background when their last connection closes.
+ * Calls pass through the node's service client interceptors and then this client's
+ * interceptors before being queued. See InterceptorUtils.runInterceptors.
  */
 class ServiceClient extends EventEmitter {
   constructor(options, nodeHandle) {
@@ -64,9 +147,30 @@ class ServiceClient extends EventEmitter {
 
     this._maxQueueLength = options.queueLength || -1;
 
+    this._timeout = options.timeout || 0;
+
+    this._maxConcurrency = Math.max(options.maxConcurrency || 1, 1);
+
     this._resolve = !!options.resolve;
 
-    this._calling = false;
+    // check requests against the service spec before they're queued
+    this._validate = !!options.validate;
+
+    // run after the node's interceptors
+    this._interceptors = options.interceptors || [];
+
+    this._idempotent = !!options.idempotent;
+
+    this._reconnect = null;
+    if (options.reconnect) {
+      this._reconnect = Object.assign({}, DEFAULT_RECONNECT_OPTIONS,
+        typeof options.reconnect === 'object' ? options.reconnect : {});
+    }
+
+    // number of open connections for persistent clients
+    this._numConnections = 0;
+
+    this._reconnectTimeoutId = null;
 
     this._log = Logging.getLogger('ros.rosnodejs');
 
@@ -77,11 +181,12 @@ class ServiceClient extends EventEmitter {
     }
     this._messageHandler = options.typeClass;
 
-    this._serviceClient = null;
+    // open connections for persistent clients that aren't being used by a call
+    this._idleSockets = [];
 
     this._callQueue = [];
 
-    this._currentCall = null;
+    this._activeCalls = [];
 
     // ServiceClients aren't "registered" anywhere but it's not
     // waiting to get registered either so REGISTERING doesn't make sense...
@@ -101,22 +206,41 @@ class ServiceClient extends EventEmitter {
     return this._persist;
   }
 
+  getMaxConcurrency() {
+    return this._maxConcurrency;
+  }
+
   isCallInProgress() {
-    return this._calling;
+    return this._activeCalls.length > 0;
+  }
+
+  /**
+   * @return {boolean} if this persistent client has an open connection to the service
+   */
+  isConnected() {
+    return this._numConnections > 0;
   }
 
   close() {
-    // don't remove service client if call is in progress
-    if (!this.isCallInProgress()) {
-      this._serviceClient = null;
-    }
+    // connections in use by calls in progress are left alone
+    this._idleSockets.forEach((socket) => {
+      // we're closing this ourselves - don't try to reconnect
+      socket.$closing = true;
+      socket.end();
+    });
+    this._idleSockets = [];
   }
 
   shutdown() {
     this._state = SHUTDOWN;
-    if (this._currentCall) {
-      this._currentCall.reject('SHUTDOWN');
-    }
+    clearTimeout(this._reconnectTimeoutId);
+    // queued calls would never be started
+    this._activeCalls.concat(this._callQueue).forEach((call) => {
+      call.reject('SHUTDOWN');
+    });
+    this._activeCalls = [];
+    this._callQueue = [];
+    this.close();
   }
 
   isShutdown() {
@@ -124,12 +248,56 @@ class ServiceClient extends EventEmitter {
   }
 
   /**
-   * Call the service - if a current call is in progress, nothing will be done
+   * Call the service - if maxConcurrency calls are in progress, this call will be queued.
+   * If the call times out or is aborted, it's rejected with an error with code
+   * E_ROSSERVICETIMEOUT or E_ROSSERVICEABORTED. If it was already in progress,
+   * the connection to the service is dropped.
+   * @param request {object} service request
+   * @param [options] {object}
+   * @param [options.timeout] {number} time in ms to wait for a response, including time spent
+   *                                   waiting in the queue. Defaults to the client's timeout.
+   * @param [options.signal] {AbortSignal} signal to abort the call with
+   * @param [options.idempotent] {boolean} if the request can be sent again when the connection
+   *                                       is lost during the call. Defaults to the client's option.
    * @return {Promise}
    */
-  call(request) {
+  call(request, options={}) {
+    const context = {
+      service: this.getService(),
+      type: this.getType(),
+      request,
+      options
+    };
+
+    const interceptors = this._nodeHandle.getServiceClientInterceptors().concat(this._interceptors);
+    return InterceptorUtils.runInterceptors(interceptors, context, (context) => {
+      return this._queueCall(context.request, context.options);
+    });
+  }
+
+  _queueCall(request, options) {
     return new Promise((resolve, reject) => {
+      const {signal} = options;
+      if (signal && signal.aborted) {
+        reject(createError('Service call was aborted', 'E_ROSSERVICEABORTED'));
+        return;
+      }
+      else if (this._validate) {
+        const RequestClass = this._messageHandler.Request;
+        try {
+          ValidationUtils.validateMessage(RequestClass, this._resolve ? RequestClass.Resolve(request) : request);
+        }
+        catch (err) {
+          reject(err);
+          return;
+        }
+      }
+      // else
       const newCall = new ServiceCall(request, resolve, reject);
+      newCall.idempotent = options.hasOwnProperty('idempotent') ? !!options.idempotent : this._idempotent;
+      const timeout = options.hasOwnProperty('timeout') ? options.timeout : this._timeout;
+      newCall.watch(timeout, signal, this._cancelCall.bind(this, newCall));
+
       this._callQueue.push(newCall);
 
       // shift off old calls if user specified a max queue length
@@ -140,9 +308,9 @@ class ServiceClient extends EventEmitter {
         oldCall.reject(err);
       }
 
-      // if there weren't any other calls in the queue and there's no current call, execute this new call
+      // if there's room for another call in progress, execute this new call
       // otherwise new call will be handled in order when others complete
-      if (this._callQueue.length === 1 && this._currentCall === null) {
+      if (this._activeCalls.length < this._maxConcurrency) {
         this._executeCall();
       }
     });
@@ -158,72 +326,222 @@ class ServiceClient extends EventEmitter {
     }
     // else
     const call = this._callQueue.shift();
-    this._currentCall = call;
-    this._calling = true;
+    this._activeCalls.push(call);
+
+    this._attemptCall(call);
+  }
+
+  _attemptCall(call) {
+    call.sent = false;
 
     this._initiateServiceConnection(call)
     .then(() => {
       this._throwIfShutdown();
+      this._throwIfCancelled(call);
 
       return this._sendRequest(call);
     })
     .then((msg) => {
       this._throwIfShutdown();
+      this._throwIfCancelled(call);
 
-      this._calling = false;
-      this._currentCall = null;
-
-      this._scheduleNextCall();
+      this._finishCall(call, true);
 
       call.resolve(msg);
     })
     .catch((err) => {
-      if (!this.isShutdown()) {
+      // cancelled calls have already been cleaned up
+      if (!this.isShutdown() && this._isActive(call)) {
+        if (this._shouldRetryCall(call, err)) {
+          this._retryCall(call, err);
+          return;
+        }
+        // else
         // this probably just means the service didn't exist yet - don't complain about it
         // We should still reject the call
         if (err.code !== 'EROSAPIERROR') {
           this._log.error(`Error during service ${this.getService()} call ${err}`);
         }
 
-        this._calling = false;
-        this._currentCall = null;
-
-        this._scheduleNextCall();
+        // the service is still happy to take calls on this connection if it just failed
+        this._finishCall(call, err.code === 'E_ROSSERVICEFAILED');
 
         call.reject(err);
       }
     });
   }
 
+  _isActive(call) {
+    return this._activeCalls.indexOf(call) !== -1;
+  }
+
+  _shouldRetryCall(call, err) {
+    if (!this._reconnect || CONNECTION_ERRORS.indexOf(err.code) === -1) {
+      return false;
+    }
+    else if (call.sent && !call.idempotent) {
+      // the service may have already handled the request
+      return false;
+    }
+    // else
+    return this._reconnect.maxRetries < 0 || call.retries < this._reconnect.maxRetries;
+  }
+
+  /**
+   * Drops the call's connection and tries the call again after a delay.
+   * The call stays active while it waits.
+   * @param call {ServiceCall}
+   * @param err {Error} the error that failed the last attempt
+   */
+  _retryCall(call, err) {
+    const delay = this._getRetryDelay(call.retries);
+    ++call.retries;
+    this._log.debug('Retrying service %s call in %dms after error: %s', this.getService(), delay, err.message);
+
+    if (call.serviceClient) {
+      call.serviceClient.destroy();
+      call.serviceClient = null;
+    }
+
+    call.retryTimeoutId = setTimeout(() => {
+      call.retryTimeoutId = null;
+      this._attemptCall(call);
+    }, delay);
+  }
+
+  _getRetryDelay(attempt) {
+    const {delayMs, maxDelayMs, backoffFactor} = this._reconnect;
+    return Math.min(delayMs * Math.pow(backoffFactor, attempt), maxDelayMs);
+  }
+
+  /**
+   * Tries to open a new connection for a persistent client that lost its last one,
+   * backing off between attempts.
+   * @param attempt {number}
+   */
+  _scheduleReconnect(attempt) {
+    if (!this._reconnect || this.isShutdown() || this._reconnectTimeoutId !== null) {
+      return;
+    }
+    else if (this._reconnect.maxRetries >= 0 && attempt >= this._reconnect.maxRetries) {
+      this._log.warn('Service client %s unable to reconnect to service', this.getService());
+      return;
+    }
+    // else
+    this._reconnectTimeoutId = setTimeout(() => {
+      this._reconnectTimeoutId = null;
+      // a call may have connected in the meantime
+      if (this.isShutdown() || this.isConnected()) {
+        return;
+      }
+      // else
+      this._lookupAndConnect(null)
+      .then((socket) => {
+        if (this.isShutdown()) {
+          socket.destroy();
+          return;
+        }
+        // else
+        this._idleSockets.push(socket);
+        this._scheduleNextCall();
+      })
+      .catch((err) => {
+        this._log.debug('Service client %s failed to reconnect: %s', this.getService(), err.message);
+        this._scheduleReconnect(attempt + 1);
+      });
+    }, this._getRetryDelay(attempt));
+  }
+
+  /**
+   * Cleans up after a call in progress and makes room for the next one
+   * @param call {ServiceCall}
+   * @param reuseSocket {boolean} if the call's connection can be used for other calls
+   */
+  _finishCall(call, reuseSocket) {
+    this._activeCalls.splice(this._activeCalls.indexOf(call), 1);
+
+    const socket = call.serviceClient;
+    if (socket) {
+      if (!reuseSocket) {
+        socket.destroy();
+      }
+      else if (this.getPersist() && !socket.destroyed) {
+        this._idleSockets.push(socket);
+      }
+    }
+
+    this._scheduleNextCall();
+  }
+
+  /**
+   * Rejects a call that timed out or was aborted. If the call is in progress, we drop
+   * its connection since we have no way to tell the service to stop, and any
+   * late response would be mistaken for the response to the next call.
+   * @param call {ServiceCall}
+   * @param err {Error}
+   */
+  _cancelCall(call, err) {
+    if (call.finished) {
+      return;
+    }
+    // else
+    this._log.debug('Service %s call cancelled: %s', this.getService(), err.message);
+    const index = this._callQueue.indexOf(call);
+    if (index !== -1) {
+      this._callQueue.splice(index, 1);
+    }
+    else if (this._isActive(call)) {
+      this._finishCall(call, false);
+    }
+
+    call.reject(err);
+  }
+
   _scheduleNextCall() {
     if (this._callQueue.length > 0 && !this.isShutdown()) {
-      process.nextTick(this._executeCall.bind(this));
+      process.nextTick(() => {
+        // another call may have been started since we were scheduled
+        if (this._callQueue.length > 0 && this._activeCalls.length < this._maxConcurrency) {
+          this._executeCall();
+        }
+      });
     }
   }
 
   _initiateServiceConnection(call) {
     // if we haven't connected to the service yet, create the connection
     // this will always be the case unless this is persistent service client
-    // calling for a second time.
-    if (!this.getPersist() || this._serviceClient === null) {
-      return this._nodeHandle.lookupService(this.getService())
-      .then((resp) => {
-        this._throwIfShutdown();
-
-        const serviceUri = resp[2];
-        const serviceHost = NetworkUtils.getAddressAndPortFromUri(serviceUri);
-
-        // connect to the service's tcpros server
-        return this._connectToService(serviceHost, call);
-      });
+    // with a connection that isn't being used by another call.
+    if (!this.getPersist() || this._idleSockets.length === 0) {
+      return this._lookupAndConnect(call);
     }
     else {
       // this is a persistent service that we've already set up
-      call.serviceClient = this._serviceClient;
+      call.serviceClient = this._idleSockets.pop();
       return Promise.resolve();
     }
   }
 
+  /**
+   * @param call {ServiceCall|null} call to make the connection for, if any
+   * @return {Promise} resolves to the connected socket
+   */
+  _lookupAndConnect(call) {
+    return this._nodeHandle.lookupService(this.getService())
+    .then((resp) => {
+      this._throwIfShutdown();
+      if (call) {
+        this._throwIfCancelled(call);
+      }
+
+      const serviceUri = resp[2];
+      const serviceHost = NetworkUtils.getAddressAndPortFromUri(serviceUri);
+
+      // connect to the service's tcpros server
+      return this._connectToService(serviceHost, call);
+    });
+  }
+
   _sendRequest(call) {
     if (this._resolve) {
       call.request = this._messageHandler.Request.Resolve(call.request);
@@ -232,29 +550,31 @@ class ServiceClient extends EventEmitter {
     // serialize request
     const serializedRequest = TcprosUtils.serializeMessage(this._messageHandler.Request, call.request);
 
-    call.serviceClient.write(serializedRequest);
+    const socket = call.serviceClient;
+    socket.write(serializedRequest);
+    call.sent = true;
 
     return new Promise((resolve, reject) => {
       const closeHandler = () => {
         this._log.debug('Service %s client disconnected during call!', this.getService());
-        reject(new Error('Connection was closed'));
+        reject(createError('Connection was closed', 'E_ROSSERVICEDISCONNECTED'));
       }
 
-      call.serviceClient.$deserializeStream.once('message', (msg, success) => {
-        call.serviceClient.removeListener('close', closeHandler);
+      socket.$deserializeStream.once('message', (msg, success) => {
+        socket.removeListener('close', closeHandler);
 
         if (success) {
           resolve(this._messageHandler.Response.deserialize(msg));
         }
         else {
-          const error = new Error(msg);
+          const error = new Error(TcprosUtils.parseServiceError(msg));
           error.code = 'E_ROSSERVICEFAILED';
           reject(error);
         }
       });
 
       // if the connection closes while waiting for a response, reject the request
-      call.serviceClient.on('close', closeHandler);
+      socket.on('close', closeHandler);
     });
   }
 
@@ -262,35 +582,40 @@ class ServiceClient extends EventEmitter {
     return new Promise((resolve, reject) => {
       this._log.debug('Service client %s connecting to %j', this.getService(), serviceHost);
 
-      this._createCallSocketAndHandlers(serviceHost, call, reject);
-
-      this._cacheSocketIfPersistent(call);
-
+      const socket = this._createSocketAndHandlers(serviceHost, call, reject);
 
       let deserializer = new DeserializeStream();
-      call.serviceClient.$deserializeStream = deserializer;
-      call.serviceClient.pipe(deserializer);
+      socket.$deserializeStream = deserializer;
+      socket.pipe(deserializer);
 
       deserializer.once('message', (msg) => {
-        if (!call.serviceClient.$initialized) {
+        if (!socket.$initialized) {
           let header = TcprosUtils.parseTcpRosHeader(msg);
           if (header.error) {
+            socket.destroy();
             reject(new Error(header.error));
             return;
           }
 
           // stream deserialization for service response is different - set that up for next message
           deserializer.setServiceRespDeserialize();
-          call.serviceClient.$initialized = true;
-          resolve();
+          socket.$initialized = true;
+
+          if (this.getPersist()) {
+            socket.$connected = true;
+            if (++this._numConnections === 1) {
+              this.emit('connected');
+            }
+          }
+          resolve(socket);
         }
       });
     });
   }
 
-  _createCallSocketAndHandlers(serviceHost, call, reject) {
+  _createSocketAndHandlers(serviceHost, call, reject) {
     // create a socket connection to the service provider
-    call.serviceClient = net.connect(serviceHost, () => {
+    const socket = net.connect(serviceHost, () => {
 
       // Connection to service's TCPROS server succeeded - generate and send a connection header
       this._log.debug('Sending service client %s connection header', this.getService());
@@ -298,33 +623,42 @@ class ServiceClient extends EventEmitter {
       let serviceClientHeader = TcprosUtils.createServiceClientHeader(this._nodeHandle.getNodeName(),
         this.getService(), this._messageHandler.md5sum(), this.getType(), this.getPersist());
 
-      call.serviceClient.write(serviceClientHeader);
+      socket.write(serviceClientHeader);
     });
+    if (call) {
+      call.serviceClient = socket;
+    }
 
-    // bind a close handling function
-    call.serviceClient.on('close', () => {
-      call.serviceClient = null;
-      // we could probably just always reset this._serviceClient to null here but...
-      if (this.getPersist()) {
-        this._serviceClient = null;
+    // bind a close handling function. The call may have moved on
+    // if this socket was dropped after a timeout.
+    socket.on('close', () => {
+      if (call && call.serviceClient === socket) {
+        call.serviceClient = null;
+      }
+      const index = this._idleSockets.indexOf(socket);
+      if (index !== -1) {
+        this._idleSockets.splice(index, 1);
+      }
+
+      if (socket.$connected) {
+        socket.$connected = false;
+        if (--this._numConnections === 0) {
+          this.emit('disconnected');
+          if (!socket.$closing) {
+            this._scheduleReconnect(0);
+          }
+        }
       }
     });
 
     // bind an error function - any errors connecting to the service
     // will cause the call to be rejected (in this._executeCall)
-    call.serviceClient.on('error', (err) => {
+    socket.on('error', (err) => {
       this._log.info(`Service Client ${this.getService()} error: ${err}`);
       reject(err);
     });
-  }
 
-  _cacheSocketIfPersistent(call) {
-    // If this is a persistent service client, we're here because we haven't connected to this service before.
-    // Cache the service client for later use. Future calls won't need to lookup the service with the ROS master
-    // or deal with the connection header.
-    if (this.getPersist()) {
-      this._serviceClient = call.serviceClient;
-    }
+    return socket;
   }
 
   _throwIfShutdown() {
@@ -332,6 +666,22 @@ class ServiceClient extends EventEmitter {
       throw new Error('SHUTDOWN');
     }
   }
+
+  _throwIfCancelled(call) {
+    if (call.finished) {
+      throw new Error('CANCELLED');
+    }
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function createError(msg, code) {
+  const err = new Error(msg);
+  err.code = code;
+  return err;
 }
 
 module.exports = ServiceClient;
@@ -26,10 +26,25 @@ const DeserializeStream = SerializationUtils.DeserializeStream;
 const Deserialize = SerializationUtils.Deserialize;
 const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../utils/tcpros_utils.js');
+const InterceptorUtils = require('../utils/interceptor_utils.js');
+const ValidationUtils = require('../utils/validation_utils.js');
 const EventEmitter = require('events');
 const Logging = require('./Logging.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../utils/ClientStates.js');
 
+/**
+ * @class ServiceServer
+ * Handles requests from service clients with the provided callback.
+ * The callback may fill in the response and return a boolean (or a Promise resolving to one)
+ * indicating success, or return a Promise resolving to the response. If the callback throws
+ * or its Promise rejects, the error message is sent to the client as a failure.
+ *
+ * Requests beyond maxConcurrency wait in a queue until others complete. Requests that
+ * aren't handled within timeout ms get a failure response.
+ *
+ * Requests pass through the node's service server interceptors and then this service's
+ * interceptors before reaching the callback. See InterceptorUtils.runInterceptors.
+ */
 class ServiceServer extends EventEmitter {
   constructor(options, callback, nodeHandle) {
     super();
@@ -45,6 +60,22 @@ class ServiceServer extends EventEmitter {
 
     this._requestCallback = callback;
 
+    // <= 0 for no limit
+    this._maxConcurrency = options.maxConcurrency || 0;
+
+    this._timeout = options.timeout || 0;
+
+    // check responses against the service spec before they're sent
+    this._validate = !!options.validate;
+
+    // requests waiting for a free slot to be handled
+    this._requestQueue = [];
+
+    this._requestsInProgress = [];
+
+    // run after the node's interceptors
+    this._interceptors = options.interceptors || [];
+
     if (!options.typeClass) {
       throw new Error(`Unable to load service for service ${this.getService()} with type ${this.getType()}`);
     }
@@ -70,7 +101,7 @@ class ServiceServer extends EventEmitter {
   }
 
   isCallInProgress() {
-    return this._calling;
+    return this._requestsInProgress.length > 0;
   }
 
   getServiceUri() {
@@ -108,6 +139,12 @@ class ServiceServer extends EventEmitter {
     });
 
     this._clients = {};
+
+    this._requestQueue.concat(this._requestsInProgress).forEach((request) => {
+      clearTimeout(request.timeoutId);
+    });
+    this._requestQueue = [];
+    this._requestsInProgress = [];
   }
 
   handleClientConnection(client, header) {
@@ -133,6 +170,7 @@ class ServiceServer extends EventEmitter {
     client.write(respHeader);
 
     client.$persist = (header['persistent'] === '1');
+    client.$header = header;
 
     // bind to message handler
     client.$messageHandler = this._handleMessage.bind(this, client);
@@ -149,36 +187,144 @@ class ServiceServer extends EventEmitter {
 
   _handleMessage(client, data) {
     this._log.trace('Service  ' + this.getService() + ' got message! ' + data.toString('hex'));
-    // deserialize msg
-    const req = this._messageHandler.Request.deserialize(data);
-
-    // call service callback
-    let resp = new this._messageHandler.Response();
-    let result = this._requestCallback(req, resp);
-    Promise.resolve(result)
-    .then((success) => {
-      // client should already have been closed, so if we got here just cut out early
-      if (this.isShutdown()) {
-        return;
-      }
 
-      const serializeResponse = TcprosUtils.serializeServiceResponse(
-        this._messageHandler.Response,
-        resp,
-        success
-      );
+    const request = {
+      client,
+      data,
+      timeoutId: null,
+      finished: false
+    };
+
+    if (this._timeout > 0) {
+      request.timeoutId = setTimeout(() => {
+        this._log.warn('Service %s request from %s timed out', this.getService(), client.name);
+        // requests still waiting for a free slot are dropped, but requests being
+        // handled keep their slot until the handler is done
+        const queueIndex = this._requestQueue.indexOf(request);
+        if (queueIndex !== -1) {
+          this._requestQueue.splice(queueIndex, 1);
+        }
+        this._sendResponse(request,
+          TcprosUtils.serializeServiceError(`Service call timed out after ${this._timeout}ms`));
+      }, this._timeout);
+    }
+
+    this._requestQueue.push(request);
+    this._handleQueuedRequests();
+  }
+
+  _handleQueuedRequests() {
+    while (this._requestQueue.length > 0 &&
+           (this._maxConcurrency <= 0 || this._requestsInProgress.length < this._maxConcurrency)) {
+      this._executeRequest(this._requestQueue.shift());
+    }
+  }
 
-      // send service response
-      client.write(serializeResponse);
+  _executeRequest(request) {
+    this._requestsInProgress.push(request);
+
+    const ResponseClass = this._messageHandler.Response;
+    new Promise((resolve) => {
+      const header = request.client.$header;
+      const context = {
+        service: this.getService(),
+        type: this.getType(),
+        request: this._messageHandler.Request.deserialize(request.data),
+        header,
+        callerId: header.callerid
+      };
+
+      const interceptors = this._nodeHandle.getServiceServerInterceptors().concat(this._interceptors);
+      resolve(InterceptorUtils.runInterceptors(interceptors, context, this._callHandler.bind(this)));
+    })
+    .then((response) => {
+      if (!(response instanceof ResponseClass)) {
+        response = new ResponseClass(response);
+      }
+      if (this._validate) {
+        // invalid responses are sent to the client as a failed call
+        ValidationUtils.validateMessage(ResponseClass, response);
+      }
+      return TcprosUtils.serializeServiceResponse(ResponseClass, response, true);
+    })
+    .catch((err) => {
+      if (err && err.handlerFailed) {
+        // the callback returned false - that's a normal failed call, not an error
+        return TcprosUtils.serializeServiceResponse(ResponseClass, null, false);
+      }
+      // else
+      const errorMessage = err instanceof Error ? err.message : String(err);
+      this._log.warn('Error handling service %s request: %s', this.getService(), errorMessage);
+      return TcprosUtils.serializeServiceError(errorMessage);
+    })
+    .then((serializedResponse) => {
+      this._sendResponse(request, serializedResponse);
+
+      const index = this._requestsInProgress.indexOf(request);
+      if (index !== -1) {
+        this._requestsInProgress.splice(index, 1);
+        this._handleQueuedRequests();
+      }
+    });
+  }
 
-      if (!client.$persist) {
-        this._log.debug('Closing non-persistent client');
-        client.end();
-        delete this._clients[client.name];
+  /**
+   * Calls the service callback at the end of the interceptor chain
+   * @param context {object}
+   * @return {Promise} resolves to the response or rejects if the callback failed
+   */
+  _callHandler(context) {
+    const resp = new this._messageHandler.Response();
+    return Promise.resolve(this._requestCallback(context.request, resp))
+    .then((result) => {
+      if (result !== null && typeof result === 'object') {
+        // the callback gave us the response
+        return result;
+      }
+      else if (!result) {
+        const err = new Error('Unable to handle service call');
+        err.handlerFailed = true;
+        throw err;
       }
+      // else
+      return resp;
     });
   }
 
+  _sendResponse(request, serializedResponse) {
+    // the request may have already timed out
+    if (request.finished) {
+      return;
+    }
+    // else
+    request.finished = true;
+    clearTimeout(request.timeoutId);
+
+    // client should already have been closed, so if we got here just cut out early
+    if (this.isShutdown()) {
+      return;
+    }
+
+    const client = request.client;
+
+    // send service response
+    client.write(serializedResponse);
+
+    if (!client.$persist) {
+      this._log.debug('Closing non-persistent client');
+      client.end();
+      delete this._clients[client.name];
+    }
+  }
+
+  /**
+   * Registers this service with the ROS master again, e.g. after the master restarted.
+   * @returns {Promise}
+   */
+  reregister() {
+    return this._nodeHandle.registerService(this.getService());
+  }
+
   _register() {
     this._nodeHandle.registerService(this.getService())
     .then((resp) => {
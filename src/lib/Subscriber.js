@@ -63,6 +63,31 @@ class Subscriber extends EventEmitter {
     return this._type;
   }
 
+  /**
+   * Get message, byte and drop counts for this subscriber's topic and for each
+   * publisher connection
+   * @returns {Object|null} null if this subscriber has been shutdown
+   */
+  getStats() {
+    if (this._impl) {
+      return this._impl.getStats();
+    }
+    // else
+    return null;
+  }
+
+  /**
+   * Get the transport negotiated with each publisher this subscriber is connected to
+   * @returns {Object} transport ('TCPROS', 'UDPROS' or 'INTRAPROCESS') by publisher URI
+   */
+  getConnectionTransports() {
+    if (this._impl) {
+      return this._impl.getConnectionTransports();
+    }
+    // else
+    return {};
+  }
+
   /**
    * Get the number of publishers currently connected to this subscriber
    * @returns {number}
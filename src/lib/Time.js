@@ -45,6 +45,7 @@ const Time = {
   isZeroTime:    timeUtils.isZeroTime,
   toNumber:      timeUtils.toNumber,
   toSeconds:     timeUtils.toSeconds,
+  fromSeconds:   timeUtils.fromSeconds,
   timeComp:      timeUtils.timeComp,
   add:           timeUtils.add,
   lt:            timeUtils.lt,
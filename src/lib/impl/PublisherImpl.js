@@ -20,12 +20,13 @@
 const SerializationUtils = require('../../utils/serialization_utils.js');
 const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../../utils/tcpros_utils.js');
+const ValidationUtils = require('../../utils/validation_utils.js');
 const EventEmitter = require('events');
 const Logging = require('../Logging.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../../utils/ClientStates.js');
 const UdprosUtils = require('../../utils/udpros_utils.js');
 const Udp = require('dgram')
-let msgCount = 0;
+
 /**
  * Implementation class for a Publisher. Handles registration, connecting to
  * subscribers, etc. Public-facing publisher classes will be given an instance
@@ -72,7 +73,16 @@ class PublisherImpl extends EventEmitter {
 
     this._resolve = !!options.resolve;
 
+    // check messages against the message spec when they're published
+    this._validate = !!options.validate;
+
+    // by default, intraprocess subscribers get a frozen copy of each message.
+    // With zeroCopy set they get the published object itself, so it must not
+    // be modified after it's published.
+    this._zeroCopy = !!options.zeroCopy;
+
     this._lastSentMsg = null;
+    this._lastSentObj = null;
 
     this._nodeHandle = nodeHandle;
     this._nodeHandle.getSpinner().addClient(this, this._getSpinnerId(), this._queueSize, this._throttleMs);
@@ -82,6 +92,15 @@ class PublisherImpl extends EventEmitter {
     this._subClients = {};
     this._udpSubClients = {};
 
+    // subscriber in this node we hand messages to directly, if any
+    this._intraProcessSub = null;
+
+    // totals for this topic - per-connection stats live on each client
+    this._stats = {
+      messagesPublished: 0,
+      messageDataSent: 0,
+      dropped: 0
+    };
 
     if (!options.typeClass) {
       throw new Error(`Unable to load message for publisher ${this.getTopic()} with type ${this.getType()}`);
@@ -131,7 +150,8 @@ class PublisherImpl extends EventEmitter {
    * @returns {number}
    */
   getNumSubscribers() {
-    return Object.keys(this._subClients).length + Object.keys(this._udpSubClients).length;
+    return Object.keys(this._subClients).length + Object.keys(this._udpSubClients).length +
+      (this._intraProcessSub ? 1 : 0);
   }
 
   /**
@@ -140,12 +160,36 @@ class PublisherImpl extends EventEmitter {
    * @returns {Array}
    */
   getClientUris() {
-    return Object.keys(this._subClients).concat(Object.keys(this._udpSubClients));
+    const uris = Object.keys(this._subClients).concat(Object.keys(this._udpSubClients));
+    if (this._intraProcessSub) {
+      uris.push(this._intraProcessSub.uri);
+    }
+    return uris;
   }
 
   isUdpSubscriber(topic){
     return this._udpSubClients[topic] !== undefined
   }
+
+  /**
+   * Get message and byte counts for this publisher and each of its connections.
+   * Used for getBusStats Slave API calls
+   * @returns {Object}
+   */
+  getStats() {
+    const connections = [];
+    Object.keys(this._subClients).forEach((clientId) => {
+      connections.push(Object.assign({ uri: clientId }, this._subClients[clientId].$stats));
+    });
+    Object.keys(this._udpSubClients).forEach((clientId) => {
+      connections.push(Object.assign({ uri: clientId }, this._udpSubClients[clientId].stats));
+    });
+    if (this._intraProcessSub) {
+      connections.push(Object.assign({ uri: this._intraProcessSub.uri }, this._intraProcessSub.stats));
+    }
+
+    return Object.assign({ topic: this.getTopic(), connections }, this._stats);
+  }
   /**
    * Get the ros node this subscriber belongs to
    * @returns {RosNode}
@@ -166,9 +210,20 @@ class PublisherImpl extends EventEmitter {
       client.end();
     });
 
+    if (this._intraProcessSub) {
+      const {subscriber, uri} = this._intraProcessSub;
+      subscriber._disconnectClient(uri);
+    }
+
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+
     // disconnect from the spinner in case we have any pending callbacks
     this._nodeHandle.getSpinner().disconnect(this._getSpinnerId());
     this._subClients = {};
+    this._udpSubClients = {};
   }
 
   /**
@@ -190,6 +245,12 @@ class PublisherImpl extends EventEmitter {
       return;
     }
 
+    if (this._validate) {
+      // throws if the message is invalid
+      ValidationUtils.validateMessage(this._messageHandler,
+        this._resolve ? this._messageHandler.Resolve(msg) : msg);
+    }
+
     if (typeof throttleMs !== 'number') {
       throttleMs = this._throttleMs;
     }
@@ -226,22 +287,44 @@ class PublisherImpl extends EventEmitter {
           msg = this._messageHandler.Resolve(msg);
         }
 
-        const serializedMsg = TcprosUtils.serializeMessage(this._messageHandler, msg);
+        ++this._stats.messagesPublished;
 
-        Object.keys(this._subClients).forEach((client) => {
-          this._subClients[client].write(serializedMsg);
-        });
+        // only pay for serialization if someone outside this process is listening
+        let serializedMsg = null;
+        if (this._hasRemoteSubscribers()) {
+          serializedMsg = TcprosUtils.serializeMessage(this._messageHandler, msg);
+          this._stats.messageDataSent += serializedMsg.length;
 
-        // Sending msgs to udp subscribers
-        this._sendMsgToUdpClients(serializedMsg)
+          Object.keys(this._subClients).forEach((client) => {
+            this._writeToClient(this._subClients[client], serializedMsg);
+          });
+
+          // Sending msgs to udp subscribers
+          this._sendMsgToUdpClients(serializedMsg)
+        }
+
+        let localMsg = null;
+        if (this._intraProcessSub) {
+          localMsg = this._zeroCopy ? msg : freezeCopy(msg);
+          this._sendToIntraProcessSub(localMsg);
+        }
 
         // if this publisher is supposed to latch,
         // save the last message. Any subscribers that connects
         // before another call to publish() will receive this message
         if (this.getLatching()) {
+          // zero copy messages are kept as they are. Otherwise we only keep the copy
+          // made for an intraprocess subscriber, and serialize the message if there
+          // wasn't one rather than copying every message.
+          if (localMsg === null && this._zeroCopy) {
+            localMsg = msg;
+          }
+          if (serializedMsg === null && localMsg === null) {
+            serializedMsg = TcprosUtils.serializeMessage(this._messageHandler, msg);
+          }
           this._lastSentMsg = serializedMsg;
+          this._lastSentObj = localMsg;
         }
-        msgCount = msgCount > 254 ? 0 : ++msgCount;
       });
     }
     catch (err) {
@@ -249,53 +332,98 @@ class PublisherImpl extends EventEmitter {
       this.emit('error', err);
     }
   }
-  _sendMsgToUdpClients(serializedMsg){
-    Object.keys(this._udpSubClients).forEach((client) => {
-      let serializedH;
-      let payloadSize = this._udpSubClients[client].dgramSize - 8;
-      if(serializedMsg.length > payloadSize){
-        let totalChunks = Math.ceil(serializedMsg.length / payloadSize)
-        let index = 0, offset = payloadSize;
-        let chunk = serializedMsg.slice(0, payloadSize);
-
-        serializedH = UdprosUtils.serializeUdpHeader(this._udpSubClients[client].connId, 0, msgCount, totalChunks)
-        let msg = Buffer.concat([serializedH, chunk]);
-
-        // sending first message opcode 0
-        this.udpSocket.send(msg, this._udpSubClients[client].port, this._udpSubClients[client].host, (err) => {
-          if(err){
-            throw err;
-          }
-        })
 
-        // sending other chuncks
-        do{
-          chunk = serializedMsg.slice(offset, offset + payloadSize);
-          index++;
-          serializedH = UdprosUtils.serializeUdpHeader(this._udpSubClients[client].connId, 1, msgCount, index)
+  /**
+   * Called by the spinner when our queue overflows
+   * @param msg {object} message that was dropped
+   */
+  _handleDroppedMsg(msg) {
+    ++this._stats.dropped;
+  }
 
-          offset += payloadSize;
+  /**
+   * Writes a serialized message to a TCPROS subscriber and tracks it
+   * @param socket {Socket} validated subscriber client
+   * @param serializedMsg {Buffer}
+   */
+  _writeToClient(socket, serializedMsg) {
+    socket.write(serializedMsg);
+    socket.$stats.bytesSent += serializedMsg.length;
+    ++socket.$stats.messagesSent;
+  }
 
-          msg = Buffer.concat([serializedH, chunk]);
-          this.udpSocket.send(msg, this._udpSubClients[client].port, this._udpSubClients[client].host, (err) => {
-            if(err){
-              throw err;
-            }
-          })
+  _hasRemoteSubscribers() {
+    return Object.keys(this._subClients).length > 0 ||
+      Object.keys(this._udpSubClients).length > 0;
+  }
 
-        } while(index < totalChunks)
-      }
-      else{
-        serializedH = UdprosUtils.serializeUdpHeader(this._udpSubClients[client].connId, 0, msgCount, 1)
-        let msg = Buffer.concat([serializedH, serializedMsg]);
-        this.udpSocket.send(msg, this._udpSubClients[client].port, this._udpSubClients[client].host, (err) => {
-          if(err){
-            throw err;
-          }
-        })
+  _sendToIntraProcessSub(msg) {
+    ++this._intraProcessSub.stats.messagesSent;
+    this._intraProcessSub.subscriber._handleIntraProcessMessage(msg, this._intraProcessSub.uri);
+  }
+
+  /**
+   * Gets the serialized version of our latched message, serializing it now if
+   * we haven't had any remote subscribers since it was published.
+   * @returns {Buffer|null}
+   */
+  _getLatchedMsg() {
+    if (this._lastSentMsg === null && this._lastSentObj !== null) {
+      this._lastSentMsg = TcprosUtils.serializeMessage(this._messageHandler, this._lastSentObj);
+    }
+    return this._lastSentMsg;
+  }
+
+  /**
+   * Gets the object version of our latched message for intraprocess subscribers,
+   * deserializing it now if it was published without one connected.
+   * @returns {object|null}
+   */
+  _getLatchedObj() {
+    if (this._lastSentObj === null && this._lastSentMsg !== null) {
+      const msg = this._messageHandler.deserialize(this._lastSentMsg, [4]);
+      this._lastSentObj = this._zeroCopy ? msg : freezeCopy(msg);
+    }
+    return this._lastSentObj;
+  }
+
+  _sendUdpDatagram(client, msg) {
+    client.stats.bytesSent += msg.length;
+    this.udpSocket.send(msg, client.port, client.host, (err) => {
+      if (err) {
+        this._log.warn('Error sending UDPROS datagram on topic %s to %s:%d: %s',
+                       this.getTopic(), client.host, client.port, err);
       }
     })
   }
+
+  /**
+   * Sends a serialized message to each UDPROS subscriber, splitting it into
+   * as many datagrams as the connection's datagram size requires.
+   * @param serializedMsg {Buffer}
+   */
+  _sendMsgToUdpClients(serializedMsg){
+    Object.keys(this._udpSubClients).forEach((clientId) => {
+      this._sendMsgToUdpClient(this._udpSubClients[clientId], serializedMsg);
+    })
+  }
+
+  _sendMsgToUdpClient(client, serializedMsg) {
+    let datagrams;
+    try {
+      datagrams = UdprosUtils.createDatagrams(client.connId, client.msgId, serializedMsg, client.dgramSize);
+    }
+    catch (err) {
+      this._log.error('Unable to send message on topic %s over UDPROS: %s', this.getTopic(), err);
+      return;
+    }
+
+    datagrams.forEach((dgram) => {
+      this._sendUdpDatagram(client, dgram);
+    });
+    client.msgId = (client.msgId + 1) % UdprosUtils.MSG_ID_RANGE;
+    ++client.stats.messagesSent;
+  }
   /**
    * Handles a new connection from a subscriber to this publisher's node.
    * Validates the connection header and sends a response header
@@ -350,10 +478,14 @@ class PublisherImpl extends EventEmitter {
                      socket.name, this.getTopic(), err);
     });
 
+    socket.$stats = this._createConnectionStats(
+      this._nodeHandle.nextConnectionId(), header.callerid, 'TCPROS');
+
     // if we've cached a message from latching, send it now
-    if (this._lastSentMsg !== null) {
+    const latchedMsg = this._getLatchedMsg();
+    if (latchedMsg !== null) {
       this._log.debug('Sending latched msg to new subscriber');
-      socket.write(this._lastSentMsg);
+      this._writeToClient(socket, latchedMsg);
     }
 
     // handshake was good - we'll start publishing to it
@@ -362,23 +494,153 @@ class PublisherImpl extends EventEmitter {
     this.emit('connection', header, socket.name);
   }
 
-  addUdpSubscriber(resp,host,port){
+  /**
+   * Connects a subscriber in this node to this publisher. Messages will be
+   * handed to it directly rather than being serialized and sent over a socket.
+   * @param subscriber {SubscriberImpl}
+   * @param uri {string} xmlrpc uri of this node
+   * @returns {string|null} error message if the subscriber can't be connected
+   */
+  addIntraProcessSubscriber(subscriber, uri) {
+    if (this.isShutdown()) {
+      return `Publisher for ${this.getTopic()} has been shutdown`;
+    }
+    else if (subscriber._messageHandler.md5sum() !== this._messageHandler.md5sum()) {
+      return `Message types don't match for ${this.getTopic()} - ` +
+        `${subscriber.getType()} vs ${this.getType()}`;
+    }
+    // else
+    const header = this._createIntraProcessHeader();
+    this._log.info('Pub %s got intraprocess connection', this.getTopic());
+
+    this._intraProcessSub = {
+      subscriber,
+      uri,
+      stats: this._createConnectionStats(
+        this._nodeHandle.nextConnectionId(), header.callerid, 'INTRAPROCESS')
+    };
+
+    this.emit('connection', header, uri);
+
+    const latchedObj = this._getLatchedObj();
+    if (this.getLatching() && latchedObj !== null) {
+      this._log.debug('Sending latched msg to new subscriber');
+      this._sendToIntraProcessSub(latchedObj);
+    }
+
+    return null;
+  }
+
+  /**
+   * Disconnects the subscriber in this node from this publisher
+   */
+  removeIntraProcessSubscriber() {
+    if (this._intraProcessSub) {
+      this._log.info('Publisher intraprocess client on topic %s disconnected', this.getTopic());
+      this._intraProcessSub = null;
+      // emit asynchronously, like we would when a socket closes
+      process.nextTick(() => { this.emit('disconnect'); });
+    }
+  }
+
+  /**
+   * Connection header equivalent for intraprocess connections, passed along with
+   * 'connection' events
+   * @returns {object}
+   */
+  _createIntraProcessHeader() {
+    return {
+      callerid: this._nodeHandle.getNodeName(),
+      topic: this.getTopic(),
+      type: this.getType(),
+      md5sum: this._messageHandler.md5sum(),
+      latching: this.getLatching() ? '1' : '0',
+      message_definition: this._messageHandler.messageDefinition(),
+      transport: 'INTRAPROCESS'
+    };
+  }
+
+  /**
+   * Adds a subscriber we negotiated a UDPROS connection with
+   * @param resp {Array} protocol params we responded to the topic request with
+   * @param host {string} subscriber's host
+   * @param port {number} subscriber's UDPROS port
+   * @param header {Object} subscriber's deserialized connection header
+   */
+  addUdpSubscriber(resp, host, port, header={}){
+    // a subscriber requesting the topic again is done with its old connection
+    Object.keys(this._udpSubClients).forEach((connId) => {
+      const client = this._udpSubClients[connId];
+      if (client.host === host && client.port === port) {
+        this.removeUdpSubscriber(connId);
+      }
+    });
+
     if(Object.keys(this._udpSubClients).length === 0){
       this.udpSocket = Udp.createSocket('udp4');
     }
-    this._udpSubClients[resp[3]] = {
+    const client = {
       port: port,
       host: host,
       dgramSize: resp[4],
-      connId: resp[3]
+      connId: resp[3],
+      msgId: 0,
+      stats: this._createConnectionStats(resp[3], header.callerid || (host + ':' + port), 'UDPROS')
+    };
+    this._udpSubClients[resp[3]] = client;
+
+    this._log.info('Pub %s got UDPROS connection from %s:%d', this.getTopic(), host, port);
+
+    // if we've cached a message from latching, send it now
+    const latchedMsg = this._getLatchedMsg();
+    if (latchedMsg !== null) {
+      this._log.debug('Sending latched msg to new UDPROS subscriber');
+      this._sendMsgToUdpClient(client, latchedMsg);
     }
+
+    this.emit('connection', header, host + ':' + port);
   }
+
+  /**
+   * Stops sending messages to a UDPROS subscriber
+   * @param connId {number} connection id we negotiated with the subscriber
+   */
   removeUdpSubscriber(connId){
+    const client = this._udpSubClients[connId];
+    if (!client) {
+      return;
+    }
+    // else
+    this._log.info('Publisher UDPROS client %s:%d on topic %s disconnected',
+                   client.host, client.port, this.getTopic());
     delete this._udpSubClients[connId]
-    if(Object.keys(this._udpSubClients).length === 0){
+    if(Object.keys(this._udpSubClients).length === 0 && this.udpSocket){
       this.udpSocket.close();
+      this.udpSocket = null;
     }
+    this.emit('disconnect');
+  }
+
+  _createConnectionStats(connectionId, destination, transport) {
+    return {
+      connectionId,
+      destination,
+      transport,
+      bytesSent: 0,
+      messagesSent: 0,
+      connected: true
+    };
+  }
+
+  /**
+   * Registers this publisher with the ROS master again, e.g. after the master restarted.
+   * Subscribers will be told about us by the master.
+   * @returns {Promise}
+   */
+  reregister() {
+    return this._nodeHandle.registerPublisher(this._topic, this._type);
   }
+
   /**
    * Makes an XMLRPC call to registers this publisher with the ROS master
    */
@@ -405,4 +667,36 @@ class PublisherImpl extends EventEmitter {
   }
 }
 
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+/**
+ * Deep copies a message, freezing the copy so subscribers in this node can't
+ * modify what other subscribers (or the latched message) see. Typed arrays
+ * can't be frozen, so they're just copied.
+ * @param value {*}
+ * @returns {*}
+ */
+function freezeCopy(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  else if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  else if (ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+  else if (Array.isArray(value)) {
+    return Object.freeze(value.map(freezeCopy));
+  }
+  // else
+  const copy = Object.create(Object.getPrototypeOf(value));
+  Object.keys(value).forEach((key) => {
+    copy[key] = freezeCopy(value[key]);
+  });
+  return Object.freeze(copy);
+}
+
 module.exports = PublisherImpl;
@@ -0,0 +1,283 @@
+'use strict';
+
+const Time = require('../Time.js');
+const timeUtils = require('../../utils/time_utils.js');
+const Logging = require('../Logging.js');
+
+const STATISTICS_TOPIC = '/statistics';
+const STATISTICS_TYPE = 'rosgraph_msgs/TopicStatistics';
+
+// topics we never gather statistics for - /clock for safety and
+// /statistics so we don't generate statistics about our statistics
+const IGNORED_TOPICS = [STATISTICS_TOPIC, '/clock'];
+
+const HEADER_REGEX = /^\s*(std_msgs\/)?Header\s+header\s*$/;
+
+// node-wide settings, loaded from the parameter server during initialization
+const settings = {
+  enabled: false,
+  minElements: 10,
+  maxElements: 100,
+  minWindow: 4,
+  maxWindow: 64
+};
+
+let nodeHandle = null;
+let statisticsPub = null;
+
+/**
+ * Gathers rosgraph_msgs/TopicStatistics for a single subscriber, mirroring
+ * roscpp's StatisticsLogger. Statistics are tracked for each publisher the
+ * subscriber is connected to and published on /statistics at the end of
+ * every window. The window grows or shrinks based on how many messages
+ * arrived during it.
+ */
+class StatisticsLogger {
+  /**
+   * @param topic {string} topic the subscriber is listening on
+   * @param nodeName {string} name of this node
+   * @param typeClass {function} message class for the subscriber
+   */
+  constructor(topic, nodeName, typeClass) {
+    this._topic = topic;
+    this._nodeName = nodeName;
+    this._hasHeader = hasHeader(typeClass);
+
+    // length of the current window in seconds
+    this._windowSize = 1.0;
+
+    // window data for each publisher, by node name
+    this._connections = {};
+  }
+
+  /**
+   * @returns {boolean} true if statistics will be gathered for this topic
+   */
+  isEnabled() {
+    return settings.enabled && IGNORED_TOPICS.indexOf(this._topic) === -1;
+  }
+
+  /**
+   * Records a message received from a publisher. Publishes statistics for the
+   * connection if its window has elapsed.
+   * @param connStats {object} stats for the connection the message arrived on
+   * @param msg {Buffer|object} serialized message, or the message itself
+   *                             for intraprocess connections
+   * @param [receivedTime] {object} ros time the message was received at
+   */
+  handleMessage(connStats, msg, receivedTime=Time.now()) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const window = this._getWindow(connStats.destination, receivedTime);
+    window.arrivalTimes.push(receivedTime);
+
+    const stamp = this._hasHeader ? getStamp(msg) : null;
+    if (stamp && !timeUtils.isZeroTime(stamp)) {
+      window.ages.push(timeUtils.toSeconds(receivedTime) - timeUtils.toSeconds(stamp));
+    }
+
+    const elapsed = timeUtils.toSeconds(receivedTime) - timeUtils.toSeconds(window.lastPublish);
+    if (elapsed > this._windowSize) {
+      this._publish(window, connStats, receivedTime);
+    }
+  }
+
+  /**
+   * Records a message from a publisher that was dropped from the subscriber's queue.
+   * @param connStats {object} stats for the connection the message arrived on
+   */
+  handleDroppedMessage(connStats) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const window = this._connections[connStats.destination];
+    if (window) {
+      ++window.dropped;
+    }
+  }
+
+  _getWindow(publisher, receivedTime) {
+    let window = this._connections[publisher];
+    if (!window) {
+      window = {
+        arrivalTimes: [],
+        ages: [],
+        dropped: 0,
+        lastBytes: 0,
+        lastPublish: receivedTime
+      };
+      this._connections[publisher] = window;
+    }
+    return window;
+  }
+
+  _publish(window, connStats, receivedTime) {
+    const numMsgs = window.arrivalTimes.length;
+    const msg = {
+      topic: this._topic,
+      node_pub: connStats.destination,
+      node_sub: this._nodeName,
+      window_start: window.lastPublish,
+      window_stop: receivedTime,
+      delivered_msgs: numMsgs,
+      dropped_msgs: window.dropped,
+      traffic: connStats.bytesReceived - window.lastBytes
+    };
+
+    const periods = [];
+    for (let i = 1; i < numMsgs; ++i) {
+      periods.push(timeUtils.toSeconds(window.arrivalTimes[i]) -
+                   timeUtils.toSeconds(window.arrivalTimes[i - 1]));
+    }
+
+    const period = summarize(periods);
+    msg.period_mean = timeUtils.fromSeconds(period.mean);
+    msg.period_stddev = timeUtils.fromSeconds(period.stddev);
+    msg.period_max = timeUtils.fromSeconds(period.max);
+
+    const age = summarize(window.ages);
+    msg.stamp_age_mean = timeUtils.fromSeconds(age.mean);
+    msg.stamp_age_stddev = timeUtils.fromSeconds(age.stddev);
+    msg.stamp_age_max = timeUtils.fromSeconds(age.max);
+
+    const pub = getPublisher();
+    if (pub) {
+      pub.publish(msg);
+    }
+
+    // resize the window based on how many messages we saw in this one
+    if (numMsgs > settings.maxElements && this._windowSize * 2 <= settings.maxWindow) {
+      this._windowSize *= 2;
+    }
+    if (numMsgs < settings.minElements && this._windowSize / 2 >= settings.minWindow) {
+      this._windowSize /= 2;
+    }
+
+    window.arrivalTimes = [];
+    window.ages = [];
+    window.dropped = 0;
+    window.lastBytes = connStats.bytesReceived;
+    window.lastPublish = receivedTime;
+  }
+
+  /**
+   * Loads statistics settings from the parameter server. Statistics are only
+   * gathered if /enable_statistics is set.
+   * @param rosnodejs {object}
+   * @returns {Promise}
+   */
+  static _initializeStatistics(rosnodejs) {
+    nodeHandle = rosnodejs.nh;
+    statisticsPub = null;
+    settings.enabled = false;
+
+    return getParamOrDefault('/enable_statistics', false)
+    .then((enabled) => {
+      if (!enabled) {
+        return;
+      }
+      // else
+      return Promise.all([
+        getParamOrDefault('/statistics_window_min_elements', 10),
+        getParamOrDefault('/statistics_window_max_elements', 100),
+        getParamOrDefault('/statistics_window_min_size', 4),
+        getParamOrDefault('/statistics_window_max_size', 64)
+      ])
+      .then(([minElements, maxElements, minWindow, maxWindow]) => {
+        Object.assign(settings, { enabled: true, minElements, maxElements, minWindow, maxWindow });
+      });
+    })
+    .catch((err) => {
+      // statistics are optional - don't fail node initialization over them
+      Logging.getLogger('ros.rosnodejs').warn('Unable to load topic statistics settings: %s', err);
+    });
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function getParamOrDefault(key, defaultValue) {
+  return nodeHandle.getParam(key)
+  .catch((err) => {
+    if (err.statusCode === undefined) {
+      throw err;
+    }
+    return defaultValue;
+  });
+}
+
+function getPublisher() {
+  if (!statisticsPub && settings.enabled) {
+    try {
+      statisticsPub = nodeHandle.advertise(STATISTICS_TOPIC, STATISTICS_TYPE, { queueSize: 1 });
+    }
+    catch (err) {
+      Logging.getLogger('ros.rosnodejs').warn('Unable to publish topic statistics: %s', err);
+      settings.enabled = false;
+    }
+  }
+  return statisticsPub;
+}
+
+/**
+ * Gets header.stamp from a message with a header
+ * @param msg {Buffer|object}
+ * @returns {object|null}
+ */
+function getStamp(msg) {
+  if (Buffer.isBuffer(msg)) {
+    if (msg.length < 12) {
+      return null;
+    }
+    // header is the first field - seq is followed by stamp
+    return {
+      secs: msg.readUInt32LE(4),
+      nsecs: msg.readUInt32LE(8)
+    };
+  }
+  // else
+  return msg.header && msg.header.stamp ? msg.header.stamp : null;
+}
+
+/**
+ * Checks if the first field of a message is a std_msgs/Header
+ * @param typeClass {function}
+ * @returns {boolean}
+ */
+function hasHeader(typeClass) {
+  if (typeof typeClass.messageDefinition !== 'function') {
+    return false;
+  }
+  const firstField = typeClass.messageDefinition().split('\n').find((line) => {
+    line = line.trim();
+    return line.length > 0 && !line.startsWith('#');
+  });
+  return !!firstField && HEADER_REGEX.test(firstField);
+}
+
+/**
+ * Mean, (population) standard deviation and max of a list of values in seconds.
+ * All are 0 for an empty list.
+ * @param values {Array.<number>}
+ * @returns {object}
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return { mean: 0, stddev: 0, max: 0 };
+  }
+  // else
+  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+  const variance = values.reduce((sum, val) => sum + (val - mean) * (val - mean), 0) / values.length;
+  return {
+    mean,
+    stddev: Math.sqrt(variance),
+    max: Math.max(0, Math.max.apply(null, values))
+  };
+}
+
+module.exports = StatisticsLogger;
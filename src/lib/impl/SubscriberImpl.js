@@ -24,12 +24,24 @@ const Deserialize =  SerializationUtils.Deserialize;
 const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../../utils/tcpros_utils.js');
 const UdprosUtils = require('../../utils/udpros_utils.js');
+const UdprosReassembler = require('../../utils/UdprosReassembler.js');
 
 const TCPSocket = require('net').Socket;
 const EventEmitter = require('events');
 const Logging = require('../Logging.js');
+const StatisticsLogger = require('./StatisticsLogger.js');
+const messageUtils = require('../../utils/message_utils.js');
+const messages = require('../../utils/messageGeneration/messages.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../../utils/ClientStates.js');
 
+// stands in for the message class of a subscriber whose type we don't have a
+// definition for. Publishers accept any type with a '*' md5sum, and send the
+// definition we need in their connection header.
+const UNKNOWN_TYPE_HANDLER = {
+  md5sum() { return '*'; },
+  messageDefinition() { return ''; }
+};
+
 //-----------------------------------------------------------------------
 
 /**
@@ -51,11 +63,16 @@ class SubscriberImpl extends EventEmitter {
 
     if(this._udp){
       this._dgramSize = typeof options.dgramSize === 'number' && options.dgramSize ? options.dgramSize : 1500
+
+      // how long to wait for all the datagrams of a message before considering it lost
+      this._reassemblyTimeoutMs = typeof options.reassemblyTimeoutMs === 'number' ?
+        options.reassemblyTimeoutMs : 1000;
     }
 
     this._tcp = !!~options.transports.indexOf('TCPROS');
 
-    this._udpFirst = options.transports.indexOf('TCPROS') > options.transports.indexOf('UDPROS')
+    this._udpFirst = this._udp &&
+      (!this._tcp || options.transports.indexOf('UDPROS') < options.transports.indexOf('TCPROS'));
 
     if (options.hasOwnProperty('queueSize')) {
       this._queueSize = options.queueSize;
@@ -80,6 +97,10 @@ class SubscriberImpl extends EventEmitter {
     // relevant publisher - the publisher should then set tcpNoDelay on the socket
     this._tcpNoDelay =  !!options.tcpNoDelay;
 
+    // with this set, publishers in this node hand us messages directly instead
+    // of serializing them
+    this._intraProcess = !!options.intraProcess;
+
     this._msgHandleTime = null;
 
     this._nodeHandle = nodeHandle;
@@ -88,23 +109,35 @@ class SubscriberImpl extends EventEmitter {
     this._log = Logging.getLogger('ros.rosnodejs');
 
     if (!options.typeClass) {
-      throw new Error(`Unable to load message for subscriber ${this.getTopic()} with type ${this.getType()}`);
+      this._log.debug('No message definition for subscriber %s with type %s, will load it from its publishers',
+                      this.getTopic(), this.getType());
     }
-    this._messageHandler = options.typeClass;
+    this._messageHandler = options.typeClass || UNKNOWN_TYPE_HANDLER;
     this._pubClients = {};
 
     this._pendingPubClients = {};
 
+    // UDPROS publishers we've negotiated connections with, by connection id
+    this._udpPubClients = {};
+
+    // publisher in this node we're getting messages from directly, if any
+    this._intraProcessPub = null;
+
+    // totals for this topic - per-connection stats live on each client
+    this._stats = {
+      messagesReceived: 0,
+      messageDataReceived: 0,
+      dropped: 0,
+      lost: 0
+    };
+
+    this._statistics = new StatisticsLogger(this.getTopic(), this._nodeHandle.getNodeName(), this._messageHandler);
+
     this._state = REGISTERING;
 
     this._port = options.port
     this._connectionId = null
 
-    this._udpMessage = {
-      blkN: 0,
-      msgId: -1,
-      buffer: Buffer.alloc(0),
-    }
     this._register();
   }
 
@@ -138,7 +171,7 @@ class SubscriberImpl extends EventEmitter {
    * @returns {number}
    */
   getNumPublishers() {
-    return Object.keys(this._pubClients).length;
+    return this.getClientUris().length;
   }
 
   /**
@@ -160,43 +193,62 @@ class SubscriberImpl extends EventEmitter {
   getTransport(){
     return this._udpFirst && this._udp ? 'UDPROS' : 'TCPROS'
   }
-  handleMessageChunk(header, dgramMsg) {
-    const { connectionId, opCode, blkN, msgId } = header
-    switch(opCode){
-      // DATA0
-      case 0:
-        // no chunk
-        if(blkN === 1){
-          this._handleMessage(dgramMsg.slice(12));
-        } else {
-          this._udpMessage = {
-            blkN,
-            msgId,
-            buffer: dgramMsg.slice(12),
-            connectionId
-          };
-        }
-        break;
-      // DATAN
-      case 1:
-        if(msgId === this._udpMessage.msgId && connectionId === this._udpMessage.connectionId){
-          let buffer = Buffer.from(dgramMsg.slice(8));
-          this._udpMessage.buffer = Buffer.concat([msg.buffer, buffer]);
-          // last chunk
-          if(this._udpMessage.blkN -1 === header.blkN ){
-            this._handleMessage(Buffer.from(this._udpMessage.buffer));
-          }
-        }
-        break;
 
-      // PING
-      case 2:
-        break;
+  /**
+   * Get the transport negotiated with each connected publisher
+   * @returns {Object} transport ('TCPROS', 'UDPROS' or 'INTRAPROCESS') by publisher URI
+   */
+  getConnectionTransports() {
+    const transports = {};
+    this.getStats().connections.forEach((conn) => {
+      transports[conn.uri] = conn.transport;
+    });
+    return transports;
+  }
+
+  /**
+   * Get message, byte and drop counts for this subscriber and each of its connections.
+   * Used for getBusStats Slave API calls
+   * @returns {Object}
+   */
+  getStats() {
+    const connections = [];
+    Object.keys(this._pubClients).forEach((clientId) => {
+      connections.push(Object.assign({ uri: clientId }, this._pubClients[clientId].$stats));
+    });
+    Object.keys(this._udpPubClients).forEach((connectionId) => {
+      const client = this._udpPubClients[connectionId];
+      connections.push(Object.assign({ uri: client.nodeUri }, client.stats));
+    });
+    if (this._intraProcessPub) {
+      connections.push(Object.assign({ uri: this._intraProcessPub.nodeUri }, this._intraProcessPub.stats));
+    }
+
+    return Object.assign({ topic: this.getTopic(), connections }, this._stats);
+  }
+
+  /**
+   * Checks if a UDPROS connection belongs to this subscriber
+   * @param connectionId {number}
+   * @returns {boolean}
+   */
+  hasUdpConnection(connectionId) {
+    return this._udpPubClients.hasOwnProperty(connectionId);
+  }
 
-      // ERR
-      case 3:
-        break;
+  /**
+   * Handles a datagram from one of our UDPROS publishers
+   * @param header {object} deserialized UDPROS header
+   * @param dgramMsg {Buffer} full datagram
+   */
+  handleMessageChunk(header, dgramMsg) {
+    const client = this._udpPubClients[header.connectionId];
+    if (!client) {
+      return;
     }
+    // else
+    client.stats.bytesReceived += dgramMsg.length;
+    client.reassembler.handleDatagram(header, dgramMsg);
   }
   /**
    * Clears and closes all client connections for this subscriber.
@@ -207,11 +259,18 @@ class SubscriberImpl extends EventEmitter {
 
     Object.keys(this._pubClients).forEach(this._disconnectClient.bind(this));
     Object.keys(this._pendingPubClients).forEach(this._disconnectClient.bind(this));
+    if (this._intraProcessPub) {
+      this._disconnectClient(this._intraProcessPub.nodeUri);
+    }
 
     // disconnect from the spinner in case we have any pending callbacks
     this._nodeHandle.getSpinner().disconnect(this._getSpinnerId());
     this._pubClients = {};
     this._pendingPubClients = {};
+
+    Object.keys(this._udpPubClients).forEach((connectionId) => {
+      this._disconnectClient(this._udpPubClients[connectionId].nodeUri);
+    });
   }
 
   /**
@@ -225,7 +284,14 @@ class SubscriberImpl extends EventEmitter {
    * @returns {Array} URIs of all current clients
    */
   getClientUris() {
-    return Object.keys(this._pubClients);
+    const uris = Object.keys(this._pubClients);
+    Object.keys(this._udpPubClients).forEach((connectionId) => {
+      uris.push(this._udpPubClients[connectionId].nodeUri);
+    });
+    if (this._intraProcessPub) {
+      uris.push(this._intraProcessPub.nodeUri);
+    }
+    return uris;
   }
 
 
@@ -249,11 +315,11 @@ class SubscriberImpl extends EventEmitter {
    * @private
    */
   _handlePublisherUpdate(publisherList) {
-    const missingPublishers = new Set(Object.keys(this._pubClients));
+    const missingPublishers = new Set(this.getClientUris());
 
     publisherList.forEach((pubUri) => {
       pubUri = pubUri.trim();
-      if (!this._pubClients.hasOwnProperty(pubUri)) {
+      if (!missingPublishers.has(pubUri)) {
         this._requestTopicFromPublisher(pubUri)
       }
 
@@ -273,6 +339,12 @@ class SubscriberImpl extends EventEmitter {
    * @param pubUri {string} URI of publisher to request a topic from
    */
   _requestTopicFromPublisher(pubUri) {
+    if (this._intraProcess && this._nodeHandle.getIntraProcessPublisher(pubUri, this.getTopic())) {
+      // no need for a topic request, but stay asynchronous like one would be
+      process.nextTick(() => { this._connectIntraProcess(pubUri); });
+      return;
+    }
+    // else
     let info = NetworkUtils.getAddressAndPortFromUri(pubUri);
     this._log.debug('Sending topic request to ' + JSON.stringify(info));
 
@@ -287,6 +359,10 @@ class SubscriberImpl extends EventEmitter {
     if(this._udpFirst){
       protocols.reverse();
     }
+    if (!this._tcp) {
+      // offer TCPROS as a fallback for publishers that don't support UDPROS
+      protocols.push(['TCPROS']);
+    }
     this._nodeHandle.requestTopic(info.host, info.port, this._topic, protocols)
       .then((resp) => {
         this.emit('registered');
@@ -297,11 +373,81 @@ class SubscriberImpl extends EventEmitter {
         this._log.warn('Error requesting topic on %s: %s, %s', this.getTopic(), err, resp);
       });
   }
+  /**
+   * Connects directly to the publisher for our topic in this node.
+   * @param pubUri {string} URI of this node
+   */
+  _connectIntraProcess(pubUri) {
+    if (this.isShutdown() || this._intraProcessPub) {
+      return;
+    }
+
+    const pub = this._nodeHandle.getIntraProcessPublisher(pubUri, this.getTopic());
+    if (!pub) {
+      // publisher was shutdown since we found it
+      return;
+    }
+
+    this.emit('registered');
+    if (this.isShutdown()) {
+      return;
+    }
+
+    // set up the client before connecting so we're ready for a latched message
+    this._intraProcessPub = {
+      nodeUri: pubUri,
+      publisher: pub,
+      stats: this._createConnectionStats(
+        this._nodeHandle.nextConnectionId(), this._nodeHandle.getNodeName(), 'INTRAPROCESS')
+    };
+
+    if (this._needsMessageDefinition()) {
+      this._setMessageHandler(pub._messageHandler);
+    }
+
+    const error = pub.addIntraProcessSubscriber(this, pubUri);
+    if (error) {
+      this._log.error('Unable to connect to intraprocess publisher: %s', error);
+      this._intraProcessPub = null;
+      return;
+    }
+    // else
+    this._log.debug('Subscriber %s connected to intraprocess publisher', this.getTopic());
+    this.emit('connection', pub._createIntraProcessHeader(), pubUri);
+  }
+
   /**
    * disconnects and clears out the specified client
    * @param clientId {string}
    */
   _disconnectClient(clientId) {
+    if (this._intraProcessPub && this._intraProcessPub.nodeUri === clientId) {
+      this._log.debug('Subscriber %s disconnecting intraprocess client', this.getTopic());
+      const pub = this._intraProcessPub.publisher;
+      this._intraProcessPub = null;
+      pub.removeIntraProcessSubscriber();
+      // emit asynchronously, like we would when a socket closes
+      process.nextTick(() => { this.emit('disconnect'); });
+      return;
+    }
+    // else
+    const udpConnectionId = this._getUdpConnectionId(clientId);
+    if (udpConnectionId !== undefined) {
+      this._log.debug('Subscriber %s disconnecting UDPROS client %s', this.getTopic(), clientId);
+      const reassembler = this._udpPubClients[udpConnectionId].reassembler;
+      reassembler.clear();
+      reassembler.removeAllListeners();
+      delete this._udpPubClients[udpConnectionId];
+
+      // there's no connection to close, so let the publisher know directly if it's in this node
+      const pub = this._nodeHandle.getIntraProcessPublisher(clientId, this.getTopic());
+      if (pub) {
+        pub.removeUdpSubscriber(udpConnectionId);
+      }
+      this.emit('disconnect');
+      return;
+    }
+    // else
     let client = this._pubClients[clientId];
 
     const hasValidatedClient = !!client;
@@ -330,6 +476,27 @@ class SubscriberImpl extends EventEmitter {
     }
   }
 
+  /**
+   * Registers this subscriber with the ROS master again, e.g. after the master restarted,
+   * and connects to any publishers we didn't know about. Publishers that haven't
+   * registered with the new master yet are left alone - we'll hear about them
+   * through publisherUpdate calls.
+   * @returns {Promise}
+   */
+  reregister() {
+    return this._nodeHandle.registerSubscriber(this._topic, this._type)
+    .then((resp) => {
+      if (this.isShutdown()) {
+        return;
+      }
+      // else
+      const knownPublishers = new Set(this.getClientUris());
+      const pubs = resp[2].map((pubUri) => pubUri.trim())
+        .filter((pubUri) => !knownPublishers.has(pubUri));
+      this.requestTopicFromPubs(pubs);
+    });
+  }
+
   /**
    * Registers the subscriber with the ROS master
    * will connect to any existing publishers on the topic that are included in the response
@@ -375,7 +542,11 @@ class SubscriberImpl extends EventEmitter {
     let proto = resp[2][0];
     if(proto === 'UDPROS' && this._udp){
       this._handleUdpTopicRequestResponse(resp, nodeUri)
-    } else if (proto === 'TCPROS' && this._tcp){
+    } else if (proto === 'TCPROS'){
+      if (!this._tcp) {
+        this._log.info('Publisher %s on topic %s does not support UDPROS, falling back to TCPROS',
+                       nodeUri, this.getTopic());
+      }
       this._handleTcpTopicRequestResponse(resp, nodeUri)
     } else {
       this._log.warn(`Publisher supports only ${proto} but is not enabled`)
@@ -383,7 +554,59 @@ class SubscriberImpl extends EventEmitter {
   }
 
   _handleUdpTopicRequestResponse(resp, nodeUri){
-    this._connectionId = resp[2][3]
+    const connectionId = resp[2][3];
+    const header = resp[2][5] ? UdprosUtils.parseUdpRosHeader(resp[2][5]) : {};
+    if (this._needsMessageDefinition()) {
+      const error = this._loadMessageDefinition(header);
+      if (error) {
+        this._log.error('Unable to connect subscriber %s to publisher %s: %s', this.getTopic(), nodeUri, error);
+        return;
+      }
+    }
+    const stats = this._createConnectionStats(connectionId, header.callerid || nodeUri, 'UDPROS');
+
+    const reassembler = new UdprosReassembler(this._reassemblyTimeoutMs);
+    reassembler.on('message', (msg) => {
+      this._handleMessage(msg, nodeUri);
+    });
+    reassembler.on('lost', (count) => {
+      this._log.debug('Subscriber %s lost %d UDPROS messages from %s', this.getTopic(), count, nodeUri);
+      this._stats.lost += count;
+      stats.lost += count;
+      for (let i = 0; i < count; ++i) {
+        this._statistics.handleDroppedMessage(stats);
+      }
+    });
+
+    this._connectionId = connectionId;
+    this._udpPubClients[connectionId] = {
+      nodeUri,
+      dgramSize: resp[2][4],
+      stats,
+      reassembler
+    };
+
+    this._log.debug('Subscriber %s connected to publisher %s over UDPROS', this.getTopic(), nodeUri);
+
+    // handle anything the publisher sent before we got its response (e.g. a latched message)
+    this._nodeHandle.takePendingUdpDatagrams(connectionId).forEach(({header, dgramMsg}) => {
+      this.handleMessageChunk(header, dgramMsg);
+    });
+
+    this.emit('connection', header, nodeUri);
+  }
+
+  _createConnectionStats(connectionId, destination, transport) {
+    return {
+      connectionId,
+      destination,
+      transport,
+      bytesReceived: 0,
+      messagesReceived: 0,
+      dropped: 0,
+      lost: 0,
+      connected: true
+    };
   }
 
   _handleTcpTopicRequestResponse(resp, nodeUri){
@@ -463,6 +686,15 @@ class SubscriberImpl extends EventEmitter {
       return;
     }
 
+    if (this._needsMessageDefinition()) {
+      const error = this._loadMessageDefinition(header);
+      if (error) {
+        this._log.error('Unable to connect subscriber %s to publisher %s: %s', this.getTopic(), socket.nodeUri, error);
+        socket.end(Serialize(TcprosUtils.serializeString(error)));
+        return;
+      }
+    }
+
     // now do our own validation of the publisher's header
     const error = TcprosUtils.validatePubHeader(header, this.getType(), this._messageHandler.md5sum());
     if (error) {
@@ -478,21 +710,95 @@ class SubscriberImpl extends EventEmitter {
     // remove client from pending map now that it's validated
     delete this._pendingPubClients[socket.nodeUri];
 
+    socket.$stats = this._createConnectionStats(
+      this._nodeHandle.nextConnectionId(), header.callerid, 'TCPROS');
+
     // pipe all future messages to _handleMessage
-    socket.$deserializer.on('message', (msg) =>
-      this._handleMessage.bind(this)(msg, socket.nodeUri));
+    socket.$deserializer.on('message', (msg) => {
+      // account for the message length prefix the deserializer stripped
+      socket.$stats.bytesReceived += msg.length + 4;
+      this._handleMessage(msg, socket.nodeUri);
+    });
 
     this.emit('connection', header, socket.name);
   }
 
 
 
+  /**
+   * @returns {boolean} true if we're still waiting on a publisher for our message definition
+   */
+  _needsMessageDefinition() {
+    return this._messageHandler === UNKNOWN_TYPE_HANDLER;
+  }
+
+  /**
+   * Gets our message class from the definition in a publisher's connection header,
+   * registering it if we don't have it yet
+   * @param header {object} connection header from the publisher
+   * @returns {string|null} error if the header didn't have a usable definition
+   */
+  _loadMessageDefinition(header) {
+    if (!header.type || !header.message_definition) {
+      return `Publisher did not send a message definition for ${this.getType()}`;
+    }
+    // else
+    const md5sum = header.md5sum !== '*' ? header.md5sum : null;
+    let typeClass = null;
+    try {
+      typeClass = messageUtils.getHandlerForMsgType(header.type, true);
+    }
+    catch (err) {
+      if (err.code !== 'E_ROSMSGNOTFOUND') {
+        return `Unable to load message definition for ${header.type}: ${err.message}`;
+      }
+      // else we don't have the publisher's type either
+    }
+
+    if (typeClass) {
+      // don't replace the definition the rest of the node is using
+      if (md5sum && md5sum !== typeClass.md5sum()) {
+        return `Publisher's md5sum [${header.md5sum}] for ${header.type} doesn't match the local definition's [${typeClass.md5sum()}]`;
+      }
+    }
+    else {
+      // don't register a definition that doesn't match what the publisher is sending
+      try {
+        typeClass = messages.registerMessageDefinition(header.type, header.message_definition, md5sum);
+      }
+      catch (err) {
+        return `Unable to load message definition for ${header.type}: ${err.message}`;
+      }
+    }
+
+    this._setMessageHandler(typeClass);
+    return null;
+  }
+
+  /**
+   * Sets the message class for a subscriber that was waiting on its publishers for it
+   * @param typeClass {function}
+   */
+  _setMessageHandler(typeClass) {
+    this._log.debug('Subscriber %s loaded message definition for %s', this.getTopic(), typeClass.datatype());
+    this._messageHandler = typeClass;
+    this._statistics = new StatisticsLogger(this.getTopic(), this._nodeHandle.getNodeName(), this._messageHandler);
+  }
+
   /**
    * Handles a single message from a publisher. Passes message off to
    * Spinner if we're queueing, otherwise handles it immediately.
    * @param msg {string}
    */
   _handleMessage(msg, nodeUri) {
+    const stats = this._getConnectionStats(nodeUri);
+    if (stats) {
+      ++stats.messagesReceived;
+      this._statistics.handleMessage(stats, msg);
+    }
+    ++this._stats.messagesReceived;
+    this._stats.messageDataReceived += msg.length;
+
     if (this._throttleMs < 0) {
       this._handleMsgQueue([{msg, nodeUri}]);
     }
@@ -501,14 +807,80 @@ class SubscriberImpl extends EventEmitter {
     }
   }
 
+  /**
+   * Handles a message from a publisher in this node. Like _handleMessage,
+   * but the message is already deserialized.
+   * @param msg {object}
+   * @param nodeUri {string}
+   */
+  _handleIntraProcessMessage(msg, nodeUri) {
+    const stats = this._intraProcessPub.stats;
+    ++stats.messagesReceived;
+    this._statistics.handleMessage(stats, msg);
+    ++this._stats.messagesReceived;
+
+    const item = {msg, nodeUri, intraProcess: true};
+    if (this._throttleMs < 0) {
+      this._handleMsgQueue([item]);
+    }
+    else {
+      this._nodeHandle.getSpinner().ping(this._getSpinnerId(), item);
+    }
+  }
+
+  /**
+   * Called by the spinner when our queue overflows
+   * @param item {object} {msg, nodeUri} that was dropped
+   */
+  _handleDroppedMsg({nodeUri}) {
+    ++this._stats.dropped;
+    const stats = this._getConnectionStats(nodeUri);
+    if (stats) {
+      ++stats.dropped;
+      this._statistics.handleDroppedMessage(stats);
+    }
+  }
+
+  _getConnectionStats(nodeUri) {
+    if (this._intraProcessPub && this._intraProcessPub.nodeUri === nodeUri) {
+      return this._intraProcessPub.stats;
+    }
+    // else
+    const client = this._pubClients[nodeUri];
+    if (client) {
+      return client.$stats;
+    }
+    // else
+    const connectionId = this._getUdpConnectionId(nodeUri);
+    if (connectionId !== undefined) {
+      return this._udpPubClients[connectionId].stats;
+    }
+    return null;
+  }
+
+  /**
+   * @param nodeUri {string} URI of a publisher's node
+   * @returns {string|undefined} id of our UDPROS connection to that publisher, if we have one
+   */
+  _getUdpConnectionId(nodeUri) {
+    return Object.keys(this._udpPubClients).find((id) => {
+      return this._udpPubClients[id].nodeUri === nodeUri;
+    });
+  }
+
   /**
    * Deserializes and events for the list of messages
    * @param msgQueue {Array} array of strings - each string is its own message.
    */
   _handleMsgQueue(msgQueue) {
     try {
-      msgQueue.forEach(({msg, nodeUri}) => {
-        this.emit('message', this._messageHandler.deserialize(msg), msg.length, nodeUri);
+      msgQueue.forEach(({msg, nodeUri, intraProcess}) => {
+        if (intraProcess) {
+          this.emit('message', msg, 0, nodeUri);
+        }
+        else {
+          this.emit('message', this._messageHandler.deserialize(msg), msg.length, nodeUri);
+        }
       });
     }
     catch (err) {
@@ -0,0 +1,157 @@
+'use strict';
+
+const paramUtils = require('../utils/param_utils.js');
+
+const SEP = '/';
+
+/**
+ * Parameter tree for the master. Keys are resolved, and namespaces
+ * are stored as nested dictionaries so that getting a namespace returns
+ * all of the parameters below it.
+ */
+class ParamServer {
+  constructor() {
+    this._params = {};
+  }
+
+  /**
+   * @param key {string} resolved parameter key
+   * @return {*} the value of the parameter, or undefined if it isn't set
+   */
+  getParam(key) {
+    return paramUtils.getSubValue(this._params, getPath(key));
+  }
+
+  /**
+   * @param key {string} resolved parameter key
+   * @return {boolean}
+   */
+  hasParam(key) {
+    return this.getParam(key) !== undefined;
+  }
+
+  /**
+   * Sets a parameter, replacing anything already stored at key.
+   * @param key {string} resolved parameter key
+   * @param value {*}
+   * @throws {Error} if the root of the tree would be set to something other than a dictionary
+   */
+  setParam(key, value) {
+    const path = getPath(key);
+    if (path.length === 0 && !paramUtils.isDictionary(value)) {
+      throw new Error('Cannot set root of parameter tree to non-dictionary');
+    }
+    // else
+    this._params = paramUtils.setSubValue(this._params, path, value);
+  }
+
+  /**
+   * @param key {string} resolved parameter key
+   * @return {boolean} true if the parameter existed
+   * @throws {Error} if key is the root of the tree
+   */
+  deleteParam(key) {
+    const path = getPath(key);
+    if (path.length === 0) {
+      throw new Error('Cannot delete root of parameter tree');
+    }
+    // else
+    const parent = paramUtils.getSubValue(this._params, path.slice(0, -1));
+    const name = path[path.length - 1];
+    if (!paramUtils.isDictionary(parent) || !parent.hasOwnProperty(name)) {
+      return false;
+    }
+    // else
+    delete parent[name];
+    return true;
+  }
+
+  /**
+   * @return {Array.<string>} the keys of every leaf in the parameter tree
+   */
+  getParamNames() {
+    const names = [];
+    const walk = (namespace, dict) => {
+      Object.keys(dict).forEach((name) => {
+        const key = namespace + SEP + name;
+        if (paramUtils.isDictionary(dict[name])) {
+          walk(key, dict[name]);
+        }
+        else {
+          names.push(key);
+        }
+      });
+    };
+    walk('', this._params);
+    return names;
+  }
+
+  /**
+   * Searches for key starting in namespace and moving up towards the root.
+   * Only the first part of key is searched for, so that searching for 'a/b'
+   * from '/ns' finds '/ns/a/b' if '/ns/a' exists, even if '/ns/a/b' doesn't.
+   * @param namespace {string} resolved namespace to start searching from
+   * @param key {string} unresolved parameter key
+   * @return {string|null} the resolved key that was found
+   */
+  searchParam(namespace, key) {
+    if (key.startsWith(SEP)) {
+      return this.hasParam(key) ? key : null;
+    }
+    // else
+    const keyParts = key.split(SEP).filter((part) => part.length > 0);
+    const namespaces = getPath(namespace);
+    for (let i = namespaces.length; i >= 0; --i) {
+      const prefix = SEP + namespaces.slice(0, i).concat('').join(SEP);
+      if (this.hasParam(prefix + keyParts[0])) {
+        return prefix + keyParts.join(SEP);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Determines the paramUpdate calls to make after key changed. Subscribers
+   * to key or one of its namespaces get the new value of key. Subscribers to
+   * keys inside of key get the new value of the key they subscribed to.
+   * @param key {string} resolved key that changed
+   * @param subscribedKeys {Array.<string>} resolved keys with subscribers
+   * @return {Array.<{subscribedKey, key, value}>}
+   */
+  computeUpdates(key, subscribedKeys) {
+    const updates = [];
+    const value = this.getParam(key);
+    subscribedKeys.forEach((subscribedKey) => {
+      if (paramUtils.isInNamespace(key, subscribedKey)) {
+        updates.push({ subscribedKey, key, value });
+      }
+      else if (paramUtils.isInNamespace(subscribedKey, key)) {
+        const path = paramUtils.getRelativePath(subscribedKey, key);
+        updates.push({
+          subscribedKey,
+          key: subscribedKey,
+          value: paramUtils.getSubValue(value, path)
+        });
+      }
+    });
+
+    // the master reports deleted parameters as empty dictionaries
+    updates.forEach((update) => {
+      if (update.value === undefined) {
+        update.value = {};
+      }
+    });
+
+    return updates;
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function getPath(key) {
+  return paramUtils.getRelativePath(paramUtils.cleanKey(key), SEP);
+}
+
+module.exports = ParamServer;
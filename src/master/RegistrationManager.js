@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Tracks the nodes known to the master along with the topics they publish
+ * and subscribe to, the services they provide and the params they're
+ * subscribed to. All names are resolved.
+ */
+class RegistrationManager {
+  constructor() {
+    // caller api by caller id
+    this._nodes = {};
+
+    this.publishers = new Registrations();
+    this.subscribers = new Registrations();
+    this.services = new Registrations();
+    this.paramSubscribers = new Registrations();
+
+    this._topicTypes = {};
+  }
+
+  /**
+   * @param callerId {string}
+   * @return {string|undefined} xmlrpc uri of the node
+   */
+  getNodeApi(callerId) {
+    return this._nodes[callerId];
+  }
+
+  /**
+   * Records the xmlrpc uri for a node. If a different node was already registered
+   * with the same name, its registrations are dropped and its uri is returned
+   * so it can be told to shut down.
+   * @param callerId {string}
+   * @param callerApi {string}
+   * @return {string|null} uri of the node that was replaced
+   */
+  registerNode(callerId, callerApi) {
+    const oldApi = this._nodes[callerId];
+    this._nodes[callerId] = callerApi;
+    if (oldApi === undefined || oldApi === callerApi) {
+      return null;
+    }
+    // else
+    this._forEachRegistrations((registrations) => {
+      registrations.unregisterAll(callerId);
+    });
+    return oldApi;
+  }
+
+  registerPublisher(topic, type, callerId, callerApi) {
+    const replacedApi = this.registerNode(callerId, callerApi);
+    this.publishers.register(topic, callerId, callerApi);
+    if (type !== '*' || !this._topicTypes.hasOwnProperty(topic)) {
+      this._topicTypes[topic] = type;
+    }
+    return replacedApi;
+  }
+
+  registerSubscriber(topic, type, callerId, callerApi) {
+    const replacedApi = this.registerNode(callerId, callerApi);
+    this.subscribers.register(topic, callerId, callerApi);
+    if (!this._topicTypes.hasOwnProperty(topic)) {
+      this._topicTypes[topic] = type;
+    }
+    return replacedApi;
+  }
+
+  registerService(service, serviceApi, callerId, callerApi) {
+    const replacedApi = this.registerNode(callerId, callerApi);
+    // only the most recent provider of a service is kept
+    this.services.unregisterKey(service);
+    this.services.register(service, callerId, callerApi, serviceApi);
+    return replacedApi;
+  }
+
+  registerParamSubscriber(key, callerId, callerApi) {
+    const replacedApi = this.registerNode(callerId, callerApi);
+    this.paramSubscribers.register(key, callerId, callerApi);
+    return replacedApi;
+  }
+
+  /**
+   * @param registrations {Registrations} one of publishers, subscribers, services or paramSubscribers
+   * @param key {string}
+   * @param callerId {string}
+   * @param [serviceApi] {string} for services, the provider that's unregistering
+   * @return {boolean} true if the registration existed
+   */
+  unregister(registrations, key, callerId, serviceApi) {
+    const removed = registrations.unregister(key, callerId, serviceApi);
+    if (removed && !this._hasRegistrations(callerId)) {
+      delete this._nodes[callerId];
+    }
+    return removed;
+  }
+
+  getTopicType(topic) {
+    return this._topicTypes[topic];
+  }
+
+  /**
+   * @return {Array.<Array.<string>>} [topic, type] for every topic with a publisher or subscriber
+   */
+  getTopicTypes() {
+    return Object.keys(this._topicTypes)
+    .filter((topic) => this.publishers.has(topic) || this.subscribers.has(topic))
+    .map((topic) => [topic, this._topicTypes[topic]]);
+  }
+
+  _hasRegistrations(callerId) {
+    let found = false;
+    this._forEachRegistrations((registrations) => {
+      found = found || registrations.hasCaller(callerId);
+    });
+    return found;
+  }
+
+  _forEachRegistrations(callback) {
+    [this.publishers, this.subscribers, this.services, this.paramSubscribers]
+    .forEach(callback);
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+/**
+ * Registrations of a single type, e.g. every publisher, by topic.
+ */
+class Registrations {
+  constructor() {
+    // [{callerId, callerApi, serviceApi}] by name
+    this._map = {};
+  }
+
+  has(key) {
+    return this._map.hasOwnProperty(key);
+  }
+
+  keys() {
+    return Object.keys(this._map);
+  }
+
+  hasCaller(callerId) {
+    return this.keys().some((key) => this._map[key].some((reg) => reg.callerId === callerId));
+  }
+
+  getCallerIds(key) {
+    return (this._map[key] || []).map((reg) => reg.callerId);
+  }
+
+  getApis(key) {
+    return (this._map[key] || []).map((reg) => reg.callerApi);
+  }
+
+  getServiceApi(key) {
+    const regs = this._map[key];
+    return regs ? regs[0].serviceApi : undefined;
+  }
+
+  /**
+   * @return {Array} [key, [callerId...]] for every key, as reported by getSystemState
+   */
+  getState() {
+    return this.keys().map((key) => [key, this.getCallerIds(key)]);
+  }
+
+  register(key, callerId, callerApi, serviceApi) {
+    if (!this._map.hasOwnProperty(key)) {
+      this._map[key] = [];
+    }
+    const regs = this._map[key];
+    const index = regs.findIndex((reg) => reg.callerId === callerId);
+    const reg = { callerId, callerApi, serviceApi };
+    if (index === -1) {
+      regs.push(reg);
+    }
+    else {
+      regs[index] = reg;
+    }
+  }
+
+  unregister(key, callerId, serviceApi) {
+    const regs = this._map[key];
+    if (!regs) {
+      return false;
+    }
+    // else
+    const index = regs.findIndex((reg) => {
+      return reg.callerId === callerId &&
+        (serviceApi === undefined || reg.serviceApi === serviceApi);
+    });
+    if (index === -1) {
+      return false;
+    }
+    // else
+    regs.splice(index, 1);
+    if (regs.length === 0) {
+      delete this._map[key];
+    }
+    return true;
+  }
+
+  unregisterKey(key) {
+    delete this._map[key];
+  }
+
+  unregisterAll(callerId) {
+    this.keys().forEach((key) => {
+      this.unregister(key, callerId);
+    });
+  }
+}
+
+module.exports = RegistrationManager;
@@ -0,0 +1,413 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const xmlrpc = require('xmlrpc-rosnodejs');
+const Logging = require('../lib/Logging.js');
+const XmlrpcClient = require('../utils/XmlrpcClient.js');
+const netUtils = require('../utils/network_utils.js');
+const paramUtils = require('../utils/param_utils.js');
+const ParamServer = require('./ParamServer.js');
+const RegistrationManager = require('./RegistrationManager.js');
+
+const MASTER_CALLER_ID = '/master';
+const SEP = '/';
+
+// response codes for the master api
+const SUCCESS = 1;
+const ERROR = -1;
+
+/**
+ * ROS Master and Parameter Server.
+ * Implements the master's xmlrpc api so that nodes can find each other
+ * without a separate roscore.
+ *
+ * Emits
+ *   'ready' once the xmlrpc server is listening
+ */
+class RosMaster extends EventEmitter {
+  /**
+   * @param [options] {object}
+   * @param [options.host] {string} hostname used in the master uri
+   * @param [options.port] {number} port to listen on. 0 picks any available port. @default 11311
+   */
+  constructor(options={}) {
+    super();
+
+    this._log = Logging.getLogger(Logging.DEFAULT_LOGGER_NAME + '.master');
+    this._debugLog = Logging.getLogger('ros.superdebug');
+
+    this._host = options.host || netUtils.getHost() || 'localhost';
+    this._port = options.hasOwnProperty('port') ? options.port : 11311;
+
+    this._regManager = new RegistrationManager();
+    this._paramServer = new ParamServer();
+
+    // like roscore, give each run of the master a unique id so nodes can tell when it restarts
+    this._paramServer.setParam('/run_id', createRunId());
+
+    // xmlrpc clients for nodes we need to notify, by caller api.
+    // Calls are queued per client so a node gets updates in order.
+    this._nodeClients = {};
+
+    this._server = null;
+  }
+
+  /**
+   * @return {Promise} resolved with the master uri once the server is listening
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      const server = xmlrpc.createServer({port: this._port}, () => {
+        this._port = server.httpServer.address().port;
+        this._log.info('ROS Master listening at %s', this.getUri());
+        server.httpServer.removeListener('error', reject);
+        resolve(this.getUri());
+        this.emit('ready');
+      });
+      server.httpServer.once('error', reject);
+
+      server.on('NotFound', (method, params) => {
+        this._log.warn('Method ' + method + ' does not exist: ' + params);
+      });
+
+      Object.keys(this._getApi()).forEach((method) => {
+        server.on(method, this._handleCall.bind(this, method));
+      });
+
+      this._server = server;
+    });
+  }
+
+  /**
+   * @return {string} uri for nodes to use as ROS_MASTER_URI
+   */
+  getUri() {
+    return `http://${this._host}:${this._port}/`;
+  }
+
+  /**
+   * Stops the xmlrpc server. Registered nodes are not notified.
+   * @return {Promise}
+   */
+  shutdown() {
+    Object.keys(this._nodeClients).forEach((api) => {
+      this._nodeClients[api].clear();
+    });
+    this._nodeClients = {};
+
+    if (this._server === null) {
+      return Promise.resolve();
+    }
+    // else
+    const server = this._server;
+    this._server = null;
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  }
+
+  _getApi() {
+    return {
+      getUri: this._getUri,
+      getPid: this._getPid,
+      registerService: this._registerService,
+      unregisterService: this._unregisterService,
+      registerSubscriber: this._registerSubscriber,
+      unregisterSubscriber: this._unregisterSubscriber,
+      registerPublisher: this._registerPublisher,
+      unregisterPublisher: this._unregisterPublisher,
+      lookupNode: this._lookupNode,
+      lookupService: this._lookupService,
+      getPublishedTopics: this._getPublishedTopics,
+      getTopicTypes: this._getTopicTypes,
+      getSystemState: this._getSystemState,
+      deleteParam: this._deleteParam,
+      setParam: this._setParam,
+      getParam: this._getParam,
+      hasParam: this._hasParam,
+      searchParam: this._searchParam,
+      subscribeParam: this._subscribeParam,
+      unsubscribeParam: this._unsubscribeParam,
+      getParamNames: this._getParamNames
+    };
+  }
+
+  _handleCall(method, err, params, callback) {
+    this._debugLog.info('Master call %s %j', method, params);
+    let resp;
+    try {
+      if (!Array.isArray(params) || typeof params[0] !== 'string') {
+        throw new Error('caller_id must be a string');
+      }
+      // else
+      resp = this._getApi()[method].apply(this, params);
+    }
+    catch (error) {
+      this._log.warn('Error handling %s from %s: %s', method, params && params[0], error.message);
+      resp = [ERROR, error.message, 0];
+    }
+    callback(null, resp);
+  }
+
+  //------------------------------------------------------------------
+  // Master API
+  //------------------------------------------------------------------
+
+  _getUri(callerId) {
+    return [SUCCESS, '', this.getUri()];
+  }
+
+  _getPid(callerId) {
+    return [SUCCESS, '', process.pid];
+  }
+
+  _registerService(callerId, service, serviceApi, callerApi) {
+    service = resolveName(service, callerId);
+    this._handleReplacedNode(callerId,
+      this._regManager.registerService(service, serviceApi, callerId, callerApi));
+    return [SUCCESS, `Registered [${callerId}] as provider of [${service}]`, 1];
+  }
+
+  _unregisterService(callerId, service, serviceApi) {
+    service = resolveName(service, callerId);
+    const {services} = this._regManager;
+    if (!this._regManager.unregister(services, service, callerId, serviceApi)) {
+      return [SUCCESS, `[${callerId}] is not a provider of [${service}]`, 0];
+    }
+    // else
+    return [SUCCESS, `Unregistered [${callerId}] as provider of [${service}]`, 1];
+  }
+
+  _registerSubscriber(callerId, topic, type, callerApi) {
+    topic = resolveName(topic, callerId);
+    this._handleReplacedNode(callerId,
+      this._regManager.registerSubscriber(topic, type, callerId, callerApi));
+    return [SUCCESS, `Subscribed to [${topic}]`, this._regManager.publishers.getApis(topic)];
+  }
+
+  _unregisterSubscriber(callerId, topic, callerApi) {
+    topic = resolveName(topic, callerId);
+    const {subscribers} = this._regManager;
+    if (!this._regManager.unregister(subscribers, topic, callerId)) {
+      return [SUCCESS, `[${callerId}] is not a subscriber of [${topic}]`, 0];
+    }
+    // else
+    return [SUCCESS, `Unregistered [${callerId}] as subscriber of [${topic}]`, 1];
+  }
+
+  _registerPublisher(callerId, topic, type, callerApi) {
+    topic = resolveName(topic, callerId);
+    this._handleReplacedNode(callerId,
+      this._regManager.registerPublisher(topic, type, callerId, callerApi));
+    this._notifyTopicSubscribers(topic);
+    return [
+      SUCCESS,
+      `Registered [${callerId}] as publisher of [${topic}]`,
+      this._regManager.subscribers.getApis(topic)
+    ];
+  }
+
+  _unregisterPublisher(callerId, topic, callerApi) {
+    topic = resolveName(topic, callerId);
+    const {publishers} = this._regManager;
+    if (!this._regManager.unregister(publishers, topic, callerId)) {
+      return [SUCCESS, `[${callerId}] is not a publisher of [${topic}]`, 0];
+    }
+    // else
+    this._notifyTopicSubscribers(topic);
+    return [SUCCESS, `Unregistered [${callerId}] as provider of [${topic}]`, 1];
+  }
+
+  _lookupNode(callerId, nodeName) {
+    nodeName = resolveName(nodeName, callerId);
+    const api = this._regManager.getNodeApi(nodeName);
+    if (api === undefined) {
+      return [ERROR, `unknown node [${nodeName}]`, ''];
+    }
+    // else
+    return [SUCCESS, 'node api', api];
+  }
+
+  _lookupService(callerId, service) {
+    service = resolveName(service, callerId);
+    const serviceApi = this._regManager.services.getServiceApi(service);
+    if (serviceApi === undefined) {
+      return [ERROR, `no provider for [${service}]`, ''];
+    }
+    // else
+    return [SUCCESS, `rosrpc URI: [${serviceApi}]`, serviceApi];
+  }
+
+  _getPublishedTopics(callerId, subgraph='') {
+    const prefix = subgraph ? resolveName(subgraph, callerId) : '';
+    const topics = this._regManager.publishers.keys()
+    .filter((topic) => prefix === '' || paramUtils.isInNamespace(topic, prefix))
+    .map((topic) => [topic, this._regManager.getTopicType(topic)]);
+    return [SUCCESS, 'current topics', topics];
+  }
+
+  _getTopicTypes(callerId) {
+    return [SUCCESS, 'current topic types', this._regManager.getTopicTypes()];
+  }
+
+  _getSystemState(callerId) {
+    const {publishers, subscribers, services} = this._regManager;
+    return [
+      SUCCESS,
+      'current system state',
+      [publishers.getState(), subscribers.getState(), services.getState()]
+    ];
+  }
+
+  //------------------------------------------------------------------
+  // Parameter Server API
+  //------------------------------------------------------------------
+
+  _deleteParam(callerId, key) {
+    key = resolveName(key, callerId);
+    if (!this._paramServer.deleteParam(key)) {
+      return [ERROR, `parameter [${key}] is not set`, 0];
+    }
+    // else
+    this._notifyParamSubscribers(key);
+    return [SUCCESS, `parameter ${key} deleted`, 0];
+  }
+
+  _setParam(callerId, key, value) {
+    key = resolveName(key, callerId);
+    this._paramServer.setParam(key, value);
+    this._notifyParamSubscribers(key);
+    return [SUCCESS, `parameter ${key} set`, 0];
+  }
+
+  _getParam(callerId, key) {
+    key = resolveName(key, callerId);
+    const value = this._paramServer.getParam(key);
+    if (value === undefined) {
+      return [ERROR, `Parameter [${key}] is not set`, 0];
+    }
+    // else
+    return [SUCCESS, `Parameter [${key}]`, value];
+  }
+
+  _hasParam(callerId, key) {
+    key = resolveName(key, callerId);
+    return [SUCCESS, key, this._paramServer.hasParam(key)];
+  }
+
+  _searchParam(callerId, key) {
+    const found = this._paramServer.searchParam(callerId, key);
+    if (found === null) {
+      return [ERROR, `Cannot find parameter [${key}] in an upwards search`, ''];
+    }
+    // else
+    return [SUCCESS, `Found [${found}]`, found];
+  }
+
+  _subscribeParam(callerId, callerApi, key) {
+    key = resolveName(key, callerId);
+    this._handleReplacedNode(callerId,
+      this._regManager.registerParamSubscriber(key, callerId, callerApi));
+    const value = this._paramServer.getParam(key);
+    return [SUCCESS, `Subscribed to parameter [${key}]`, value === undefined ? {} : value];
+  }
+
+  _unsubscribeParam(callerId, callerApi, key) {
+    key = resolveName(key, callerId);
+    const {paramSubscribers} = this._regManager;
+    const removed = this._regManager.unregister(paramSubscribers, key, callerId);
+    return [SUCCESS, `[${callerId}] unsubscribed from [${key}]`, removed ? 1 : 0];
+  }
+
+  _getParamNames(callerId) {
+    return [SUCCESS, 'Parameter names', this._paramServer.getParamNames()];
+  }
+
+  //------------------------------------------------------------------
+  // Node notifications
+  //------------------------------------------------------------------
+
+  _notifyTopicSubscribers(topic) {
+    const pubApis = this._regManager.publishers.getApis(topic);
+    this._regManager.subscribers.getApis(topic).forEach((api) => {
+      this._callNode(api, 'publisherUpdate', [MASTER_CALLER_ID, topic, pubApis]);
+    });
+  }
+
+  _notifyParamSubscribers(key) {
+    const {paramSubscribers} = this._regManager;
+    const updates = this._paramServer.computeUpdates(key, paramSubscribers.keys());
+    updates.forEach(({subscribedKey, key, value}) => {
+      // the master reports keys with a trailing separator
+      const reportedKey = key === SEP ? key : key + SEP;
+      paramSubscribers.getApis(subscribedKey).forEach((api) => {
+        this._callNode(api, 'paramUpdate', [MASTER_CALLER_ID, reportedKey, value]);
+      });
+    });
+  }
+
+  /**
+   * Tells a node that was replaced by a newer node with the same name to shut down.
+   */
+  _handleReplacedNode(callerId, replacedApi) {
+    if (replacedApi !== null) {
+      this._log.warn('New node registered with name %s, shutting down %s', callerId, replacedApi);
+      this._callNode(replacedApi, 'shutdown',
+        [MASTER_CALLER_ID, `[${callerId}] Reason: new node registered with same name`]);
+      delete this._nodeClients[replacedApi];
+    }
+  }
+
+  _callNode(api, method, data) {
+    if (this._server === null) {
+      return;
+    }
+    // else
+    let client = this._nodeClients[api];
+    if (!client) {
+      client = new XmlrpcClient(netUtils.getAddressAndPortFromUri(api), this._debugLog);
+      this._nodeClients[api] = client;
+    }
+
+    client.call(method, data, () => {}, (err) => {
+      this._log.warn('Unable to call %s on %s: %s', method, api, err.message);
+    }, { maxAttempts: 1 });
+  }
+}
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+/**
+ * @return {string} a random uuid
+ */
+function createRunId() {
+  const hex = crypto.randomBytes(16).toString('hex');
+  return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-');
+}
+
+/**
+ * Resolves a name relative to the namespace of the node that sent it.
+ * @param name {string}
+ * @param callerId {string} resolved name of the calling node
+ * @return {string}
+ */
+function resolveName(name, callerId) {
+  if (typeof name !== 'string') {
+    throw new Error('Names must be strings');
+  }
+  // else
+  if (name.startsWith(SEP)) {
+    return paramUtils.cleanKey(name);
+  }
+  else if (name.startsWith('~')) {
+    return paramUtils.cleanKey(callerId + SEP + name.substr(1));
+  }
+  // else
+  const namespace = callerId.substr(0, callerId.lastIndexOf(SEP));
+  return paramUtils.cleanKey(namespace + SEP + name);
+}
+
+module.exports = RosMaster;
@@ -20,11 +20,10 @@
 const fs = require('fs');
 const path = require('path');
 
+// without a CMAKE_PREFIX_PATH there are no generated messages, but messages
+// can still be loaded on the fly or registered from their definitions
 const CMAKE_PREFIX_PATH = process.env.CMAKE_PREFIX_PATH;
-if (!CMAKE_PREFIX_PATH) {
-  throw new Error('Unable to find CMAKE_PREFIX_PATH environment variable. Did you source setup.bash?')
-}
-const cmakePaths = CMAKE_PREFIX_PATH.split(path.delimiter);
+const cmakePaths = CMAKE_PREFIX_PATH ? CMAKE_PREFIX_PATH.split(path.delimiter) : [];
 const jsMsgPath = path.join('share', 'gennodejs', 'ros');
 
 //-----------------------------------------------------------------------
@@ -57,7 +56,15 @@ module.exports = {
       return require(packagePaths[messagePackage]);
     }
     // else
-    throw new Error(`Unable to find message package ${messagePackage} from CMAKE_PREFIX_PATH`);
+    let err;
+    if (!CMAKE_PREFIX_PATH) {
+      err = new Error(`Unable to find message package ${messagePackage}: no CMAKE_PREFIX_PATH environment variable. Did you source setup.bash?`);
+    }
+    else {
+      err = new Error(`Unable to find message package ${messagePackage} from CMAKE_PREFIX_PATH`);
+    }
+    err.code = 'E_ROSMSGNOTFOUND';
+    throw err;
   },
 
   CMAKE_PREFIX_PATH,
@@ -20,6 +20,21 @@ parser.addArgument(
     help: 'Directory to output message into (e.g. /tmp). Messages are built to devel space by default'
   }
 );
+parser.addArgument(
+  ['--no-typings'],
+  {
+    help: 'Skip writing TypeScript declaration files for the messages',
+    action: 'storeFalse',
+    dest: 'typings'
+  }
+);
+parser.addArgument(
+  ['-s', '--schema'],
+  {
+    help: 'Print a JSON Schema for a message or service type (e.g. geometry_msgs/Pose) instead of generating messages',
+    metavar: 'TYPE'
+  }
+);
 parser.addArgument(
   ['-v', '--verbose'],
   {
@@ -33,11 +48,22 @@ if (args.output) {
   args.output = path.resolve(args.output);
 }
 
-if (args.pkg !== null) {
-  rosnodejs.loadPackage(args.pkg, args.output, args.verbose);
+if (args.schema !== null) {
+  rosnodejs.getJsonSchema(args.schema)
+  .then((schema) => {
+    console.log(JSON.stringify(schema, null, 2));
+    process.exit();
+  })
+  .catch((err) => {
+    console.error('Error while generating JSON Schema: %s', err.message);
+    process.exit(1);
+  });
+}
+else if (args.pkg !== null) {
+  rosnodejs.loadPackage(args.pkg, args.output, args.verbose, args.typings);
 }
 else {
-  rosnodejs.loadAllPackages(args.output, args.verbose)
+  rosnodejs.loadAllPackages(args.output, args.verbose, args.typings)
   .then(() => {
     console.log('Message generation complete!');
     process.exit();
@@ -0,0 +1,182 @@
+'use strict';
+
+const EventEmitter = require('events');
+const UdprosUtils = require('./udpros_utils.js');
+
+const {DATA0, DATAN} = UdprosUtils.OP_CODES;
+const MSG_ID_RANGE = UdprosUtils.MSG_ID_RANGE;
+
+/**
+ * Rebuilds messages from the datagrams received on a single UDPROS connection.
+ * Blocks may arrive out of order or more than once. A message that isn't
+ * complete within timeoutMs of its first block is discarded.
+ *
+ * Message ids that are skipped, or superseded by newer messages before they
+ * arrive, are counted as lost along with messages that time out.
+ *
+ * Emits
+ *   'message' (msg {Buffer}) with each complete serialized message, minus its length
+ *   'lost' (count {number}) when messages are lost
+ */
+class UdprosReassembler extends EventEmitter {
+  /**
+   * @param timeoutMs {number} time to wait for all blocks of a message
+   */
+  constructor(timeoutMs) {
+    super();
+
+    this._timeoutMs = timeoutMs;
+
+    // messages we've received some but not all blocks of, by message id
+    this._pending = {};
+
+    // id of the newest message we've seen on this connection
+    this._lastMsgId = null;
+  }
+
+  /**
+   * @param header {object} deserialized UDPROS header for the datagram
+   * @param dgram {Buffer} the full datagram, including its header
+   */
+  handleDatagram(header, dgram) {
+    const {opCode, msgId, blkN} = header;
+    if (opCode !== DATA0 && opCode !== DATAN) {
+      return;
+    }
+
+    let pending = this._pending[msgId];
+    if (!pending) {
+      if (!this._isNewMsgId(msgId)) {
+        // duplicate or late block for a message we've already handled
+        return;
+      }
+      // else
+      this._trackMsgId(msgId);
+      if (opCode === DATA0 && blkN <= 1) {
+        // the whole message fit in one datagram
+        this._emitMessage(dgram.slice(UdprosUtils.UDPROS_HEADER_LENGTH));
+        return;
+      }
+      // else
+      pending = this._createPending(msgId);
+    }
+
+    const payload = dgram.slice(UdprosUtils.UDPROS_HEADER_LENGTH);
+    if (opCode === DATA0) {
+      if (pending.numBlocks !== null) {
+        return;
+      }
+      pending.numBlocks = blkN;
+      pending.blocks[0] = payload;
+    }
+    else {
+      if (blkN === 0 || pending.blocks[blkN] !== undefined) {
+        return;
+      }
+      pending.blocks[blkN] = payload;
+    }
+
+    if (this._isComplete(pending)) {
+      this._clearPending(msgId);
+      this._emitMessage(Buffer.concat(pending.blocks.slice(0, pending.numBlocks)));
+    }
+  }
+
+  /**
+   * Discards any partially received messages
+   */
+  clear() {
+    Object.keys(this._pending).forEach((msgId) => {
+      this._clearPending(msgId);
+    });
+  }
+
+  /**
+   * Checks whether msgId is newer than any message we've seen, accounting for wrap around.
+   * Anything in the half of the id range behind the newest message is considered old.
+   * @param msgId {number}
+   * @returns {boolean}
+   */
+  _isNewMsgId(msgId) {
+    if (this._lastMsgId === null) {
+      return true;
+    }
+    // else
+    const diff = (msgId - this._lastMsgId + MSG_ID_RANGE) % MSG_ID_RANGE;
+    return diff > 0 && diff < MSG_ID_RANGE / 2;
+  }
+
+  _trackMsgId(msgId) {
+    if (this._lastMsgId !== null) {
+      const skipped = (msgId - this._lastMsgId + MSG_ID_RANGE - 1) % MSG_ID_RANGE;
+      this._emitLost(skipped);
+    }
+    this._lastMsgId = msgId;
+
+    // anything still pending from the far side of the id range will never complete
+    Object.keys(this._pending).forEach((id) => {
+      if (this._isNewMsgId(+id)) {
+        this._clearPending(id);
+        this._emitLost(1);
+      }
+    });
+  }
+
+  _createPending(msgId) {
+    const pending = {
+      numBlocks: null,
+      blocks: [],
+      timeout: setTimeout(() => {
+        delete this._pending[msgId];
+        this._emitLost(1);
+      }, this._timeoutMs)
+    };
+    this._pending[msgId] = pending;
+    return pending;
+  }
+
+  _clearPending(msgId) {
+    const pending = this._pending[msgId];
+    if (pending) {
+      clearTimeout(pending.timeout);
+      delete this._pending[msgId];
+    }
+  }
+
+  _isComplete(pending) {
+    if (pending.numBlocks === null) {
+      return false;
+    }
+    // else
+    for (let i = 0; i < pending.numBlocks; ++i) {
+      if (pending.blocks[i] === undefined) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  _emitMessage(buffer) {
+    // strip off the message length
+    if (buffer.length < 4) {
+      this._emitLost(1);
+      return;
+    }
+    // else
+    const msgLen = buffer.readUInt32LE(0);
+    if (msgLen + 4 > buffer.length) {
+      this._emitLost(1);
+      return;
+    }
+    // else
+    this.emit('message', buffer.slice(4, msgLen + 4));
+  }
+
+  _emitLost(count) {
+    if (count > 0) {
+      this.emit('lost', count);
+    }
+  }
+}
+
+module.exports = UdprosReassembler;
@@ -84,12 +84,13 @@ class XmlrpcClient extends EventEmitter {
     }
     // else
     const call = this._callQueue[0];
+    let finished = false;
     this._log.info('Try execute call %s: %j', call.method, call.data);
     call.call(this._xmlrpcClient)
     .then((resp) => {
       // call succeeded, clean up and call its handler
       this._log.info('Call %s %j succeeded! %j', call.method, call.data, resp);
-      this._shiftQueue();
+      finished = true;
       this._resetTimeout();
       call.resolve(resp);
     })
@@ -108,12 +109,18 @@ class XmlrpcClient extends EventEmitter {
       }
       else {
         // call failed - move on.
-        this._shiftQueue();
+        finished = true;
         this._resetTimeout();
         call.reject(err);
       }
     })
     .then(() => {
+      // leave the finished call at the front of the queue until now so that
+      // calls made from its handlers wait for us instead of executing immediately
+      if (finished && this._callQueue[0] === call) {
+        this._shiftQueue();
+      }
+
       if (this._timeoutId === null && this._callQueue.length > 0) {
         this._tryExecuteCall();
       }
@@ -0,0 +1,379 @@
+'use strict';
+
+const BN = require('bn.js');
+const msgUtils = require('./message_utils.js');
+const ValidationUtils = require('./validation_utils.js');
+const YamlUtils = require('./yaml_utils.js');
+const Time = require('../lib/Time.js');
+
+/**
+ * Converts messages to and from plain JSON and the YAML used by rostopic echo and
+ * rostopic pub. Conversions follow the message's spec, so they work for both
+ * pre-generated and on the fly messages.
+ *
+ * In JSON, time and duration fields are {secs, nsecs}, uint8[] and char[] fields are
+ * base64 strings, 64 bit integers are numbers or strings of digits if they don't fit
+ * in a number, and NaN and infinite floats are null.
+ */
+const ConversionUtils = {
+  /**
+   * @param msg {Object} message to convert
+   * @param [type] {string|Object} message type or class. Defaults to the class msg was created from.
+   * @param [options] {Object}
+   * @param [options.bytes] {string} 'base64' (default) or 'array' for uint8[] and char[] fields
+   * @return {Object} JSON safe copy of the message
+   */
+  toJSON(msg, type=null, options={}) {
+    const messageClass = getMessageClass(type, msg);
+    const bytes = options.bytes || 'base64';
+    return messageToJSON(msgUtils.getMessageSpec(messageClass), msg, bytes);
+  },
+
+  /**
+   * Creates a message from JSON, filling in defaults for missing fields.
+   * Also accepts uint8[] and char[] fields as arrays and 64 bit integers as numbers,
+   * and 'now' for time fields.
+   * @param type {string|Object} message type or class
+   * @param json {Object|string} JSON object or string
+   * @return {Object} message instance
+   * @throws {Error} with code E_ROSMSGINVALID if the JSON doesn't match the message
+   */
+  fromJSON(type, json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    return createMessage(getMessageClass(type), json, 'json');
+  },
+
+  /**
+   * Formats a message the way rostopic echo does, e.g.
+   *   header:
+   *     seq: 1
+   *     stamp:
+   *       secs: 1520000000
+   *       nsecs: 500000000
+   *     frame_id: base
+   * @param msg {Object} message to convert
+   * @param [type] {string|Object} message type or class. Defaults to the class msg was created from.
+   * @param [options] {Object}
+   * @param [options.bytes] {string} 'array' (default) or 'base64' for uint8[] and char[] fields
+   * @return {string}
+   */
+  toYAML(msg, type=null, options={}) {
+    const messageClass = getMessageClass(type, msg);
+    const bytes = options.bytes || 'array';
+    const spec = msgUtils.getMessageSpec(messageClass);
+    return spec.fields.length > 0 ? messageToYAML(spec, msg, '', bytes) : '{}';
+  },
+
+  /**
+   * Creates a message from YAML like rostopic pub accepts, filling in defaults for missing
+   * fields. This can be a mapping of fields (e.g. '{linear: {x: 1.0}, angular: {z: 0.5}}'),
+   * a list of field values in order, or the output of rostopic echo.
+   * @param type {string|Object} message type or class
+   * @param yaml {string}
+   * @return {Object} message instance
+   * @throws {Error} with code E_ROSYAMLINVALID if the YAML can't be parsed, or
+   *                 E_ROSMSGINVALID if it doesn't match the message
+   */
+  fromYAML(type, yaml) {
+    let value = YamlUtils.parse(yaml);
+    if (value !== null && typeof value !== 'object') {
+      // like rostopic pub, a single value sets the first field
+      value = [value];
+    }
+    return createMessage(getMessageClass(type), value, 'yaml');
+  }
+};
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function getMessageClass(type, msg=null) {
+  if (type === null) {
+    if (msg && msg.constructor && typeof msg.constructor.datatype === 'function') {
+      return msg.constructor;
+    }
+    throw new Error('A message type is required to convert plain objects');
+  }
+  else if (typeof type === 'function') {
+    return type;
+  }
+  // else
+  const messageClass = msgUtils.getHandlerForMsgType(type, true);
+  if (!messageClass) {
+    throw new Error(`Unable to find message type ${type}`);
+  }
+  return messageClass;
+}
+
+function isByteArray(field) {
+  return field.isArray && (field.baseType === 'uint8' || field.baseType === 'char');
+}
+
+function isTime(type) {
+  return type === 'time' || type === 'duration';
+}
+
+function conversionError(messageClass, path, message) {
+  const err = new Error(`Invalid ${messageClass.datatype()} message: ${path || '(message)'}: ${message}`);
+  err.code = 'E_ROSMSGINVALID';
+  err.errors = [`${path || '(message)'}: ${message}`];
+  return err;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  else if (path) {
+    return `${path}.${key}`;
+  }
+  // else
+  return key;
+}
+
+//------------------------------------------------------------------
+// To JSON
+
+function messageToJSON(spec, msg, bytes) {
+  const json = {};
+  spec.fields.forEach((field) => {
+    const value = msg[field.name];
+    if (value === undefined) {
+      return;
+    }
+    else if (isByteArray(field)) {
+      json[field.name] = bytesToJSON(value, bytes);
+    }
+    else if (field.isArray) {
+      json[field.name] = Array.prototype.map.call(value, (item) => valueToJSON(spec, field, item, bytes));
+    }
+    else {
+      json[field.name] = valueToJSON(spec, field, value, bytes);
+    }
+  });
+  return json;
+}
+
+function bytesToJSON(value, bytes) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  else if (bytes === 'base64') {
+    return Buffer.from(value).toString('base64');
+  }
+  // else
+  return Array.from(value);
+}
+
+function valueToJSON(spec, field, value, bytes) {
+  const type = field.baseType;
+  if (value === null || value === undefined) {
+    return value;
+  }
+  else if (!field.isBuiltin) {
+    const fieldSpec = spec.getMsgSpecForType(type);
+    return fieldSpec ? messageToJSON(fieldSpec, value, bytes) : value;
+  }
+  else if (isTime(type)) {
+    return { secs: value.secs, nsecs: value.nsecs };
+  }
+  else if (BN.isBN(value)) {
+    return value.bitLength() <= 53 ? value.toNumber() : value.toString();
+  }
+  else if (typeof value === 'number' && !isFinite(value)) {
+    // JSON has no NaN or Infinity
+    return null;
+  }
+  // else
+  return value;
+}
+
+//------------------------------------------------------------------
+// To YAML
+
+function messageToYAML(spec, msg, indent, bytes) {
+  return spec.fields.map((field) => {
+    return `${indent}${field.name}:` + fieldToYAML(spec, field, msg[field.name], indent + '  ', bytes);
+  }).join('\n');
+}
+
+/**
+ * @return {string} the field's value, starting with a space if it's on the same line
+ *                  as its key or a newline if it's nested under it
+ */
+function fieldToYAML(spec, field, value, indent, bytes) {
+  if (!field.isArray) {
+    return valueToYAML(spec, field, value, indent, bytes);
+  }
+  else if (isByteArray(field) && bytes === 'base64' && value) {
+    return ' ' + YamlUtils.formatString(bytesToJSON(value, bytes));
+  }
+  else if (!value || value.length === 0) {
+    return ' []';
+  }
+  // else
+  const items = Array.prototype.slice.call(value);
+  if (field.isBuiltin && !isTime(field.baseType)) {
+    // rostopic echo prints arrays of primitives on one line
+    return ' [' + items.map((item) => formatPrimitive(field.baseType, item, true)).join(', ') + ']';
+  }
+  // else
+  return items.map((item) => {
+    return `\n${indent}-` + valueToYAML(spec, field, item, indent + '  ', bytes);
+  }).join('');
+}
+
+function valueToYAML(spec, field, value, indent, bytes) {
+  const type = field.baseType;
+  if (value === null || value === undefined) {
+    return ' null';
+  }
+  else if (isTime(type)) {
+    return `\n${indent}secs: ${value.secs}\n${indent}nsecs: ${value.nsecs}`;
+  }
+  else if (field.isBuiltin) {
+    return ' ' + formatPrimitive(type, value, false);
+  }
+  // else
+  const fieldSpec = spec.getMsgSpecForType(type);
+  if (!fieldSpec) {
+    return ' ' + JSON.stringify(value);
+  }
+  else if (fieldSpec.fields.length === 0) {
+    return ' {}';
+  }
+  // else
+  return '\n' + messageToYAML(fieldSpec, value, indent, bytes);
+}
+
+function formatPrimitive(type, value, inFlow) {
+  if (typeof value === 'string') {
+    return YamlUtils.formatString(value, inFlow);
+  }
+  else if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  else if ((type === 'float32' || type === 'float64') && typeof value === 'number') {
+    return formatFloat(value);
+  }
+  // else
+  return String(value);
+}
+
+function formatFloat(value) {
+  if (isNaN(value)) {
+    return 'nan';
+  }
+  else if (!isFinite(value)) {
+    return value > 0 ? 'inf' : '-inf';
+  }
+  else if (Number.isInteger(value) && Math.abs(value) < 1e16) {
+    // keep floats looking like floats, e.g. 1.0
+    return value.toFixed(1);
+  }
+  // else
+  return String(value);
+}
+
+//------------------------------------------------------------------
+// From JSON and YAML
+
+/**
+ * Converts the JSON or YAML value for a message into something its class accepts,
+ * then fills in defaults and checks it
+ */
+function createMessage(messageClass, value, format) {
+  const spec = msgUtils.getMessageSpec(messageClass);
+  const msg = messageFromPlain(messageClass, spec, value, '', format);
+  const resolved = typeof messageClass.Resolve === 'function' ?
+    messageClass.Resolve(msg) : new messageClass(msg);
+  ValidationUtils.validateMessage(messageClass, resolved);
+  return resolved;
+}
+
+function messageFromPlain(messageClass, spec, value, path, format) {
+  if (value === null || value === undefined) {
+    return {};
+  }
+  else if (Array.isArray(value)) {
+    // field values in order, as rostopic pub accepts
+    if (value.length > spec.fields.length) {
+      throw conversionError(messageClass, path,
+        `got ${value.length} values for ${spec.fields.length} fields`);
+    }
+    const msg = {};
+    value.forEach((fieldValue, index) => {
+      const field = spec.fields[index];
+      msg[field.name] = fieldFromPlain(messageClass, spec, field, fieldValue, joinPath(path, field.name), format);
+    });
+    return msg;
+  }
+  else if (typeof value !== 'object') {
+    throw conversionError(messageClass, path, `expected object, got ${typeof value}`);
+  }
+  // else
+  const msg = {};
+  spec.fields.forEach((field) => {
+    if (value[field.name] !== undefined) {
+      msg[field.name] = fieldFromPlain(messageClass, spec, field, value[field.name], joinPath(path, field.name), format);
+    }
+  });
+  return msg;
+}
+
+function fieldFromPlain(messageClass, spec, field, value, path, format) {
+  if (!field.isArray) {
+    return valueFromPlain(messageClass, spec, field, value, path, format);
+  }
+  else if (isByteArray(field) && typeof value === 'string') {
+    return Buffer.from(value, 'base64');
+  }
+  else if (!Array.isArray(value)) {
+    // leave it for validation to report
+    return value;
+  }
+  // else
+  return value.map((item, index) => {
+    return valueFromPlain(messageClass, spec, field, item, joinPath(path, index), format);
+  });
+}
+
+function valueFromPlain(messageClass, spec, field, value, path, format) {
+  const type = field.baseType;
+  if (!field.isBuiltin) {
+    const fieldSpec = spec.getMsgSpecForType(type);
+    return fieldSpec ? messageFromPlain(messageClass, fieldSpec, value, path, format) : value;
+  }
+  else if (isTime(type)) {
+    if (value === 'now') {
+      const now = Time.now();
+      return { secs: now.secs, nsecs: now.nsecs };
+    }
+    else if (Array.isArray(value) && value.length <= 2) {
+      return { secs: value.length > 0 ? value[0] : 0, nsecs: value.length > 1 ? value[1] : 0 };
+    }
+    else if (value !== null && typeof value === 'object') {
+      return {
+        secs: value.secs === undefined ? 0 : value.secs,
+        nsecs: value.nsecs === undefined ? 0 : value.nsecs
+      };
+    }
+  }
+  else if (type === 'int64' || type === 'uint64') {
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+      return new BN(value);
+    }
+  }
+  else if (type === 'float32' || type === 'float64') {
+    if (value === null && format === 'json') {
+      return NaN;
+    }
+  }
+  // else
+  return value;
+}
+
+module.exports = ConversionUtils;
@@ -0,0 +1,31 @@
+'use strict';
+
+const InterceptorUtils = {
+  /**
+   * Runs handler inside of a chain of interceptors. Each interceptor is called as
+   * interceptor(context, next) and should return a Promise of the result. Calling
+   * next() runs the rest of the chain and returns a Promise of its result. Interceptors
+   * can change the context before calling next, change the result it resolves to,
+   * call it again (e.g. to retry) or not call it at all (e.g. to reject the call).
+   * @param interceptors {Array.<function>} run in order, the first one outermost
+   * @param context {object} passed to every interceptor and then to handler
+   * @param handler {function} called with the context at the end of the chain
+   * @return {Promise}
+   */
+  runInterceptors(interceptors, context, handler) {
+    const dispatch = (index) => {
+      return new Promise((resolve) => {
+        if (index === interceptors.length) {
+          resolve(handler(context));
+        }
+        else {
+          resolve(interceptors[index](context, () => dispatch(index + 1)));
+        }
+      });
+    };
+
+    return dispatch(0);
+  }
+};
+
+module.exports = InterceptorUtils;
@@ -0,0 +1,171 @@
+'use strict';
+
+const BN = require('bn.js');
+const fieldsUtil = require('./fields.js');
+
+const JSON_SCHEMA_VERSION = 'http://json-schema.org/draft-07/schema#';
+
+/*
+ * Schemas describe messages in the JSON format used by rosnodejs.toJSON and fromJSON.
+ * Each message type is in the document's definitions under its full name
+ * (e.g. #/definitions/std_msgs~1Header). Message constants aren't part of the
+ * JSON, but each one is a `const` schema in its message schema's own definitions
+ * (e.g. #/definitions/actionlib_msgs~1GoalStatus/definitions/PENDING) so they
+ * can be referenced.
+ */
+module.exports = {
+  createMessageSchema(msgSpec) {
+    const deps = msgSpec.getFullDependencies();
+
+    const schema = Object.assign({
+      $schema: JSON_SCHEMA_VERSION,
+      title: msgSpec.getFullMessageName()
+    }, getMessageSchema(msgSpec));
+
+    // the message's constants are already in its definitions
+    schema.definitions = schema.definitions || {};
+    addMessageDefinitions(schema.definitions, deps);
+
+    return schema;
+  },
+
+  createServiceSchema(srvSpec) {
+    const deps = srvSpec.request.getFullDependencies();
+    srvSpec.response.getFullDependencies(deps);
+
+    const schema = {
+      $schema: JSON_SCHEMA_VERSION,
+      title: srvSpec.getFullMessageName(),
+      type: 'object',
+      properties: {
+        request: getReference(srvSpec.request.getFullMessageName()),
+        response: getReference(srvSpec.response.getFullMessageName())
+      },
+      additionalProperties: false,
+      definitions: {}
+    };
+
+    addMessageDefinitions(schema.definitions, [srvSpec.request, srvSpec.response].concat(deps));
+
+    return schema;
+  }
+};
+
+//-----------------------------------------------------------
+// Local Helper functions
+//-----------------------------------------------------------
+
+function getReference(name) {
+  // JSON pointers escape '~' and '/'
+  return { $ref: '#/definitions/' + name.replace(/~/g, '~0').replace(/\//g, '~1') };
+}
+
+function addMessageDefinitions(definitions, specs) {
+  specs.forEach((spec) => {
+    definitions[spec.getFullMessageName()] = Object.assign({
+      title: spec.getFullMessageName()
+    }, getMessageSchema(spec));
+  });
+}
+
+function getMessageSchema(spec) {
+  const properties = {};
+  spec.fields.forEach((field) => {
+    properties[field.name] = getFieldSchema(field);
+  });
+
+  // missing fields are filled in with their defaults, so none are required
+  const schema = {
+    type: 'object',
+    properties,
+    additionalProperties: false
+  };
+
+  if (spec.constants.length > 0) {
+    schema.definitions = {};
+    spec.constants.forEach((constant) => {
+      schema.definitions[constant.name] = { const: getJsonValue(constant.value) };
+    });
+  }
+  return schema;
+}
+
+function getFieldSchema(field) {
+  let schema;
+  if (!field.isArray) {
+    schema = getValueSchema(field);
+  }
+  else {
+    schema = { type: 'array', items: getValueSchema(field) };
+    if (field.arrayLen !== null) {
+      schema.minItems = field.arrayLen;
+      schema.maxItems = field.arrayLen;
+    }
+
+    if (field.baseType === 'uint8' || field.baseType === 'char') {
+      // byte arrays can also be base64 strings
+      schema = { anyOf: [{ type: 'string', contentEncoding: 'base64' }, schema] };
+    }
+  }
+
+  if (field.isBuiltin) {
+    schema.default = getJsonValue(fieldsUtil.getDefaultValue(field.type));
+  }
+  return schema;
+}
+
+function getValueSchema(field) {
+  const type = field.baseType;
+  if (!field.isBuiltin) {
+    return getReference(type);
+  }
+  else if (type === 'bool') {
+    return { type: 'boolean' };
+  }
+  else if (type === 'string') {
+    return { type: 'string' };
+  }
+  else if (type === 'float32' || type === 'float64') {
+    return { type: 'number' };
+  }
+  else if (type === 'time' || type === 'duration') {
+    return {
+      type: 'object',
+      properties: {
+        secs: getIntegerSchema('int32'),
+        nsecs: getIntegerSchema('int32')
+      },
+      additionalProperties: false
+    };
+  }
+  else if (type === 'int64' || type === 'uint64') {
+    // 64 bit integers that don't fit in a number are strings of digits
+    const isUnsigned = type === 'uint64';
+    const numberSchema = { type: 'integer' };
+    if (isUnsigned) {
+      numberSchema.minimum = 0;
+    }
+    return {
+      anyOf: [
+        numberSchema,
+        { type: 'string', pattern: isUnsigned ? '^[0-9]+$' : '^-?[0-9]+$' }
+      ]
+    };
+  }
+  // else
+  return getIntegerSchema(type);
+}
+
+function getIntegerSchema(type) {
+  const [minimum, maximum] = fieldsUtil.integerRanges[type];
+  return { type: 'integer', minimum, maximum };
+}
+
+function getJsonValue(value) {
+  if (BN.isBN(value)) {
+    return value.bitLength() <= 53 ? value.toNumber() : value.toString();
+  }
+  // else
+  // copy defaults like {secs: 0, nsecs: 0} so they can't be changed through the schema
+  return JSON.parse(JSON.stringify(value));
+}
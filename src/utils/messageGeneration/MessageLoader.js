@@ -51,11 +51,14 @@ function writeFile(filepath, data) {
 }
 
 class MessageManager {
-  constructor(verbose=false) {
+  constructor(verbose=false, writeTypings=true) {
     this._packageChain = [];
     this._loadingPkgs = new Map();
 
     this._verbose = verbose;
+
+    // write TypeScript declaration files alongside the generated messages
+    this._writeTypings = writeTypings;
   }
 
   log() {
@@ -96,6 +99,24 @@ class MessageManager {
     return null;
   }
 
+  /**
+   * Creates a JSON Schema for a message or service type from its definition
+   * in the ROS package path
+   * @param type {string} e.g. geometry_msgs/Pose or std_srvs/SetBool
+   * @returns {Promise.<object>}
+   */
+  createJsonSchema(type) {
+    return this.initTree()
+    .then(() => {
+      const spec = this.getMessageSpec(type) || this.getMessageSpec(type, MsgSpec.SRV_TYPE);
+      if (!spec) {
+        throw new Error(`Unable to find message or service type ${type}`);
+      }
+      // else
+      return spec.generateJsonSchema();
+    });
+  }
+
   buildPackageTree(outputDirectory, writeFiles=true) {
     return this.initTree()
     .then(() => {
@@ -131,7 +152,8 @@ class MessageManager {
     let p;
     if (packageCache === null) {
       this.log('Traversing ROS_PACKAGE_PATH...');
-      p = packages.findMessagePackages();
+      // reject instead of throwing if the ROS_PACKAGE_PATH isn't set
+      p = Promise.resolve().then(() => packages.findMessagePackages());
     }
     else {
       p = Promise.resolve();
@@ -174,6 +196,7 @@ class MessageManager {
       return this.initPackageWrite(packageName, outputDirectory)
         .then(this.writePackageMessages.bind(this, packageName, outputDirectory))
         .then(this.writePackageServices.bind(this, packageName, outputDirectory))
+        .then(this.writePackageActions.bind(this, packageName, outputDirectory))
         .then(() => {
           this._loadingPkgs.set(packageName, PKG_LOADED);
           console.log('Finished building package %s', packageName);
@@ -202,6 +225,14 @@ class MessageManager {
             .then(this.createServiceIndex.bind(this, packageName, srvDir));
         }
       })
+      .then(() => {
+        // actions only have typings - their messages are written to the msg directory
+        if (this._writeTypings && this.packageHasActions(packageName)) {
+          const actionDir = path.join(packageDir, 'action');
+          return createDirectory(actionDir)
+            .then(this.createActionIndex.bind(this, packageName, actionDir));
+        }
+      })
       .then(this.createPackageIndex.bind(this, packageName, packageDir));
   }
 
@@ -221,7 +252,73 @@ class MessageManager {
     w.dedent()
       .write('};');
 
-    return writeFile(path.join(directory, '_index.js'), w.get());
+    return writeFile(path.join(directory, '_index.js'), w.get())
+      .then(() => {
+        if (this._writeTypings) {
+          return this.createPackageIndexTypings(packageName, directory);
+        }
+      });
+  }
+
+  createPackageIndexTypings(packageName, directory) {
+    const w = new IndentedWriter();
+
+    const hasMessages = this.packageHasMessages(packageName) || this.packageHasActions(packageName);
+    const hasServices = this.packageHasServices(packageName);
+    const hasActions = this.packageHasActions(packageName);
+    const exported = [];
+    if (hasMessages) {
+      w.write('import msg = require(\'./msg/_index\');');
+      exported.push('msg');
+    }
+    if (hasServices) {
+      w.write('import srv = require(\'./srv/_index\');');
+      exported.push('srv');
+    }
+    if (hasActions) {
+      w.write('import action = require(\'./action/_index\');');
+      exported.push('action');
+    }
+    w.newline()
+      .write('export { %s };', exported.join(', '))
+      .newline();
+
+    // register this package's types by name so the rosnodejs typings can look them up
+    w.write('declare global {')
+      .indent('namespace Rosnodejs {')
+      .indent('interface MessageTypes {')
+      .indent();
+    Object.keys(packageCache[packageName].messages).forEach((message) => {
+      const spec = packageCache[packageName].messages[message].msgSpec;
+      w.write('\'%s\': msg.%s;', spec.getFullMessageName(), message);
+    });
+    w.dedent('}')
+      .newline()
+      .write('interface ServiceTypes {')
+      .indent();
+    Object.keys(packageCache[packageName].services).forEach((service) => {
+      const spec = packageCache[packageName].services[service].msgSpec;
+      w.write('\'%s\': { Request: srv.%s.Request, Response: srv.%s.Response };',
+              spec.getFullMessageName(), service, service);
+    });
+    w.dedent('}')
+      .newline()
+      .write('interface ActionTypes {')
+      .indent();
+    Object.keys(packageCache[packageName].actions).forEach((action) => {
+      const spec = packageCache[packageName].actions[action].msgSpec;
+      w.write('\'%s\': action.%s;', spec.getFullMessageName(), action);
+    });
+    w.dedent('}')
+      .newline()
+      .write('interface MessagePackages {')
+      .indent('%s: { %s };', packageName,
+              exported.filter((key) => key !== 'action').map((key) => `${key}: typeof ${key}`).join(', '))
+      .dedent('}')
+      .dedent('}')
+      .dedent('}');
+
+    return writeFile(path.join(directory, '_index.d.ts'), w.get());
   }
 
   createIndex(packageName, directory, msgKey) {
@@ -237,7 +334,23 @@ class MessageManager {
     w.dedent()
       .write('};');
 
-    return writeFile(path.join(directory, '_index.js'), w.get());
+    return writeFile(path.join(directory, '_index.js'), w.get())
+      .then(() => {
+        if (this._writeTypings) {
+          return this.createIndexTypings(packageName, directory, msgKey);
+        }
+      });
+  }
+
+  createIndexTypings(packageName, directory, msgKey) {
+    const messages = Object.keys(packageCache[packageName][msgKey]);
+    const w = new IndentedWriter();
+
+    messages.forEach((message) => {
+      w.write('export import %s = require(\'./%s\');', message, message);
+    });
+
+    return writeFile(path.join(directory, '_index.d.ts'), w.get());
   }
 
   createMessageIndex(packageName, directory) {
@@ -248,6 +361,10 @@ class MessageManager {
     return this.createIndex(packageName, directory, 'services');
   }
 
+  createActionIndex(packageName, directory) {
+    return this.createIndexTypings(packageName, directory, 'actions');
+  }
+
   packageHasMessages(packageName) {
     return Object.keys(packageCache[packageName].messages).length > 0;
   }
@@ -272,6 +389,9 @@ class MessageManager {
         const spec = packageMsgs[msgName].msgSpec;
         this.log(`Building message ${spec.packageName}/${spec.messageName}`);
         promises.push(writeFile(path.join(msgDir, `${msgName}.js`), spec.generateMessageClassFile()));
+        if (this._writeTypings) {
+          promises.push(writeFile(path.join(msgDir, `${msgName}.d.ts`), spec.generateMessageTypingsFile()));
+        }
       });
 
       return Promise.all(promises);
@@ -292,6 +412,33 @@ class MessageManager {
         const spec = packageSrvs[srvName].msgSpec;
         this.log(`Building service ${spec.packageName}/${spec.messageName}`);
         promises.push(writeFile(path.join(msgDir, `${srvName}.js`), spec.generateMessageClassFile()));
+        if (this._writeTypings) {
+          promises.push(writeFile(path.join(msgDir, `${srvName}.d.ts`), spec.generateMessageTypingsFile()));
+        }
+      });
+
+      return Promise.all(promises);
+    }
+    // else
+    return Promise.resolve();
+  }
+
+  writePackageActions(packageName, jsMsgDir) {
+    if (!this._writeTypings) {
+      return Promise.resolve();
+    }
+    // else
+    const actionDir = path.join(jsMsgDir, packageName, 'action');
+
+    const packageActions = packageCache[packageName].actions;
+    const numActions = Object.keys(packageActions).length;
+    if (numActions > 0) {
+      this.log('Building %d action typings from %s', numActions, packageName);
+      const promises = [];
+      Object.keys(packageActions).forEach((actionName) => {
+        const spec = packageActions[actionName].msgSpec;
+        this.log(`Building action typings ${spec.packageName}/${spec.messageName}`);
+        promises.push(writeFile(path.join(actionDir, `${actionName}.d.ts`), spec.generateMessageTypingsFile()));
       });
 
       return Promise.all(promises);
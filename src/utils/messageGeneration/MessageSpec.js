@@ -5,6 +5,7 @@ const md5 = require('md5');
 const fieldsUtil = require('./fields.js');
 const IndentedWriter = require('./IndentedWriter.js');
 const MessageWriter = require('./MessageWriter.js');
+const JsonSchemaWriter = require('./JsonSchemaWriter.js');
 
 const specCache = {};
 const MSG_DIVIDER = '---';
@@ -131,21 +132,78 @@ class RosMsgSpec {
    * @param messageName {string} name of message
    * @param type {string} type of message (see MSG_TYPE, SRV_TYPE, ... above)
    * @param filePath {string|null} path to message file
+   * @param fileContents {string|null} contents of message file, used when there's no filePath
    * @returns {SrvSpec|MsgSpec|ActionSpec}
    */
-  static create(msgCache, packageName, messageName, type, filePath=null) {
+  static create(msgCache, packageName, messageName, type, filePath=null, fileContents=null) {
     switch (type) {
       case SRV_TYPE:
-        return new SrvSpec(msgCache, packageName, messageName, type, filePath);
+        return new SrvSpec(msgCache, packageName, messageName, type, filePath, fileContents);
       case MSG_TYPE:
-        return new MsgSpec(msgCache, packageName, messageName, type, filePath);
+        return new MsgSpec(msgCache, packageName, messageName, type, filePath, fileContents);
       case ACTION_TYPE:
-        return new ActionSpec(msgCache, packageName, messageName, type, filePath);
+        return new ActionSpec(msgCache, packageName, messageName, type, filePath, fileContents);
       default:
         throw new Error(`Unable to create message spec for type [${type}]`);
     }
   }
 
+  /**
+   * Creates a message spec from a full message definition, as returned by a message class's
+   * messageDefinition() or sent in a connection header. The definition includes the
+   * definitions of every message it depends on, which the returned spec uses to look up
+   * the specs of its fields.
+   * @param messageType {string} full type of the message (e.g. geometry_msgs/Pose)
+   * @param definition {string} full message definition
+   * @returns {MsgSpec}
+   */
+  static createFromDefinition(messageType, definition) {
+    return RosMsgSpec.createAllFromDefinition(messageType, definition)[0];
+  }
+
+  /**
+   * Like createFromDefinition, but returns the specs for the message and each of
+   * the dependencies in its definition.
+   * @param messageType {string} full type of the message (e.g. geometry_msgs/Pose)
+   * @param definition {string} full message definition
+   * @param [msgCache] {MessageManager} cache to look up specs missing from the definition in
+   * @returns {Array<MsgSpec>} specs in the order of the definition, starting with the message's
+   */
+  static createAllFromDefinition(messageType, definition, msgCache=null) {
+    // dependencies are separated from the message by a line of '=' and a 'MSG: type' line
+    const sections = [{ type: messageType, lines: [] }];
+    definition.split('\n').forEach((line) => {
+      const section = sections[sections.length - 1];
+      if (/^=+$/.test(line.trim())) {
+        sections.push({ type: null, lines: [] });
+      }
+      else if (section.type === null && line.startsWith('MSG:')) {
+        section.type = line.substring(4).trim();
+      }
+      else {
+        section.lines.push(line);
+      }
+    });
+
+    const specs = {};
+    const definitionCache = {
+      getMessageSpec(type) {
+        return specs[type] || (msgCache && msgCache.getMessageSpec(type)) || null;
+      }
+    };
+
+    const created = [];
+    sections.forEach(({type, lines}) => {
+      if (type) {
+        specs[type] = new MsgSpec(definitionCache, getPackageNameFromMessageType(type),
+                                  fieldsUtil.getMessageNameFromMessageType(type), MSG_TYPE, null, lines.join('\n'));
+        created.push(specs[type]);
+      }
+    });
+
+    return created;
+  }
+
   /**
    * Query the cache for another message spec
    * @param type {string} full type of message to search for (e.g. sensor_msgs/Image)
@@ -188,6 +246,20 @@ class RosMsgSpec {
     throw new Error('Unable to write message class file for base class RosMsgSpec');
   }
 
+  /**
+   * Generates the typings file data for this class
+   */
+  generateMessageTypingsFile() {
+    throw new Error('Unable to write message typings file for base class RosMsgSpec');
+  }
+
+  /**
+   * Generates a JSON Schema for this spec
+   */
+  generateJsonSchema() {
+    throw new Error('Unable to generate JSON Schema for base class RosMsgSpec');
+  }
+
   /**
    * Get full message name for this spec (e.g. sensor_msgs/String)
    * @returns {string}
@@ -495,6 +567,22 @@ class MsgSpec extends RosMsgSpec {
     return MessageWriter.createMessageClass(this);
   }
 
+  /**
+   * Generates text for message typings file
+   * @returns {string}
+   */
+  generateMessageTypingsFile() {
+    return MessageWriter.createMessageTypings(this);
+  }
+
+  /**
+   * Generates a JSON Schema for this message and the messages it depends on
+   * @returns {object}
+   */
+  generateJsonSchema() {
+    return JsonSchemaWriter.createMessageSchema(this);
+  }
+
   /**
    * Generates a depth-first list of all dependencies of this message in field order.
    * @param [deps] {Array}
@@ -521,10 +609,10 @@ class MsgSpec extends RosMsgSpec {
  * @class SrvSpec
  */
 class SrvSpec extends RosMsgSpec {
-  constructor(msgCache, packageName, messageName, type, filePath=null) {
+  constructor(msgCache, packageName, messageName, type, filePath=null, fileContents=null) {
     super(msgCache, packageName, messageName, type, filePath);
 
-    this.fileContents = this._loadMessageFile(filePath);
+    this.fileContents = filePath !== null ? this._loadMessageFile(filePath) : fileContents;
     const {req, resp} = this._extractMessageSections(this.fileContents);
 
     this.request = new MsgSpec(msgCache, packageName, messageName + 'Request', SRV_REQUEST_TYPE, null, req);
@@ -576,6 +664,22 @@ class SrvSpec extends RosMsgSpec {
   generateMessageClassFile() {
     return MessageWriter.createServiceClass(this);
   }
+
+  /**
+   * Generates text for service typings file
+   * @returns {string}
+   */
+  generateMessageTypingsFile() {
+    return MessageWriter.createServiceTypings(this);
+  }
+
+  /**
+   * Generates a JSON Schema for this service's request and response
+   * @returns {object}
+   */
+  generateJsonSchema() {
+    return JsonSchemaWriter.createServiceSchema(this);
+  }
 }
 
 
@@ -586,10 +690,10 @@ class SrvSpec extends RosMsgSpec {
  * @class ActionSpec
  */
 class ActionSpec extends RosMsgSpec {
-  constructor(msgCache, packageName, messageName, type, filePath=null) {
+  constructor(msgCache, packageName, messageName, type, filePath=null, fileContents=null) {
     super(msgCache, packageName, messageName, type, filePath);
 
-    this.fileContents = this._loadMessageFile(filePath);
+    this.fileContents = filePath !== null ? this._loadMessageFile(filePath) : fileContents;
     const {goal, result, feedback} = this._extractMessageSections(this.fileContents);
 
     // Parse the action definition into its 3 respective parts
@@ -674,6 +778,14 @@ class ActionSpec extends RosMsgSpec {
     this.action = new MsgSpec(this.msgCache, this.packageName, this.messageName + 'Action', ACTION_ACTION_TYPE, null, actionMessage);
   }
 
+  /**
+   * Generates text for action typings file, which maps each part of the action to its message
+   * @returns {string}
+   */
+  generateMessageTypingsFile() {
+    return MessageWriter.createActionTypings(this);
+  }
+
   getMessageDependencies(deps=new Set()) {
     this.goal.getMessageDependencies(deps);
     this.result.getMessageDependencies(deps);
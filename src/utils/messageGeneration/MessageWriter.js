@@ -37,6 +37,52 @@ module.exports = {
     return w.get();
   },
 
+  createMessageTypings(msgSpec) {
+    const w = new IndentedWriter();
+    writeHeader(w, msgSpec);
+    writeTypingsImports(w, [msgSpec], false);
+    writeTypingsClass(w, msgSpec);
+    w.write(`export = ${msgSpec.messageName};`);
+
+    return w.get();
+  },
+
+  createServiceTypings(srvSpec) {
+    const w = new IndentedWriter();
+    writeHeader(w, srvSpec);
+    writeTypingsImports(w, [srvSpec.request, srvSpec.response], true);
+    writeTypingsClass(w, srvSpec.request);
+    writeTypingsClass(w, srvSpec.response);
+    w.write(`export { ${srvSpec.request.messageName} as Request, ${srvSpec.response.messageName} as Response };`)
+      .write('export declare function md5sum(): string;')
+      .write('export declare function datatype(): string;');
+
+    return w.get();
+  },
+
+  createActionTypings(actionSpec) {
+    const w = new IndentedWriter();
+    writeHeader(w, actionSpec);
+    const messages = getActionTypingsMessages(actionSpec);
+    Object.keys(messages).forEach((key) => {
+      const messageName = messages[key].messageName;
+      w.write('import %s = require(\'../msg/%s\');', messageName, messageName);
+    });
+    w.newline()
+      .dividingLine()
+      .newline()
+      .write(`interface ${actionSpec.messageName} {`)
+      .indent();
+    Object.keys(messages).forEach((key) => {
+      w.write('%s: %s;', key, messages[key].messageName);
+    });
+    w.dedent('}')
+      .newline()
+      .write(`export = ${actionSpec.messageName};`);
+
+    return w.get();
+  },
+
   generateActionGoalMessage(messageName) {
     const w = new IndentedWriter();
     w.write('# ===== DO NOT MODIFY! AUTOGENERATED FROM ACTION DEFINITION =====')
@@ -625,4 +671,133 @@ function writeServiceEnd(w, spec) {
     .write(`datatype() { return '${spec.getFullMessageName()}'; }`)
     .dedent('};')
     .newline();
-}
\ No newline at end of file
+}
+
+//-----------------------------------------------------------
+// Typings
+//-----------------------------------------------------------
+
+function getActionTypingsMessages(actionSpec) {
+  return {
+    Goal: actionSpec.goal,
+    Result: actionSpec.result,
+    Feedback: actionSpec.feedback,
+    ActionGoal: actionSpec.actionGoal,
+    ActionResult: actionSpec.actionResult,
+    ActionFeedback: actionSpec.actionFeedback,
+    Action: actionSpec.action
+  };
+}
+
+function is64BitType(type) {
+  return type === 'int64' || type === 'uint64';
+}
+
+function isByteArrayType(type) {
+  return type === 'uint8' || type === 'char';
+}
+
+function writeTypingsImports(w, specs, isSrv) {
+  const packageName = specs[0].packageName;
+  const localDeps = new Set();
+  const foundPackages = new Set();
+
+  specs.forEach((spec) => {
+    spec.fields.forEach((field) => {
+      if (!field.isBuiltin) {
+        if (field.getPackage() === packageName) {
+          localDeps.add(field.getMessage());
+        }
+        else {
+          foundPackages.add(field.getPackage());
+        }
+      }
+    });
+  });
+
+  localDeps.forEach((fieldMsgType) => {
+    if (isSrv) {
+      w.write('import %s = require(\'../msg/%s\');', fieldMsgType, fieldMsgType);
+    }
+    else {
+      w.write('import %s = require(\'./%s\');', fieldMsgType, fieldMsgType);
+    }
+  });
+  foundPackages.forEach((fieldPack) => {
+    w.write('import %s = require(\'../../%s/_index\');', fieldPack, fieldPack);
+  });
+
+  w.newline();
+  w.dividingLine();
+  w.newline();
+}
+
+function getTypingsBuiltinType(type) {
+  if (fieldsUtil.isString(type)) {
+    return 'string';
+  }
+  else if (fieldsUtil.isTime(type)) {
+    return '{ secs: number, nsecs: number }';
+  }
+  else if (fieldsUtil.isBool(type)) {
+    return 'boolean';
+  }
+  else if (is64BitType(type)) {
+    // 64 bit integers are deserialized into BN instances, described in the rosnodejs typings
+    return 'number | Rosnodejs.Int64';
+  }
+  // else
+  return 'number';
+}
+
+function getTypingsFieldType(field, packageName) {
+  if (field.isArray) {
+    if (isByteArrayType(field.baseType)) {
+      // uint8 arrays are deserialized into Buffers
+      return 'Buffer | number[]';
+    }
+    else if (field.isBuiltin) {
+      return `Array<${getTypingsBuiltinType(field.baseType)}>`;
+    }
+    // else
+    return `${getMessagePathFromField(field, packageName)}[]`;
+  }
+  else if (field.isBuiltin) {
+    return getTypingsBuiltinType(field.baseType);
+  }
+  // else
+  return getMessagePathFromField(field, packageName);
+}
+
+function writeTypingsClass(w, spec) {
+  const name = spec.messageName;
+  w.write('declare class %s {', name)
+    .indent(`constructor(initObj?: Partial<${name}>);`)
+    .newline();
+  spec.fields.forEach((field) => {
+    w.write('%s: %s;', field.name, getTypingsFieldType(field, spec.packageName));
+  });
+  if (spec.fields.length > 0) {
+    w.newline();
+  }
+  w.write(`static serialize(obj: ${name}, buffer: Buffer, bufferOffset: number): number;`)
+    .write(`static deserialize(buffer: Buffer, bufferOffset?: number[]): ${name};`)
+    .write(`static getMessageSize(object: ${name}): number;`)
+    .write('static datatype(): string;')
+    .write('static md5sum(): string;')
+    .write('static messageDefinition(): string;')
+    .write(`static Resolve(msg?: Partial<${name}>): ${name};`);
+
+  if (spec.constants && spec.constants.length > 0) {
+    w.write('static Constants: {')
+      .indent();
+    spec.constants.forEach((constant) => {
+      // constants are always written as plain values
+      const type = is64BitType(constant.type) ? 'number' : getTypingsBuiltinType(constant.type);
+      w.write('readonly %s: %s;', constant.name.toUpperCase(), type);
+    });
+    w.dedent('};');
+  }
+  w.dedent('}')
+    .newline();
+}
@@ -27,6 +27,18 @@ var map = {
 
 fields.primitiveTypes = Object.keys(map);
 
+/* [min, max] for each integer type that fits in a number */
+fields.integerRanges = {
+  'int8': [-0x80, 0x7F],
+  'byte': [-0x80, 0x7F],
+  'uint8': [0, 0xFF],
+  'char': [0, 0xFF],
+  'int16': [-0x8000, 0x7FFF],
+  'uint16': [0, 0xFFFF],
+  'int32': [-0x80000000, 0x7FFFFFFF],
+  'uint32': [0, 0xFFFFFFFF]
+};
+
 fields.getDefaultValue = function(type) {
   let match = type.match(/(.*)\[(\d*)\]/);
   if (match) {
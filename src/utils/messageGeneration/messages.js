@@ -68,6 +68,90 @@ messages.getAll = function() {
   });
 };
 
+/** get the spec for a registered or pre-generated message, or a registered
+ * service, so it can be used without walking the ROS_PACKAGE_PATH
+ * @returns {MessageSpec|null} */
+messages.getRegisteredSpec = function(messageType) {
+  if (registeredServiceSpecs.hasOwnProperty(messageType)) {
+    return registeredServiceSpecs[messageType];
+  }
+  // else
+  return registeredSpecCache.getMessageSpec(messageType);
+};
+
+/** register the class for a message from its definition. This can be the
+ * contents of a .msg file or a full definition, like a message class's
+ * messageDefinition() or the message_definition field of a connection
+ * header. Dependencies included in a full definition are registered too,
+ * unless they're already registered or pre-generated. If md5sum is given,
+ * nothing is registered unless the definition matches it.
+ * @returns the message class */
+messages.registerMessageDefinition = function(messageType, definition, md5sum=null) {
+  const specs = MessageSpec.createAllFromDefinition(messageType, definition, registeredSpecCache);
+  if (md5sum && specs[0].getMd5sum() !== md5sum) {
+    throw new Error(`Got md5sum [${specs[0].getMd5sum()}] from message definition for ${messageType}, expected [${md5sum}]`);
+  }
+  // else
+  buildMessagesFromSpecs(specs.filter((spec, index) => {
+    return index === 0 || !registeredSpecCache.getMessageSpec(spec.getFullMessageName());
+  }));
+  return getMessageFromRegistry(messageType, 'msg');
+};
+
+/** register the handler for a service from the contents of its .srv file.
+ * Messages it uses must already be registered or pre-generated.
+ * @returns the service handler */
+messages.registerServiceDefinition = function(serviceType, definition) {
+  const spec = MessageSpec.create(registeredSpecCache,
+                                  getPackageNameFromMessageType(serviceType),
+                                  getMessageNameFromMessageType(serviceType),
+                                  MessageSpec.SRV_TYPE, null, definition);
+  buildMessagesFromSpecs([spec]);
+  return getMessageFromRegistry(serviceType, 'srv');
+};
+
+/** register every message, service and action found in a directory laid out
+ * like <directory>/<package>/msg/<Message>.msg. It doesn't need to be in a
+ * catkin workspace. Messages they use must be in the directory, already
+ * registered or pre-generated.
+ * @returns {Promise} resolves to the types that were registered */
+messages.registerDirectory = function(directory) {
+  return packages.findMessagesInDirectory(directory)
+  .then((pkgCache) => {
+    const specs = {};
+    const msgCache = {
+      getMessageSpec(type) {
+        return specs[type] || registeredSpecCache.getMessageSpec(type);
+      }
+    };
+
+    const toBuild = [];
+    const addSpec = (spec) => {
+      if (spec.type !== MessageSpec.SRV_TYPE) {
+        specs[spec.getFullMessageName()] = spec;
+      }
+      toBuild.push(spec);
+    };
+
+    Object.keys(pkgCache).forEach((pkgName) => {
+      const pkg = pkgCache[pkgName];
+      Object.keys(pkg.messages).forEach((name) => {
+        addSpec(MessageSpec.create(msgCache, pkgName, name, MessageSpec.MSG_TYPE, pkg.messages[name].file));
+      });
+      Object.keys(pkg.services).forEach((name) => {
+        addSpec(MessageSpec.create(msgCache, pkgName, name, MessageSpec.SRV_TYPE, pkg.services[name].file));
+      });
+      Object.keys(pkg.actions).forEach((name) => {
+        const actionSpec = MessageSpec.create(msgCache, pkgName, name, MessageSpec.ACTION_TYPE, pkg.actions[name].file);
+        // like catkin, an action is registered as the messages it generates
+        actionSpec.getMessages().forEach(addSpec);
+      });
+    });
+
+    buildMessagesFromSpecs(toBuild);
+    return toBuild.map((spec) => spec.getFullMessageName());
+  });
+};
 
 // ---------------------------------------------------------
 // Registry
@@ -98,6 +182,23 @@ var registry = {};
   };
 */
 
+// specs for the message classes in the registry, so messages registered
+// later can depend on them
+var registeredSpecs = {};
+// specs for the services in the registry
+var registeredServiceSpecs = {};
+// looks up specs for registered and pre-generated messages
+var registeredSpecCache = {
+  getMessageSpec(type) {
+    if (registeredSpecs.hasOwnProperty(type)) {
+      return registeredSpecs[type];
+    }
+    // else
+    const messageClass = getGeneratedMessageClass(type);
+    return messageClass ? getMessageUtils().getMessageSpec(messageClass) : null;
+  }
+};
+
 /**
    @param messageType is the ROS message or service type, e.g.
    'std_msgs/String'
@@ -118,6 +219,29 @@ function getMessageFromRegistry(messageType, type) {
   return section[messageName];
 }
 
+/**
+   @param messageType is the ROS message type, e.g. 'std_msgs/String'
+   @returns the registered class for the message, or the pre-generated one
+*/
+function getMessageClass(messageType) {
+  return getMessageFromRegistry(messageType, 'msg') || getGeneratedMessageClass(messageType);
+}
+
+function getGeneratedMessageClass(messageType) {
+  try {
+    return getMessageUtils().getHandlerForMsgType(messageType, true) || null;
+  }
+  catch (err) {
+    // no package for it
+    return null;
+  }
+}
+
+function getMessageUtils() {
+  // message_utils requires this module, so wait until it's loaded
+  return require('../message_utils.js');
+}
+
 /**
     @param messageType is the ROS message or service type, e.g.
     'std_msgs/String'
@@ -171,6 +295,7 @@ function buildMessageFromSpec(msgSpec) {
     case MessageSpec.ACTION_ACTION_RESULT_TYPE:
     case MessageSpec.ACTION_ACTION_TYPE:
       setMessageInRegistry(fullMsg, buildMessageClass(msgSpec), type);
+      registeredSpecs[fullMsg] = msgSpec;
       break;
     case MessageSpec.SRV_TYPE:
     {
@@ -184,6 +309,7 @@ function buildMessageFromSpec(msgSpec) {
         datatype: () => { return fullMsg; }
       };
       setMessageInRegistry(fullMsg, service, type);
+      registeredServiceSpecs[fullMsg] = msgSpec;
       break;
     }
     default:
@@ -191,6 +317,24 @@ function buildMessageFromSpec(msgSpec) {
   }
 };
 
+/* build and register specs that were created together, after making sure
+   every message they use can be found so none are left half registered */
+function buildMessagesFromSpecs(msgSpecs) {
+  msgSpecs.forEach((msgSpec) => {
+    const parts = msgSpec.type === MessageSpec.SRV_TYPE ?
+      [msgSpec.request, msgSpec.response] : [msgSpec];
+    parts.forEach((part) => {
+      part.fields.forEach((field) => {
+        if (!field.isBuiltin && !part.msgCache.getMessageSpec(field.baseType)) {
+          throw new Error(`Unable to find message type ${field.baseType} used by ${part.getFullMessageName()}`);
+        }
+      });
+    });
+  });
+
+  msgSpecs.forEach(buildMessageFromSpec);
+}
+
 function parseMessageFile(fileName, details, type, callback) {
   details = details || {};
   fs.readFile(fileName, 'utf8', function(error, content) {
@@ -458,20 +602,20 @@ function buildMessageClass(msgSpec) {
             // values provided
             if (field.isArray) {
               that[field.name] = values[field.name].map(function(value) {
-                  return new (getMessageFromRegistry(field.baseType, 'msg'))(value);
+                  return new (getMessageClass(field.baseType))(value);
                 });
             } else {
               that[field.name] =
-                new (getMessageFromRegistry(field.baseType, 'msg'))(values[field.name]);
+                new (getMessageClass(field.baseType))(values[field.name]);
             }
           } else {
             // use defaults
             if (field.isArray) {
               // it's an array
               const length = field.arrayLen || 0;
-              that[field.name] = new Array(length).fill(new (getMessageFromRegistry(field.baseType, 'msg'))());
+              that[field.name] = new Array(length).fill(new (getMessageClass(field.baseType))());
             } else {
-              that[field.name] = new (getMessageFromRegistry(field.baseType, 'msg'))();
+              that[field.name] = new (getMessageClass(field.baseType))();
             }
           }
         } else {
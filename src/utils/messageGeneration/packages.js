@@ -325,6 +325,53 @@ exports.getPackageCache = function() {
   return Object.assign({}, packageCache);
 };
 
+/**
+ * Finds message, service and action files in a directory that doesn't need to be on the
+ * ROS_PACKAGE_PATH or contain package.xml files. Files are expected to be laid out like
+ * they are in a package, e.g. <directory>/my_msgs/msg/Foo.msg is my_msgs/Foo.
+ * @param directory {string}
+ * @returns {Promise} resolves to the packages found, in the same format as the package cache
+ */
+exports.findMessagesInDirectory = function(directory) {
+  return new Promise((resolve, reject) => {
+    fs.access(directory, fs.R_OK, (err) => {
+      if (err) {
+        reject(new Error(`Unable to read message directory ${directory}`));
+        return;
+      }
+      // else
+      const found = {};
+      const getPackageEntry = (file) => {
+        const packageDir = path.dirname(path.dirname(file));
+        const packageName = path.basename(packageDir);
+        if (!found.hasOwnProperty(packageName)) {
+          found[packageName] = {
+            directory: packageDir,
+            messages: {},
+            services: {},
+            actions: {}
+          };
+        }
+        return found[packageName];
+      };
+
+      messageWalk(directory, null)
+        .on('message', (name, file) => {
+          getPackageEntry(file).messages[name] = {file};
+        })
+        .on('service', (name, file) => {
+          getPackageEntry(file).services[name] = {file};
+        })
+        .on('action', (name, file) => {
+          getPackageEntry(file).actions[name] = {file};
+        })
+        .on('end', () => {
+          resolve(found);
+        });
+    });
+  });
+};
+
 function forEachPackageInDirectory(directory, list, onEnd) {
   fs.access(directory, fs.R_OK, (err) => {
       if (!err) {
@@ -22,6 +22,7 @@ const path = require('path');
 const utils = require('util');
 const loggingManager = require('../lib/Logging.js');
 const messages = require('./messageGeneration/messages.js');
+const MessageSpec = require('./messageGeneration/MessageSpec.js');
 const ros_msg_utils = require('../ros_msg_utils');
 
 // *grumble grumble* this is unfortunate
@@ -34,6 +35,9 @@ global._ros_msg_utils = ros_msg_utils;
 
 let messagePackageMap = {};
 
+// message spec for each message class, parsed from its definition
+const messageSpecCache = new Map();
+
 //-----------------------------------------------------------------------
 // Utilities for loading, finding handlers for
 // message serialization/deserialization
@@ -212,13 +216,30 @@ let MessageUtils = {
       }
 
       if (!messagePackage) {
-        throw new Error('Unable to find message package ' + msgPackage);
+        const err = new Error('Unable to find message package ' + msgPackage);
+        err.code = 'E_ROSMSGNOTFOUND';
+        throw err;
       }
       // else
       return messagePackage.msg[type];
     }
   },
 
+  /**
+   * Gets the spec for a message class from its full message definition, so this works
+   * for both pre-generated and on the fly messages
+   * @param messageClass {Object} class for the message type (e.g. std_msgs.msg.String)
+   * @return {MsgSpec}
+   */
+  getMessageSpec(messageClass) {
+    let spec = messageSpecCache.get(messageClass);
+    if (!spec) {
+      spec = MessageSpec.createFromDefinition(messageClass.datatype(), messageClass.messageDefinition());
+      messageSpecCache.set(messageClass, spec);
+    }
+    return spec;
+  },
+
   getHandlerForSrvType(rosDataType, loadIfMissing=false) {
     let srv = messages.getFromRegistry(rosDataType, "srv");
     if (srv) {
@@ -0,0 +1,127 @@
+'use strict';
+
+const SEP = '/';
+
+const ParamUtils = {
+  /**
+   * Strips duplicate and trailing separators from a parameter key.
+   * The master reports keys with a trailing slash in paramUpdate calls.
+   * @param key {string}
+   * @return {string}
+   */
+  cleanKey(key) {
+    key = key.replace(/\/\/+/g, SEP);
+    while (key.length > 1 && key.endsWith(SEP)) {
+      key = key.slice(0, -1);
+    }
+    return key;
+  },
+
+  /**
+   * Checks if key is namespace or a descendant of namespace
+   * @param key {string} cleaned parameter key
+   * @param namespace {string} cleaned parameter key
+   * @return {boolean}
+   */
+  isInNamespace(key, namespace) {
+    if (namespace === SEP) {
+      return key.startsWith(SEP);
+    }
+    // else
+    return key === namespace || key.startsWith(namespace + SEP);
+  },
+
+  /**
+   * Gets the path components of key relative to namespace
+   * e.g. ('/a/b/c', '/a') => ['b', 'c']
+   * @param key {string} cleaned key inside of namespace
+   * @param namespace {string} cleaned parameter key
+   * @return {Array.<string>}
+   */
+  getRelativePath(key, namespace) {
+    const rest = namespace === SEP ? key : key.substr(namespace.length);
+    return rest.split(SEP).filter((part) => part.length > 0);
+  },
+
+  /**
+   * Walks into a parameter dictionary.
+   * @param value {*} parameter value
+   * @param path {Array.<string>}
+   * @return {*} the nested value, or undefined if it doesn't exist
+   */
+  getSubValue(value, path) {
+    for (let i = 0; i < path.length; ++i) {
+      if (!isDictionary(value) || !value.hasOwnProperty(path[i])) {
+        return undefined;
+      }
+      value = value[path[i]];
+    }
+    return value;
+  },
+
+  /**
+   * Returns a copy of value with the nested entry at path replaced.
+   * Dictionaries along the path are copied so that the original value
+   * is left untouched. Missing dictionaries are created.
+   * @param value {*} parameter value
+   * @param path {Array.<string>}
+   * @param subValue {*} value to store at path
+   * @return {*}
+   */
+  setSubValue(value, path, subValue) {
+    if (path.length === 0) {
+      return subValue;
+    }
+    // else
+    const copy = isDictionary(value) ? Object.assign({}, value) : {};
+    const [first, ...rest] = path;
+    copy[first] = ParamUtils.setSubValue(copy[first], rest, subValue);
+    return copy;
+  },
+
+  /**
+   * Deep copies a parameter value so callers can't modify a cached value.
+   * @param value {*} parameter value
+   * @return {*}
+   */
+  copyValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(ParamUtils.copyValue);
+    }
+    else if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    else if (Buffer.isBuffer(value)) {
+      return Buffer.from(value);
+    }
+    else if (isDictionary(value)) {
+      const copy = {};
+      Object.keys(value).forEach((key) => {
+        copy[key] = ParamUtils.copyValue(value[key]);
+      });
+      return copy;
+    }
+    // else
+    return value;
+  },
+
+  isDictionary,
+
+  /**
+   * The master reports unset parameters as empty dictionaries
+   */
+  isEmptyDictionary(value) {
+    return isDictionary(value) && Object.keys(value).length === 0;
+  }
+};
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function isDictionary(value) {
+  return value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+module.exports = ParamUtils;
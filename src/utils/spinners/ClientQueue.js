@@ -30,7 +30,11 @@ class ClientQueue extends EventEmitter {
   push(item) {
     this._queue.push(item);
     if (this.length > this._queueSize) {
-      this._queue.shift();
+      const dropped = this._queue.shift();
+      // let the client know so it can keep track of dropped messages
+      if (typeof this._client._handleDroppedMsg === 'function') {
+        this._client._handleDroppedMsg(dropped);
+      }
     }
   }
 
@@ -136,7 +136,7 @@ let TcprosUtils = {
 
     const fields = deserializeStringFields(header);
     fields.forEach((field) => {
-      let matchResult = field.match(/^(\w+)=([\s\S]+)/);
+      let matchResult = field.match(/^(\w+)=([\s\S]*)/);
 
       // invalid connection header
       if (!matchResult) {
@@ -259,7 +259,7 @@ let TcprosUtils = {
   },
 
   serializeString(str) {
-    const buf = Buffer.allocUnsafe(str.length + 4);
+    const buf = Buffer.allocUnsafe(Buffer.byteLength(str) + 4);
     base_serializers.string(str, buf, 0);
     return buf;
   },
@@ -269,7 +269,27 @@ let TcprosUtils = {
   },
 
   createTcpRosError(str) {
-    return this.serializeString(`{errorPrefix}${str}`);
+    return this.serializeString(`${errorPrefix}${str}`);
+  },
+
+  /**
+   * Serializes a failed service response carrying an error message
+   * @param errorMessage {string}
+   * @return {Buffer}
+   */
+  serializeServiceError(errorMessage) {
+    const okByte = Buffer.allocUnsafe(1);
+    base_serializers.uint8(0, okByte, 0);
+    return Buffer.concat([okByte, this.createTcpRosError(errorMessage)]);
+  },
+
+  /**
+   * @param buffer {Buffer} error string from a failed service response
+   * @return {string} the error message, without the prefix added by createTcpRosError
+   */
+  parseServiceError(buffer) {
+    const str = buffer.toString();
+    return str.startsWith(errorPrefix) ? str.substr(errorPrefix.length) : str;
   }
 };
 
@@ -78,6 +78,19 @@ module.exports = {
     return t.secs + t.nsecs * NSEC_TO_SEC;
   },
 
+  fromSeconds(seconds) {
+    let secs = Math.floor(seconds);
+    let nsecs = Math.round((seconds - secs) / NSEC_TO_SEC);
+    if (nsecs >= 1e9) {
+      secs += 1;
+      nsecs -= 1e9;
+    }
+    return {
+      secs,
+      nsecs
+    };
+  },
+
   timeComp(a, b) {
     const secDif = a.secs - b.secs;
     if (secDif !== 0) {
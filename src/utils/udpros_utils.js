@@ -34,6 +34,21 @@ const messageDefinitionPrefix = 'message_definition=';
 //const persistentField = 'persistent=1';
 //const tcpNoDelayField = 'tcp_nodelay=1';
 
+const UDPROS_HEADER_LENGTH = 8;
+const DEFAULT_DATAGRAM_SIZE = 1500;
+// largest UDP payload we can send over IPv4
+const MAX_DATAGRAM_SIZE = 65507;
+// block numbers are sent as uint16s
+const MAX_BLOCKS = 65535;
+const MSG_ID_RANGE = 256;
+
+const OP_CODES = {
+  DATA0: 0,
+  DATAN: 1,
+  PING: 2,
+  ERR: 3
+};
+
 //-----------------------------------------------------------------------
 
 function serializeStringFields(fields) {
@@ -66,6 +81,10 @@ function deserializeStringFields(buffer) {
  * http://wiki.ros.org/ROS/UDPROS
  */
 let UdprosUtils = {
+  UDPROS_HEADER_LENGTH,
+  DEFAULT_DATAGRAM_SIZE,
+  MSG_ID_RANGE,
+  OP_CODES,
 
   createSubHeader(callerId, md5sum, topic, type) {
     const fields = [
@@ -127,7 +146,7 @@ let UdprosUtils = {
 
     const fields = deserializeStringFields(header);
     fields.forEach((field) => {
-      let matchResult = field.match(/^(\w+)=([\s\S]+)/);
+      let matchResult = field.match(/^(\w+)=([\s\S]*)/);
 
       // invalid connection header
       if (!matchResult) {
@@ -284,6 +303,49 @@ let UdprosUtils = {
     base_serializers.uint8(msgId, buf, 5)
     base_serializers.uint16(blkN, buf, 6)
     return buf
+  },
+
+  /**
+   * Determines the datagram size to use for a connection from the size the
+   * subscriber requested.
+   * @param requestedSize {number} max_datagram_size from the subscriber
+   * @returns {number}
+   */
+  negotiateDatagramSize(requestedSize) {
+    if (typeof requestedSize !== 'number' || requestedSize <= UDPROS_HEADER_LENGTH) {
+      return DEFAULT_DATAGRAM_SIZE;
+    }
+    // else
+    return Math.min(requestedSize, MAX_DATAGRAM_SIZE);
+  },
+
+  /**
+   * Splits a serialized message into datagrams no larger than dgramSize.
+   * The first datagram (DATA0) carries the total number of blocks, following
+   * datagrams (DATAN) carry their block number.
+   * @param connectionId {number}
+   * @param msgId {number} id of this message on the connection, 0-255
+   * @param serializedMsg {Buffer} message, including its length
+   * @param dgramSize {number} negotiated max datagram size for the connection
+   * @returns {Array.<Buffer>}
+   */
+  createDatagrams(connectionId, msgId, serializedMsg, dgramSize) {
+    const payloadSize = dgramSize - UDPROS_HEADER_LENGTH;
+    const numBlocks = Math.max(1, Math.ceil(serializedMsg.length / payloadSize));
+    if (numBlocks > MAX_BLOCKS) {
+      throw new Error(`Message of ${serializedMsg.length} bytes is too large to send ` +
+                      `in ${dgramSize} byte datagrams`);
+    }
+
+    const datagrams = [];
+    for (let i = 0; i < numBlocks; ++i) {
+      const header = i === 0 ?
+        this.serializeUdpHeader(connectionId, OP_CODES.DATA0, msgId, numBlocks) :
+        this.serializeUdpHeader(connectionId, OP_CODES.DATAN, msgId, i);
+      const payload = serializedMsg.slice(i * payloadSize, (i + 1) * payloadSize);
+      datagrams.push(Buffer.concat([header, payload]));
+    }
+    return datagrams;
   }
 };
 
@@ -0,0 +1,199 @@
+'use strict';
+
+const BN = require('bn.js');
+const msgUtils = require('./message_utils.js');
+const fieldsUtil = require('./messageGeneration/fields.js');
+
+const MAX_ERRORS = 10;
+
+const ValidationUtils = {
+  /**
+   * Checks a message against its message class's spec before it's serialized.
+   * Finds fields with the wrong type, integers that don't fit in their type,
+   * fixed length arrays with the wrong length and missing fields.
+   * @param messageClass {Object} class for the message type (e.g. std_msgs.msg.String)
+   * @param msg {Object} message to check
+   * @return {Array.<string>} errors, each prefixed with the path to the bad field
+   *                          (e.g. 'pose.position.x: expected number, got string')
+   */
+  getMessageErrors(messageClass, msg) {
+    const errors = [];
+    validateMessage(msgUtils.getMessageSpec(messageClass), msg, '', errors);
+    return errors;
+  },
+
+  /**
+   * Like getMessageErrors but throws an error listing the problems
+   * if the message is invalid
+   * @param messageClass {Object}
+   * @param msg {Object}
+   * @throws {Error} with code E_ROSMSGINVALID and the list of problems in errors
+   */
+  validateMessage(messageClass, msg) {
+    const errors = this.getMessageErrors(messageClass, msg);
+    if (errors.length > 0) {
+      let details = errors.slice(0, MAX_ERRORS).join('; ');
+      if (errors.length > MAX_ERRORS) {
+        details += `; and ${errors.length - MAX_ERRORS} more`;
+      }
+      const err = new Error(`Invalid ${messageClass.datatype()} message: ${details}`);
+      err.code = 'E_ROSMSGINVALID';
+      err.errors = errors;
+      throw err;
+    }
+  }
+};
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function describe(value) {
+  if (value === null) {
+    return 'null';
+  }
+  else if (Array.isArray(value)) {
+    return 'array';
+  }
+  // else
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  else if (path) {
+    return `${path}.${key}`;
+  }
+  // else
+  return key;
+}
+
+function validateMessage(spec, msg, path, errors) {
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+    errors.push(`${path || '(message)'}: expected object, got ${describe(msg)}`);
+    return;
+  }
+  // else
+  spec.fields.forEach((field) => {
+    validateField(spec, field, msg[field.name], joinPath(path, field.name), errors);
+  });
+}
+
+function validateField(spec, field, value, path, errors) {
+  if (!field.isArray) {
+    validateValue(spec, field, value, path, errors);
+    return;
+  }
+  // else
+  // byte arrays can also be Buffers, whose elements are always in range
+  const isBytes = (field.baseType === 'uint8' || field.baseType === 'char') && value instanceof Uint8Array;
+  if (!isBytes) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected array, got ${describe(value)}`);
+      return;
+    }
+    // else
+    value.forEach((item, index) => {
+      validateValue(spec, field, item, joinPath(path, index), errors);
+    });
+  }
+
+  if (field.arrayLen !== null && value.length !== field.arrayLen) {
+    errors.push(`${path}: expected ${field.arrayLen} elements, got ${value.length}`);
+  }
+}
+
+function validateValue(spec, field, value, path, errors) {
+  const type = field.baseType;
+  if (!field.isBuiltin) {
+    const fieldSpec = spec.getMsgSpecForType(type);
+    if (fieldSpec) {
+      validateMessage(fieldSpec, value, path, errors);
+    }
+    else if (value === null || typeof value !== 'object') {
+      // we don't know what this message looks like but it has to be an object
+      errors.push(`${path}: expected object, got ${describe(value)}`);
+    }
+  }
+  else if (type === 'string') {
+    if (typeof value !== 'string') {
+      errors.push(`${path}: expected string, got ${describe(value)}`);
+    }
+  }
+  else if (type === 'bool') {
+    if (typeof value !== 'boolean') {
+      errors.push(`${path}: expected boolean, got ${describe(value)}`);
+    }
+  }
+  else if (type === 'float32' || type === 'float64') {
+    if (typeof value !== 'number') {
+      errors.push(`${path}: expected number, got ${describe(value)}`);
+    }
+  }
+  else if (type === 'time' || type === 'duration') {
+    if (value === null || typeof value !== 'object') {
+      errors.push(`${path}: expected {secs, nsecs}, got ${describe(value)}`);
+    }
+    else {
+      // both are serialized as int32
+      validateInteger('int32', value.secs, joinPath(path, 'secs'), errors);
+      validateInteger('int32', value.nsecs, joinPath(path, 'nsecs'), errors);
+    }
+  }
+  else if (type === 'int64' || type === 'uint64') {
+    validateInteger64(type, value, path, errors);
+  }
+  else {
+    validateInteger(type, value, path, errors);
+  }
+}
+
+function validateInteger(type, value, path, errors) {
+  if (typeof value !== 'number') {
+    errors.push(`${path}: expected number, got ${describe(value)}`);
+  }
+  else if (!Number.isInteger(value)) {
+    errors.push(`${path}: expected an integer for ${type}, got ${value}`);
+  }
+  else {
+    const [min, max] = fieldsUtil.integerRanges[type];
+    if (value < min || value > max) {
+      errors.push(`${path}: ${value} is out of range for ${type}`);
+    }
+  }
+}
+
+function validateInteger64(type, value, path, errors) {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      errors.push(`${path}: expected an integer for ${type}, got ${value}`);
+    }
+    else if (!Number.isSafeInteger(value)) {
+      errors.push(`${path}: ${value} can't be represented exactly as a number, use a BN`);
+    }
+    else if (type === 'uint64' && value < 0) {
+      errors.push(`${path}: ${value} is out of range for ${type}`);
+    }
+    return;
+  }
+  else if (!BN.isBN(value)) {
+    errors.push(`${path}: expected number or BN, got ${describe(value)}`);
+    return;
+  }
+
+  let inRange = value.bitLength() <= 64;
+  if (type === 'uint64') {
+    inRange = inRange && !value.isNeg();
+  }
+  else {
+    // values past the int64 range change when converted to and from two's complement
+    inRange = inRange && value.toTwos(64).fromTwos(64).eq(value);
+  }
+  if (!inRange) {
+    errors.push(`${path}: ${value.toString()} is out of range for ${type}`);
+  }
+}
+
+module.exports = ValidationUtils;
@@ -0,0 +1,457 @@
+'use strict';
+
+/**
+ * Just enough YAML for the formats used by rostopic: the block style that rostopic echo
+ * prints and the flow style passed to rostopic pub (e.g. '{linear: {x: 1.0}, angular: {z: 0.5}}').
+ * Anchors, tags and multi-line strings aren't supported.
+ */
+const YamlUtils = {
+  /**
+   * Parses the first document in some YAML
+   * @param text {string}
+   * @return {*} objects, arrays, strings, numbers, booleans or null.
+   *             Integers that don't fit in a number are left as strings.
+   * @throws {Error} with code E_ROSYAMLINVALID if the YAML can't be parsed
+   */
+  parse(text) {
+    const lines = getDocumentLines(text);
+    if (lines.length === 0) {
+      return null;
+    }
+    // else
+    const parser = { lines, index: 0 };
+    const value = parseBlock(parser, lines[0].indent);
+    if (parser.index < lines.length) {
+      throw yamlError(lines[parser.index], 'unexpected content');
+    }
+    return value;
+  },
+
+  /**
+   * Formats a string so it's read back as the same string, quoting it if needed
+   * @param str {string}
+   * @param inFlow {boolean} quote characters that are special inside [] and {}
+   * @return {string}
+   */
+  formatString(str, inFlow=false) {
+    if (str.length === 0) {
+      return "''";
+    }
+    else if (inFlow || needsQuotes(str)) {
+      return JSON.stringify(str);
+    }
+    // else
+    return str;
+  }
+};
+
+//------------------------------------------------------------------
+// Local Helper functions
+//------------------------------------------------------------------
+
+function yamlError(line, message) {
+  const err = new Error(`Invalid YAML at line ${line.number}: ${message}`);
+  err.code = 'E_ROSYAMLINVALID';
+  return err;
+}
+
+function needsQuotes(str) {
+  return typeof parsePlainScalar(str) !== 'string' ||
+    str.trim() !== str ||
+    /^[-?:,\[\]{}#&*!|>'"%@`]/.test(str) ||
+    /: |:$| #|[\x00-\x1f\x7f]/.test(str);
+}
+
+/**
+ * Splits the first document into lines with their indentation,
+ * dropping comments and blank lines
+ */
+function getDocumentLines(text) {
+  const lines = [];
+  const rawLines = text.split(/\r?\n/);
+  for (let i = 0; i < rawLines.length; ++i) {
+    const line = { number: i + 1, indent: 0, text: stripComment(rawLines[i]) };
+    const trimmed = line.text.trim();
+    if (trimmed === '---' || trimmed === '...') {
+      // document markers - stop at the end of the first document
+      if (lines.length > 0) {
+        break;
+      }
+      continue;
+    }
+    else if (trimmed.length === 0) {
+      continue;
+    }
+    // else
+    line.indent = line.text.search(/[^ ]/);
+    if (line.text[line.indent] === '\t') {
+      throw yamlError(line, 'tabs can\'t be used for indentation');
+    }
+    line.text = trimmed;
+    lines.push(line);
+  }
+  return lines;
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; ++i) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') {
+        ++i;
+      }
+      else if (c === quote) {
+        quote = null;
+      }
+    }
+    else if (c === '"' || c === '\'') {
+      quote = c;
+    }
+    else if (c === '#' && (i === 0 || text[i - 1] === ' ')) {
+      return text.substring(0, i);
+    }
+  }
+  return text;
+}
+
+function isSequenceItem(line) {
+  return line.text === '-' || line.text.startsWith('- ');
+}
+
+/**
+ * Parses the sequence, mapping or value starting at the current line
+ */
+function parseBlock(parser, indent) {
+  const line = parser.lines[parser.index];
+  if (isSequenceItem(line)) {
+    return parseSequence(parser, indent);
+  }
+  else if (findMappingColon(line.text) !== -1) {
+    return parseMapping(parser, indent);
+  }
+  // else
+  return parseInlineValue(parser, line.text, line);
+}
+
+function parseSequence(parser, indent) {
+  const sequence = [];
+  while (parser.index < parser.lines.length) {
+    const line = parser.lines[parser.index];
+    // sequences nested at the same indentation as their key end at the next key
+    if (line.indent < indent || (line.indent === indent && !isSequenceItem(line))) {
+      break;
+    }
+    else if (line.indent > indent) {
+      throw yamlError(line, 'bad indentation in sequence');
+    }
+    // else
+    if (line.text === '-') {
+      ++parser.index;
+      sequence.push(parseNestedBlock(parser, indent, false));
+    }
+    else {
+      // the item starts on this line - treat it as its own line, indented past the '- '
+      const rest = line.text.substring(2).trimLeft();
+      line.indent += line.text.length - rest.length;
+      line.text = rest;
+      sequence.push(parseBlock(parser, line.indent));
+    }
+  }
+  return sequence;
+}
+
+function parseMapping(parser, indent) {
+  const mapping = {};
+  while (parser.index < parser.lines.length) {
+    const line = parser.lines[parser.index];
+    if (line.indent < indent) {
+      break;
+    }
+    else if (line.indent > indent) {
+      throw yamlError(line, 'bad indentation in mapping');
+    }
+    // else
+    const colon = findMappingColon(line.text);
+    if (colon === -1) {
+      throw yamlError(line, 'expected a key');
+    }
+    const key = parseKey(line.text.substring(0, colon).trim(), line);
+    const rest = line.text.substring(colon + 1).trim();
+    if (rest.length === 0) {
+      ++parser.index;
+      // sequences can be nested at the same indentation as their key
+      mapping[key] = parseNestedBlock(parser, indent, true);
+    }
+    else {
+      mapping[key] = parseInlineValue(parser, rest, line);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Parses the block nested under a key or '-', which is null if there isn't one
+ */
+function parseNestedBlock(parser, parentIndent, allowSequenceAtIndent) {
+  const next = parser.lines[parser.index];
+  if (next && (next.indent > parentIndent ||
+               (allowSequenceAtIndent && next.indent === parentIndent && isSequenceItem(next)))) {
+    return parseBlock(parser, next.indent);
+  }
+  // else
+  return null;
+}
+
+/**
+ * Parses a value that starts on this line. Flow collections can continue
+ * onto the following lines.
+ */
+function parseInlineValue(parser, text, line) {
+  ++parser.index;
+  if (text[0] !== '[' && text[0] !== '{') {
+    return parseScalar(text, line);
+  }
+  // else
+  while (!isFlowClosed(text) && parser.index < parser.lines.length) {
+    text += ' ' + parser.lines[parser.index].text;
+    ++parser.index;
+  }
+  const state = { text, pos: 0, line };
+  const value = parseFlowValue(state);
+  skipSpaces(state);
+  if (state.pos < text.length) {
+    throw yamlError(line, `unexpected '${text[state.pos]}'`);
+  }
+  return value;
+}
+
+function isFlowClosed(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; ++i) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') {
+        ++i;
+      }
+      else if (c === quote) {
+        quote = null;
+      }
+    }
+    else if (c === '"' || c === '\'') {
+      quote = c;
+    }
+    else if (c === '[' || c === '{') {
+      ++depth;
+    }
+    else if (c === ']' || c === '}') {
+      --depth;
+    }
+  }
+  return depth <= 0;
+}
+
+/**
+ * Finds the ':' separating a block mapping key from its value
+ * @return {number} index of the colon, or -1 if this isn't a key
+ */
+function findMappingColon(text) {
+  if (text[0] === '[' || text[0] === '{') {
+    return -1;
+  }
+  else if (text[0] === '"' || text[0] === '\'') {
+    const end = findQuoteEnd(text, 0);
+    if (end !== -1 && text[end + 1] === ':' && (end + 2 === text.length || text[end + 2] === ' ')) {
+      return end + 1;
+    }
+    return -1;
+  }
+  // else
+  const match = /:( |$)/.exec(text);
+  return match ? match.index : -1;
+}
+
+function findQuoteEnd(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; ++i) {
+    if (quote === '"' && text[i] === '\\') {
+      ++i;
+    }
+    else if (text[i] === quote) {
+      if (quote === '\'' && text[i + 1] === '\'') {
+        ++i;
+      }
+      else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function parseKey(text, line) {
+  const key = parseScalar(text, line);
+  if (key === null || typeof key === 'object') {
+    throw yamlError(line, `invalid key '${text}'`);
+  }
+  return String(key);
+}
+
+function parseScalar(text, line) {
+  if (text[0] === '"' || text[0] === '\'') {
+    if (findQuoteEnd(text, 0) !== text.length - 1) {
+      throw yamlError(line, `unterminated or invalid string ${text}`);
+    }
+    return parseQuoted(text, line);
+  }
+  // else
+  return parsePlainScalar(text);
+}
+
+function parseQuoted(text, line) {
+  if (text[0] === '\'') {
+    return text.substring(1, text.length - 1).replace(/''/g, '\'');
+  }
+  // else
+  try {
+    // YAML escapes we don't expect from rostopic aside, double quoted YAML is JSON
+    return JSON.parse(text.replace(/\\'/g, '\'').replace(/\\\//g, '/'));
+  }
+  catch (err) {
+    throw yamlError(line, `invalid string ${text}`);
+  }
+}
+
+/**
+ * Resolves an unquoted scalar to the value it represents
+ */
+function parsePlainScalar(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) {
+    return null;
+  }
+  else if (/^(true|True|TRUE)$/.test(text)) {
+    return true;
+  }
+  else if (/^(false|False|FALSE)$/.test(text)) {
+    return false;
+  }
+  else if (/^[-+]?(0|[1-9][0-9]*)$/.test(text)) {
+    const value = Number(text);
+    // keep the digits of integers that don't fit in a number
+    return Number.isSafeInteger(value) ? value : text.replace(/^\+/, '');
+  }
+  else if (/^[-+]?0x[0-9a-fA-F]+$/.test(text)) {
+    const value = parseInt(text, 16);
+    return Number.isSafeInteger(value) ? value : text;
+  }
+  else if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  else if (/^\.?(nan|NaN|NAN)$/.test(text)) {
+    return NaN;
+  }
+  else if (/^[-+]?\.?(inf|Inf|INF)$/.test(text)) {
+    return text[0] === '-' ? -Infinity : Infinity;
+  }
+  // else
+  return text;
+}
+
+function skipSpaces(state) {
+  while (state.pos < state.text.length && state.text[state.pos] === ' ') {
+    ++state.pos;
+  }
+}
+
+function expectFlowChar(state, chars) {
+  skipSpaces(state);
+  const c = state.text[state.pos];
+  if (c === undefined || chars.indexOf(c) === -1) {
+    throw yamlError(state.line, c === undefined ? 'unexpected end of line' : `unexpected '${c}'`);
+  }
+  ++state.pos;
+  return c;
+}
+
+function parseFlowValue(state) {
+  skipSpaces(state);
+  const c = state.text[state.pos];
+  if (c === '[') {
+    return parseFlowSequence(state);
+  }
+  else if (c === '{') {
+    return parseFlowMapping(state);
+  }
+  // else
+  return parseFlowScalar(state, false);
+}
+
+function parseFlowSequence(state) {
+  const sequence = [];
+  ++state.pos;
+  skipSpaces(state);
+  if (state.text[state.pos] === ']') {
+    ++state.pos;
+    return sequence;
+  }
+  // else
+  do {
+    sequence.push(parseFlowValue(state));
+  } while (expectFlowChar(state, ',]') === ',');
+  return sequence;
+}
+
+function parseFlowMapping(state) {
+  const mapping = {};
+  ++state.pos;
+  skipSpaces(state);
+  if (state.text[state.pos] === '}') {
+    ++state.pos;
+    return mapping;
+  }
+  // else
+  do {
+    skipSpaces(state);
+    const key = parseFlowScalar(state, true);
+    if (key === null || typeof key === 'object') {
+      throw yamlError(state.line, 'invalid key');
+    }
+    skipSpaces(state);
+    if (state.text[state.pos] === ':') {
+      ++state.pos;
+      mapping[String(key)] = parseFlowValue(state);
+    }
+    else {
+      // keys without values are null
+      mapping[String(key)] = null;
+    }
+  } while (expectFlowChar(state, ',}') === ',');
+  return mapping;
+}
+
+function parseFlowScalar(state, isKey) {
+  const text = state.text;
+  const start = state.pos;
+  if (text[start] === '"' || text[start] === '\'') {
+    const end = findQuoteEnd(text, start);
+    if (end === -1) {
+      throw yamlError(state.line, 'unterminated string');
+    }
+    state.pos = end + 1;
+    return parseQuoted(text.substring(start, end + 1), state.line);
+  }
+  // else
+  // plain scalars end at flow indicators, or at a ':' separating a key from its value
+  let end = start;
+  while (end < text.length && ',[]{}'.indexOf(text[end]) === -1) {
+    if (text[end] === ':' && (isKey || end + 1 === text.length || ' ,[]{}'.indexOf(text[end + 1]) !== -1)) {
+      break;
+    }
+    ++end;
+  }
+  state.pos = end;
+  return parsePlainScalar(text.substring(start, end).trim());
+}
+
+module.exports = YamlUtils;
@@ -79,6 +79,21 @@ describe('GlobalSpinner', () => {
     })
   });
 
+  it('Dropped Messages', () => {
+    const client = new DummyClient();
+    const dropped = [];
+    client._handleDroppedMsg = (msg) => dropped.push(msg);
+
+    spinner.addClient(client, client.id, 2, 0);
+
+    ["a", "b", "c", "d"].forEach((message) => {
+      spinner.ping(client.id, message);
+    });
+
+    expect(dropped).to.deep.equal(["a", "b"]);
+    spinner.clear();
+  });
+
   it('Locking', (done) => {
     const client = new DummyClient();
 
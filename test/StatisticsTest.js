@@ -0,0 +1,187 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const StatisticsLogger = require('../src/lib/impl/StatisticsLogger.js');
+const timeUtils = require('../src/utils/time_utils.js');
+
+class DummyMsg {
+  static messageDefinition() {
+    return 'int8 data\n';
+  }
+}
+
+class DummyStampedMsg {
+  static messageDefinition() {
+    return '\n# a stamped message\nHeader header\nint8 data\n\n' +
+           '================================================================================\n' +
+           'MSG: std_msgs/Header\nuint32 seq\ntime stamp\nstring frame_id\n';
+  }
+}
+
+function stampedMsg(stamp) {
+  const buf = Buffer.alloc(17);
+  buf.writeUInt32LE(0, 0);
+  buf.writeUInt32LE(stamp.secs, 4);
+  buf.writeUInt32LE(stamp.nsecs, 8);
+  buf.writeUInt32LE(0, 12);
+  return buf;
+}
+
+describe('StatisticsLogger', () => {
+  let published;
+  let params;
+
+  const fakeRosnodejs = {
+    nh: {
+      getParam(key) {
+        if (params.hasOwnProperty(key)) {
+          return Promise.resolve(params[key]);
+        }
+        // else
+        const err = new Error('Parameter not set');
+        err.statusCode = -1;
+        return Promise.reject(err);
+      },
+      advertise(topic, type) {
+        expect(topic).to.equal('/statistics');
+        expect(type).to.equal('rosgraph_msgs/TopicStatistics');
+        return { publish(msg) { published.push(msg); } };
+      }
+    }
+  };
+
+  function createConnection() {
+    return { destination: '/publisher', bytesReceived: 0 };
+  }
+
+  function receive(logger, conn, secs, msg) {
+    msg = msg || Buffer.alloc(1);
+    conn.bytesReceived += msg.length + 4;
+    logger.handleMessage(conn, msg, timeUtils.fromSeconds(secs));
+  }
+
+  beforeEach(() => {
+    published = [];
+    params = { '/enable_statistics': true };
+  });
+
+  after(() => {
+    params = {};
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs);
+  });
+
+  it('Disabled', () => {
+    params = {};
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs)
+    .then(() => {
+      const logger = new StatisticsLogger('/topic', '/subscriber', DummyMsg);
+      const conn = createConnection();
+      for (let i = 0; i < 10; ++i) {
+        receive(logger, conn, 10 + i);
+      }
+      expect(logger.isEnabled()).to.be.false;
+      expect(published).to.be.empty;
+    });
+  });
+
+  it('Ignored Topics', () => {
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs)
+    .then(() => {
+      expect(new StatisticsLogger('/topic', '/subscriber', DummyMsg).isEnabled()).to.be.true;
+      expect(new StatisticsLogger('/clock', '/subscriber', DummyMsg).isEnabled()).to.be.false;
+      expect(new StatisticsLogger('/statistics', '/subscriber', DummyMsg).isEnabled()).to.be.false;
+    });
+  });
+
+  it('Window', () => {
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs)
+    .then(() => {
+      const logger = new StatisticsLogger('/topic', '/subscriber', DummyMsg);
+      const conn = createConnection();
+
+      receive(logger, conn, 10);
+      receive(logger, conn, 10.25);
+      logger.handleDroppedMessage(conn);
+      receive(logger, conn, 10.5);
+      expect(published).to.be.empty;
+
+      receive(logger, conn, 11.25);
+      expect(published).to.have.lengthOf(1);
+
+      const stats = published[0];
+      expect(stats.topic).to.equal('/topic');
+      expect(stats.node_pub).to.equal('/publisher');
+      expect(stats.node_sub).to.equal('/subscriber');
+      expect(stats.window_start).to.deep.equal({secs: 10, nsecs: 0});
+      expect(stats.window_stop).to.deep.equal({secs: 11, nsecs: 250000000});
+      expect(stats.delivered_msgs).to.equal(4);
+      expect(stats.dropped_msgs).to.equal(1);
+      expect(stats.traffic).to.equal(20);
+      expect(stats.period_mean).to.deep.equal({secs: 0, nsecs: 416666667});
+      expect(timeUtils.toSeconds(stats.period_stddev)).to.be.closeTo(0.2357, 1e-4);
+      expect(stats.period_max).to.deep.equal({secs: 0, nsecs: 750000000});
+      expect(stats.stamp_age_mean).to.deep.equal({secs: 0, nsecs: 0});
+
+      // the next window starts where the last one stopped
+      receive(logger, conn, 12.5);
+      expect(published).to.have.lengthOf(2);
+      expect(published[1].window_start).to.deep.equal({secs: 11, nsecs: 250000000});
+      expect(published[1].delivered_msgs).to.equal(1);
+      expect(published[1].dropped_msgs).to.equal(0);
+      expect(published[1].traffic).to.equal(5);
+      expect(published[1].period_mean).to.deep.equal({secs: 0, nsecs: 0});
+    });
+  });
+
+  it('Stamp Age', () => {
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs)
+    .then(() => {
+      const logger = new StatisticsLogger('/topic', '/subscriber', DummyStampedMsg);
+      const conn = createConnection();
+
+      receive(logger, conn, 10, stampedMsg({secs: 9, nsecs: 500000000}));
+      // zero stamps are ignored
+      receive(logger, conn, 10.5, stampedMsg({secs: 0, nsecs: 0}));
+      receive(logger, conn, 11.5, stampedMsg({secs: 11, nsecs: 0}));
+
+      expect(published).to.have.lengthOf(1);
+      expect(published[0].stamp_age_mean).to.deep.equal({secs: 0, nsecs: 500000000});
+      expect(published[0].stamp_age_stddev).to.deep.equal({secs: 0, nsecs: 0});
+      expect(published[0].stamp_age_max).to.deep.equal({secs: 0, nsecs: 500000000});
+    });
+  });
+
+  it('Adaptive Window', () => {
+    Object.assign(params, {
+      '/statistics_window_min_elements': 2,
+      '/statistics_window_max_elements': 4,
+      '/statistics_window_min_size': 1,
+      '/statistics_window_max_size': 4
+    });
+
+    return StatisticsLogger._initializeStatistics(fakeRosnodejs)
+    .then(() => {
+      const logger = new StatisticsLogger('/topic', '/subscriber', DummyMsg);
+      const conn = createConnection();
+
+      // lots of messages in the first window grow it to 2s
+      let t = 0;
+      for (; t <= 1.1; t += 0.1) {
+        receive(logger, conn, t);
+      }
+      expect(published).to.have.lengthOf(1);
+      expect(logger._windowSize).to.equal(2);
+
+      // a window with too few messages shrinks it again
+      receive(logger, conn, 5);
+      expect(published).to.have.lengthOf(2);
+      expect(logger._windowSize).to.equal(1);
+
+      // but never below the minimum size
+      receive(logger, conn, 10);
+      expect(published).to.have.lengthOf(3);
+      expect(logger._windowSize).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const UdprosUtils = require('../src/utils/udpros_utils.js');
+const UdprosReassembler = require('../src/utils/UdprosReassembler.js');
+
+const CONNECTION_ID = 7;
+
+function serialize(str) {
+  return UdprosUtils.serializeString(str);
+}
+
+describe('UDPROS', () => {
+  let reassembler;
+  let received;
+  let lost;
+
+  function send(datagrams) {
+    datagrams.forEach((dgram) => {
+      reassembler.handleDatagram(UdprosUtils.deserializeHeader(dgram), dgram);
+    });
+  }
+
+  beforeEach(() => {
+    reassembler = new UdprosReassembler(50);
+    received = [];
+    lost = 0;
+    reassembler.on('message', (msg) => { received.push(msg.toString()); });
+    reassembler.on('lost', (count) => { lost += count; });
+  });
+
+  afterEach(() => {
+    reassembler.clear();
+  });
+
+  it('Datagram Size', () => {
+    expect(UdprosUtils.negotiateDatagramSize(500)).to.equal(500);
+    expect(UdprosUtils.negotiateDatagramSize(100000)).to.equal(65507);
+    expect(UdprosUtils.negotiateDatagramSize(0)).to.equal(1500);
+    expect(UdprosUtils.negotiateDatagramSize(undefined)).to.equal(1500);
+  });
+
+  it('Fragmentation', () => {
+    const msg = serialize('0123456789');
+    const datagrams = UdprosUtils.createDatagrams(CONNECTION_ID, 3, msg, 12);
+
+    // 14 bytes in 4 byte payloads
+    expect(datagrams).to.have.lengthOf(4);
+    datagrams.forEach((dgram, index) => {
+      expect(dgram.length).to.be.at.most(12);
+      const header = UdprosUtils.deserializeHeader(dgram);
+      expect(header.connectionId).to.equal(CONNECTION_ID);
+      expect(header.msgId).to.equal(3);
+      if (index === 0) {
+        expect(header.opCode).to.equal(UdprosUtils.OP_CODES.DATA0);
+        expect(header.blkN).to.equal(4);
+      }
+      else {
+        expect(header.opCode).to.equal(UdprosUtils.OP_CODES.DATAN);
+        expect(header.blkN).to.equal(index);
+      }
+    });
+    expect(Buffer.concat(datagrams.map((dgram) => dgram.slice(8)))).to.deep.equal(msg);
+
+    const single = UdprosUtils.createDatagrams(CONNECTION_ID, 0, msg, 1500);
+    expect(single).to.have.lengthOf(1);
+    expect(UdprosUtils.deserializeHeader(single[0]).blkN).to.equal(1);
+  });
+
+  it('Reassembly', () => {
+    send(UdprosUtils.createDatagrams(CONNECTION_ID, 0, serialize('short'), 1500));
+    send(UdprosUtils.createDatagrams(CONNECTION_ID, 1, serialize('a longer message'), 12));
+
+    expect(received).to.deep.equal(['short', 'a longer message']);
+    expect(lost).to.equal(0);
+  });
+
+  it('Out Of Order And Duplicate Blocks', () => {
+    const datagrams = UdprosUtils.createDatagrams(CONNECTION_ID, 0, serialize('0123456789'), 12);
+    send([datagrams[2], datagrams[2], datagrams[0], datagrams[3], datagrams[0]]);
+    expect(received).to.be.empty;
+
+    send([datagrams[1]]);
+    expect(received).to.deep.equal(['0123456789']);
+
+    // late duplicates of a finished message are ignored
+    send(datagrams);
+    expect(received).to.have.lengthOf(1);
+    expect(lost).to.equal(0);
+  });
+
+  it('Skipped Messages', () => {
+    send(UdprosUtils.createDatagrams(CONNECTION_ID, 254, serialize('a'), 1500));
+    send(UdprosUtils.createDatagrams(CONNECTION_ID, 2, serialize('b'), 1500));
+
+    // ids wrap around after 255
+    expect(received).to.deep.equal(['a', 'b']);
+    expect(lost).to.equal(3);
+
+    // messages that show up after newer ones are treated as lost
+    send(UdprosUtils.createDatagrams(CONNECTION_ID, 1, serialize('c'), 1500));
+    expect(received).to.deep.equal(['a', 'b']);
+    expect(lost).to.equal(3);
+  });
+
+  it('Reassembly Timeout', (done) => {
+    const datagrams = UdprosUtils.createDatagrams(CONNECTION_ID, 0, serialize('0123456789'), 12);
+    send(datagrams.slice(0, 3));
+
+    setTimeout(() => {
+      expect(lost).to.equal(1);
+
+      // the rest of the message shows up too late
+      send(datagrams.slice(3));
+      expect(received).to.be.empty;
+
+      // but new messages are still handled
+      send(UdprosUtils.createDatagrams(CONNECTION_ID, 1, serialize('next'), 12));
+      expect(received).to.deep.equal(['next']);
+      expect(lost).to.equal(1);
+      done();
+    }, 100);
+  });
+});
@@ -0,0 +1,803 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const rosnodejs = require('../src/index.js');
+const ClientGoalHandle = require('../src/actions/ClientGoalHandle.js');
+const { CommState } = require('../src/actions/ClientStates.js');
+
+const MASTER_PORT = 11238;
+
+describe('Actions', () => {
+  const nodeName = '/actionTestNode';
+  const actionType = 'action_test_msgs/Count';
+  let directory;
+  let master;
+  let GoalStatuses;
+  let actionNum = 0;
+  let actionServer;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rosnodejs-'));
+    const actionFile = path.join(directory, 'action_test_msgs', 'action', 'Count.action');
+    fs.mkdirSync(path.dirname(actionFile), { recursive: true });
+    fs.writeFileSync(actionFile, 'int32 target\n---\nint32 count\n---\nint32 progress');
+
+    return rosnodejs.registerMessageDirectory(directory)
+    .then(() => rosnodejs.createMaster({host: 'localhost', port: MASTER_PORT}))
+    .then((m) => {
+      master = m;
+      return rosnodejs.initNode(nodeName, {
+        rosMasterUri: master.getUri(),
+        logging: {skipRosLogging: true},
+        notime: true
+      });
+    })
+    .then(() => {
+      GoalStatuses = rosnodejs.require('actionlib_msgs').msg.GoalStatus.Constants;
+    });
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    return rosnodejs.shutdown()
+    .then(() => {
+      rosnodejs.reset();
+      return master.shutdown();
+    });
+  });
+
+  beforeEach(() => {
+    // every test gets its own action so they can't hear each other
+    actionServer = `/count_${++actionNum}`;
+  });
+
+  function waitFor(emitter, event) {
+    return new Promise((resolve) => {
+      emitter.once(event, function() {
+        resolve(Array.prototype.slice.call(arguments));
+      });
+    });
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+  }
+
+  // hands the server a goal as if it came from a client
+  function receiveGoal(server, id, target = 1) {
+    server._handleGoal({ goal_id: { id, stamp: { secs: 0, nsecs: 0 } }, goal: { target } });
+    return server._getGoalHandle(id);
+  }
+
+  function getTrackedGoalIds(server) {
+    return server._goalHandleList.map((handle) => handle.id);
+  }
+
+  describe('Action Server', () => {
+    it('Status List Timeout Spellings', function() {
+      const nh = rosnodejs.nh;
+      const servers = [
+        new rosnodejs.ActionServer({ nh, type: actionType, actionServer, statusListTimeout: 0.05 }),
+        new rosnodejs.ActionServer({ nh, type: actionType, actionServer: actionServer + '_ros', status_list_timeout: 0.05 })
+      ];
+
+      servers.forEach((server) => {
+        server.start();
+        receiveGoal(server, 'done').setAccepted();
+        receiveGoal(server, 'running').setAccepted();
+        server._getGoalHandle('done').setSucceeded({ count: 1 });
+
+        // finished goals stay in the status list for a while
+        server.publishStatus();
+        expect(getTrackedGoalIds(server)).to.deep.equal(['done', 'running']);
+      });
+
+      return delay(100)
+      .then(() => {
+        servers.forEach((server) => {
+          server.publishStatus();
+          expect(getTrackedGoalIds(server)).to.deep.equal(['running']);
+          expect(server._getGoalHandle('done')).to.be.undefined;
+
+          // but are still in the history
+          expect(server.findGoal('done').result).to.deep.equal({ count: 1 });
+        });
+
+        return Promise.all(servers.map((server) => server.shutdown()));
+      });
+    });
+
+    it('Status Frequency Spellings', function() {
+      this.slow(3000);
+
+      const nh = rosnodejs.nh;
+      const servers = [
+        new rosnodejs.ActionServer({ nh, type: actionType, actionServer, statusFrequency: 0, statusListTimeout: 0.5 }),
+        new rosnodejs.ActionServer({ nh, type: actionType, actionServer: actionServer + '_ros', status_frequency: 0, status_list_timeout: 0.5 })
+      ];
+
+      servers.forEach((server) => {
+        server.start();
+        expect(server._statusFreqInt).to.not.be.ok;
+        receiveGoal(server, 'done').setRejected({ count: 0 });
+        expect(getTrackedGoalIds(server)).to.deep.equal(['done']);
+      });
+
+      // without periodic status, finished goals are still pruned
+      return delay(1100)
+      .then(() => {
+        servers.forEach((server) => {
+          expect(getTrackedGoalIds(server)).to.be.empty;
+        });
+
+        return Promise.all(servers.map((server) => server.shutdown()));
+      });
+    });
+
+    it('Invalid Options', function() {
+      const nh = rosnodejs.nh;
+      expect(() => new rosnodejs.ActionServer({ nh, type: actionType, actionServer, statusListTimeout: '5' }))
+        .to.throw('Invalid value (5) for statusListTimeout - expected number');
+      expect(() => new rosnodejs.ActionServer({ nh, type: actionType, actionServer, status_list_timeout: '5' }))
+        .to.throw('Invalid value (5) for status_list_timeout - expected number');
+      expect(() => new rosnodejs.ActionServer({ nh, type: actionType, actionServer, goalHistoryLength: null }))
+        .to.throw('Invalid value (null) for goalHistoryLength - expected number');
+
+      // the camelCase spelling wins
+      const server = new rosnodejs.ActionServer({ nh, type: actionType, actionServer,
+                                                  statusListTimeout: 1, status_list_timeout: 2 });
+      expect(server._statusListTimeout).to.deep.equal({ secs: 1, nsecs: 0 });
+    });
+
+    it('Goal History', function() {
+      const nh = rosnodejs.nh;
+      const server = new rosnodejs.ActionServer({ nh, type: actionType, actionServer, goalHistoryLength: 2 });
+      server.start();
+
+      ['a', 'b', 'c'].forEach((id, index) => {
+        const handle = receiveGoal(server, id, index);
+        handle.setAccepted();
+        handle.setSucceeded({ count: index });
+      });
+      receiveGoal(server, 'd', 3).setAccepted();
+
+      // only the most recent goals to finish are kept
+      const history = server.getGoalHistory();
+      expect(history.map((record) => record.goalId)).to.deep.equal(['b', 'c']);
+      expect(history[1].goal.target).to.equal(2);
+      expect(history[1].status).to.equal(GoalStatuses.SUCCEEDED);
+      expect(history[1].result).to.deep.equal({ count: 2 });
+      expect(history[1].finishedAt).to.be.ok;
+
+      // goals that are still tracked can be found after they drop out of the history
+      expect(server.findGoal('a').status).to.equal(GoalStatuses.SUCCEEDED);
+      expect(server.findGoal('a').result).to.be.null;
+
+      const running = server.findGoal('d');
+      expect(running.status).to.equal(GoalStatuses.ACTIVE);
+      expect(running.finishedAt).to.be.null;
+      expect(server.findGoal('e')).to.be.null;
+
+      return server.shutdown();
+    });
+  });
+
+  describe('Async Goal Handle', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+      const nh = rosnodejs.nh;
+      server = new rosnodejs.ActionServer({ nh, type: actionType, actionServer });
+      server.start();
+      client = new rosnodejs.SimpleActionClient({ nh, type: actionType, actionServer });
+      return client.waitForServer();
+    });
+
+    afterEach(() => {
+      return Promise.all([server.shutdown(), client.shutdown()]);
+    });
+
+    // collects feedback from the iterator until it ends
+    function collectFeedback(iterator, feedback = []) {
+      return iterator.next()
+      .then(({value, done}) => {
+        if (done) {
+          return feedback;
+        }
+        // else
+        feedback.push(value.progress);
+        return collectFeedback(iterator, feedback);
+      });
+    }
+
+    it('Result For Each Terminal State', function() {
+      server.on('goal', (goal) => {
+        const target = goal.getGoal().target;
+        switch (target) {
+          case 0:
+            goal.setAccepted();
+            goal.setSucceeded({ count: 10 });
+            break;
+          case 1:
+            goal.setAccepted();
+            goal.setAborted({ count: 11 }, 'failed');
+            break;
+          case 2:
+            goal.setRejected({ count: 12 });
+            break;
+          default:
+            goal.setAccepted();
+            break;
+        }
+      });
+      server.on('cancel', (goal) => {
+        goal.setCanceled({ count: 13 });
+      });
+
+      const expectResult = (handle, state, count) => {
+        return handle.result
+        .then((res) => {
+          expect(res.state).to.equal(state);
+          expect(res.result.count).to.equal(count);
+          expect(handle.isDone()).to.be.true;
+        });
+      };
+
+      let handle = client.sendGoalAsync({ target: 0 });
+      return expectResult(handle, 'SUCCEEDED', 10)
+      .then(() => expectResult(client.sendGoalAsync({ target: 1 }), 'ABORTED', 11))
+      .then(() => expectResult(client.sendGoalAsync({ target: 2 }), 'REJECTED', 12))
+      .then(() => {
+        handle = client.sendGoalAsync({ target: 3 });
+        return waitFor(server, 'goal');
+      })
+      .then(() => {
+        // cancelling gives back the result promise
+        expect(handle.cancel()).to.equal(handle.result);
+        return expectResult(handle, 'PREEMPTED', 13);
+      })
+      .then(() => {
+        handle = client.sendGoalAsync({ target: 3 });
+        return waitFor(server, 'goal');
+      })
+      .then(() => {
+        // we stop tracking goals when another is sent
+        client.sendGoalAsync({ target: 3 });
+        return handle.result;
+      })
+      .then((res) => {
+        expect(res).to.deep.equal({ state: 'LOST', result: null });
+      });
+    });
+
+    it('Feedback Iteration', function() {
+      server.on('goal', (goal) => {
+        goal.setAccepted();
+        // give each feedback message time to arrive before the next
+        delay(20)
+        .then(() => {
+          goal.publishFeedback({ progress: 1 });
+          return delay(20);
+        })
+        .then(() => {
+          goal.publishFeedback({ progress: 2 });
+          return delay(20);
+        })
+        .then(() => {
+          goal.setSucceeded({ count: 2 });
+        });
+      });
+
+      const handle = client.sendGoalAsync({ target: 2 });
+      const iterator = handle.feedback();
+      const stoppedIterator = handle.feedback();
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+
+      return stoppedIterator.return()
+      .then((res) => {
+        // iterators that were stopped don't get feedback
+        expect(res.done).to.be.true;
+        expect(handle._iterators).to.deep.equal([iterator]);
+        return Promise.all([collectFeedback(iterator), collectFeedback(stoppedIterator), handle.result]);
+      })
+      .then(([feedback, stoppedFeedback, res]) => {
+        // iteration ends when the goal finishes
+        expect(feedback).to.deep.equal([1, 2]);
+        expect(stoppedFeedback).to.be.empty;
+        expect(res.state).to.equal('SUCCEEDED');
+
+        // and iterators for finished goals end right away
+        return handle.feedback().next();
+      })
+      .then((res) => {
+        expect(res).to.deep.equal({ value: undefined, done: true });
+      });
+    });
+
+    it('Abort Signal', function() {
+      server.on('goal', (goal) => {
+        goal.setAccepted();
+      });
+      server.on('cancel', (goal) => {
+        goal.setCanceled({ count: 1 });
+      });
+
+      const controller = new AbortController();
+      const handle = client.sendGoalAsync({ target: 1 }, { signal: controller.signal });
+      return waitFor(server, 'goal')
+      .then(() => {
+        controller.abort();
+        return handle.result;
+      })
+      .then((res) => {
+        expect(res.state).to.equal('PREEMPTED');
+        expect(res.result.count).to.equal(1);
+
+        // signals that were already aborted cancel the goal right away
+        return client.sendGoalAsync({ target: 2 }, { signal: controller.signal }).result;
+      })
+      .then((res) => {
+        // depending on whether the server got the goal or its cancel first
+        expect(res.state).to.be.oneOf(['RECALLED', 'PREEMPTED']);
+      });
+    });
+
+    it('Abort Signal After Finishing', function() {
+      server.on('goal', (goal) => {
+        goal.setAccepted();
+        goal.setSucceeded({ count: 1 });
+      });
+
+      const controller = new AbortController();
+      const handle = client.sendGoalAsync({ target: 1 }, { signal: controller.signal });
+      return handle.result
+      .then((res) => {
+        expect(res.state).to.equal('SUCCEEDED');
+
+        handle._goalHandle.cancel = () => {
+          throw new Error('Finished goals should not be cancelled');
+        };
+        controller.abort();
+      });
+    });
+  });
+
+  describe('Simple Action Server Async Execute', () => {
+    let server;
+    let client;
+    let executeCallback;
+
+    beforeEach(() => {
+      const nh = rosnodejs.nh;
+      server = new rosnodejs.SimpleActionServer({
+        nh,
+        type: actionType,
+        actionServer,
+        asyncExecute: true,
+        executeCallback: (goal, options) => executeCallback(goal, options)
+      });
+      server.start();
+      client = new rosnodejs.SimpleActionClient({ nh, type: actionType, actionServer });
+      return client.waitForServer();
+    });
+
+    afterEach(() => {
+      return Promise.all([server.shutdown(), client.shutdown()]);
+    });
+
+    // resolves when the signal is aborted
+    function waitForAbort(signal) {
+      return new Promise((resolve) => {
+        signal.addEventListener('abort', resolve);
+      });
+    }
+
+    it('Resolved Marks Succeeded', function() {
+      executeCallback = (goal, { signal, publishFeedback }) => {
+        expect(signal.aborted).to.be.false;
+        expect(server.isActive()).to.be.true;
+        publishFeedback({ progress: 1 });
+        return delay(20).then(() => ({ count: goal.target }));
+      };
+
+      const handle = client.sendGoalAsync({ target: 3 });
+      return handle.result
+      .then((res) => {
+        expect(res.state).to.equal('SUCCEEDED');
+        expect(res.result.count).to.equal(3);
+        expect(server.isActive()).to.be.false;
+      });
+    });
+
+    it('Rejection Marks Aborted', function() {
+      executeCallback = () => Promise.reject(new Error('Unable to count'));
+
+      const handle = client.sendGoalAsync({ target: 3 });
+      return handle.result
+      .then((res) => {
+        expect(res.state).to.equal('ABORTED');
+        expect(handle._goalHandle.getGoalStatus().text).to.equal('Unable to count');
+
+        // errors thrown before returning a promise abort the goal too
+        executeCallback = () => { throw new Error('Unable to start'); };
+        return client.sendGoalAsync({ target: 4 }).result;
+      })
+      .then((res) => {
+        expect(res.state).to.equal('ABORTED');
+      });
+    });
+
+    it('Cancel Fires Abort Signal', function() {
+      let executedSignal = null;
+      executeCallback = (goal, { signal }) => {
+        executedSignal = signal;
+        return waitForAbort(signal).then(() => ({ count: 1 }));
+      };
+
+      const handle = client.sendGoalAsync({ target: 3 });
+      return waitFor(server, 'goal')
+      .then(() => delay(20))
+      .then(() => {
+        expect(executedSignal.aborted).to.be.false;
+        return handle.cancel();
+      })
+      .then((res) => {
+        expect(executedSignal.aborted).to.be.true;
+        // the goal is preempted with the result the callback resolved to
+        expect(res.state).to.equal('PREEMPTED');
+        expect(res.result.count).to.equal(1);
+      });
+    });
+
+    it('New Goal Fires Abort Signal', function() {
+      const signals = {};
+      const goalIds = {};
+      executeCallback = (goal, { signal }) => {
+        signals[goal.target] = signal;
+        goalIds[goal.target] = server._currentGoal.id;
+        if (goal.target === 1) {
+          return waitForAbort(signal).then(() => Promise.reject(new Error('Stopped')));
+        }
+        // else
+        return Promise.resolve({ count: goal.target });
+      };
+
+      client.sendGoalAsync({ target: 1 });
+      return waitFor(server, 'goal')
+      .then(() => delay(20))
+      .then(() => client.sendGoalAsync({ target: 2 }).result)
+      .then((res) => {
+        expect(signals[1].aborted).to.be.true;
+        expect(signals[2].aborted).to.be.false;
+        expect(res.state).to.equal('SUCCEEDED');
+
+        // the preempted goal isn't aborted even though its callback rejected
+        const preempted = server._as.findGoal(goalIds[1]);
+        expect(preempted.status).to.equal(GoalStatuses.PREEMPTED);
+        expect(preempted.text).to.equal('Stopped');
+      });
+    });
+  });
+
+  describe('Policy Action Server', () => {
+    const GoalPolicy = rosnodejs.PolicyActionServer.GoalPolicy;
+    let server;
+    // the promise callbacks and signal for each goal that was executed, by id
+    let executions;
+    let maxRunning;
+
+    function startServer(options) {
+      executions = {};
+      maxRunning = 0;
+      server = new rosnodejs.PolicyActionServer(Object.assign({
+        nh: rosnodejs.nh,
+        type: actionType,
+        actionServer,
+        executeCallback: (goal, { signal, goalHandle }) => {
+          maxRunning = Math.max(maxRunning, server.getRunningGoals().length);
+          return new Promise((resolve, reject) => {
+            executions[goalHandle.id] = { resolve, reject, signal };
+          });
+        }
+      }, options));
+      server.start();
+    }
+
+    afterEach(() => {
+      return server.shutdown();
+    });
+
+    function getStatuses(ids) {
+      return ids.map((id) => server._as._getGoalHandle(id).getStatusId());
+    }
+
+    function getIds(goalHandles) {
+      return goalHandles.map((goalHandle) => goalHandle.id);
+    }
+
+    function cancel(id) {
+      server._as._handleCancel({ id, stamp: { secs: 0, nsecs: 0 } });
+    }
+
+    it('Invalid Options', function() {
+      const nh = rosnodejs.nh;
+      expect(() => new rosnodejs.PolicyActionServer({ nh, type: actionType, actionServer,
+                                                      policy: 'drop', executeCallback() {} }))
+        .to.throw('Invalid goal policy drop');
+      expect(() => new rosnodejs.PolicyActionServer({ nh, type: actionType, actionServer }))
+        .to.throw('PolicyActionServer requires an executeCallback');
+
+      startServer({});
+      expect(server.getPolicy()).to.equal(GoalPolicy.QUEUE);
+    });
+
+    it('Queue', function() {
+      startServer({ policy: GoalPolicy.QUEUE, maxConcurrency: 2, maxQueueLength: 2 });
+      const queued = [];
+      server.on('queued', (goalHandle) => { queued.push(goalHandle.id); });
+
+      ['a', 'b', 'c', 'd', 'e'].forEach((id) => { receiveGoal(server._as, id); });
+      expect(getIds(server.getRunningGoals())).to.deep.equal(['a', 'b']);
+      expect(getIds(server.getQueuedGoals())).to.deep.equal(['c', 'd']);
+      expect(queued).to.deep.equal(['c', 'd']);
+      expect(getStatuses(['a', 'b', 'c', 'd', 'e'])).to.deep.equal([GoalStatuses.ACTIVE, GoalStatuses.ACTIVE,
+        GoalStatuses.PENDING, GoalStatuses.PENDING, GoalStatuses.REJECTED]);
+      expect(server._as._getGoalHandle('e').getGoalStatus().text)
+        .to.equal('This goal was rejected because the goal queue is full');
+
+      // queued goals can be cancelled before they run
+      cancel('c');
+      expect(getStatuses(['c'])).to.deep.equal([GoalStatuses.RECALLED]);
+      expect(getIds(server.getQueuedGoals())).to.deep.equal(['d']);
+
+      // and run in order as slots free up
+      executions.a.resolve({ count: 1 });
+      executions.b.reject(new Error('Unable to count'));
+      return delay(10)
+      .then(() => {
+        expect(getStatuses(['a', 'b'])).to.deep.equal([GoalStatuses.SUCCEEDED, GoalStatuses.ABORTED]);
+        expect(server._as.findGoal('a').result.count).to.equal(1);
+        expect(server._as._getGoalHandle('b').getGoalStatus().text).to.equal('Unable to count');
+        expect(getIds(server.getRunningGoals())).to.deep.equal(['d']);
+        expect(server.getQueuedGoals()).to.be.empty;
+      });
+    });
+
+    it('Reject', function() {
+      startServer({ policy: GoalPolicy.REJECT });
+
+      receiveGoal(server._as, 'a');
+      receiveGoal(server._as, 'b');
+      expect(getStatuses(['a', 'b'])).to.deep.equal([GoalStatuses.ACTIVE, GoalStatuses.REJECTED]);
+      expect(server._as._getGoalHandle('b').getGoalStatus().text)
+        .to.equal('This goal was rejected because the action server is busy');
+      expect(server.getQueuedGoals()).to.be.empty;
+
+      executions.a.resolve({ count: 1 });
+      return delay(10)
+      .then(() => {
+        // goals are accepted again once there's a free slot
+        receiveGoal(server._as, 'c');
+        expect(getStatuses(['a', 'c'])).to.deep.equal([GoalStatuses.SUCCEEDED, GoalStatuses.ACTIVE]);
+      });
+    });
+
+    it('Preempt', function() {
+      startServer({ policy: GoalPolicy.PREEMPT, maxConcurrency: 2 });
+
+      receiveGoal(server._as, 'a');
+      receiveGoal(server._as, 'b');
+      receiveGoal(server._as, 'c');
+
+      // the oldest running goal is preempted for the new goal
+      expect(executions.a.signal.aborted).to.be.true;
+      expect(executions.b.signal.aborted).to.be.false;
+      expect(getIds(server.getQueuedGoals())).to.deep.equal(['c']);
+
+      // a goal waiting on a preempted goal is preempted by newer goals
+      receiveGoal(server._as, 'd');
+      expect(getStatuses(['c'])).to.deep.equal([GoalStatuses.RECALLED]);
+      expect(executions.b.signal.aborted).to.be.false;
+      expect(getIds(server.getQueuedGoals())).to.deep.equal(['d']);
+
+      // the preempted goal's result is kept
+      executions.a.resolve({ count: 1 });
+      return delay(10)
+      .then(() => {
+        expect(getStatuses(['a', 'b', 'd'])).to.deep.equal([GoalStatuses.PREEMPTED, GoalStatuses.ACTIVE,
+          GoalStatuses.ACTIVE]);
+        expect(server._as.findGoal('a').result.count).to.equal(1);
+        expect(getIds(server.getRunningGoals())).to.deep.equal(['b', 'd']);
+      });
+    });
+
+    it('Cancel Running Goal', function() {
+      startServer({});
+
+      receiveGoal(server._as, 'a');
+      cancel('a');
+      expect(executions.a.signal.aborted).to.be.true;
+      expect(getStatuses(['a'])).to.deep.equal([GoalStatuses.PREEMPTING]);
+
+      executions.a.reject(new Error('Stopped'));
+      return delay(10)
+      .then(() => {
+        expect(getStatuses(['a'])).to.deep.equal([GoalStatuses.PREEMPTED]);
+        expect(server._as._getGoalHandle('a').getGoalStatus().text).to.equal('Stopped');
+      });
+    });
+
+    it('Concurrency Limit', function() {
+      startServer({ maxConcurrency: 3 });
+      const ids = ['a', 'b', 'c', 'd', 'e'];
+
+      // finishes each goal as soon as it runs
+      const finishRunning = () => {
+        const running = getIds(server.getRunningGoals());
+        if (running.length === 0) {
+          return Promise.resolve();
+        }
+        // else
+        expect(running.length).to.be.at.most(3);
+        running.forEach((id) => { executions[id].resolve({ count: 1 }); });
+        return delay(10).then(finishRunning);
+      };
+
+      ids.forEach((id) => { receiveGoal(server._as, id); });
+      return finishRunning()
+      .then(() => {
+        expect(maxRunning).to.equal(3);
+        expect(getStatuses(ids)).to.deep.equal(ids.map(() => GoalStatuses.SUCCEEDED));
+      });
+    });
+
+    it('Shutdown', function() {
+      startServer({});
+
+      receiveGoal(server._as, 'a');
+      receiveGoal(server._as, 'b');
+      const goalA = server._as._getGoalHandle('a');
+      const goalB = server._as._getGoalHandle('b');
+
+      // record results published before the server shuts down
+      const results = {};
+      const publishResult = server._as.publishResult.bind(server._as);
+      server._as.publishResult = (status, result) => {
+        results[status.goal_id.id] = status.status;
+        publishResult(status, result);
+      };
+
+      const shutdown = server.shutdown();
+      expect(executions.a.signal.aborted).to.be.true;
+      expect(results).to.deep.equal({ a: GoalStatuses.ABORTED, b: GoalStatuses.RECALLED });
+      expect(goalA.getGoalStatus().text).to.equal('This goal was aborted because the action server shut down');
+      expect(goalB.getGoalStatus().text).to.equal('This goal was canceled because the action server shut down');
+      expect(server.getRunningGoals()).to.be.empty;
+      expect(server.getQueuedGoals()).to.be.empty;
+
+      // the aborted execution finishing doesn't change anything
+      executions.a.resolve({ count: 1 });
+      return delay(10)
+      .then(() => {
+        expect(goalA.getStatusId()).to.equal(GoalStatuses.ABORTED);
+        expect(results).to.have.all.keys('a', 'b');
+        return shutdown;
+      });
+    });
+  });
+
+  describe('Server Lost', () => {
+    it('Times Out After The First Goal', function() {
+      const nh = rosnodejs.nh;
+      const client = new rosnodejs.ActionClient({ nh, type: actionType, actionServer, serverTimeoutMs: 50 });
+
+      // there's no server, so we never get status
+      const goalHandle = client.sendGoal({ target: 1 });
+      return waitFor(client, 'serverLost')
+      .then(([lostGoals, reason]) => {
+        expect(reason).to.equal('timeout');
+        expect(lostGoals).to.deep.equal([goalHandle]);
+        expect(goalHandle.getCommState()).to.equal(CommState.DONE);
+        expect(goalHandle.getTerminalState()).to.equal(GoalStatuses.LOST);
+        expect(goalHandle.getGoalStatus().text).to.equal('Lost action server (timeout)');
+        return client.shutdown();
+      });
+    });
+
+    it('Goals Sent While Lost', function() {
+      const nh = rosnodejs.nh;
+      const client = new rosnodejs.SimpleActionClient({ nh, type: actionType, actionServer, serverTimeoutMs: 50 });
+
+      client.sendGoal({ target: 1 });
+      return waitFor(client, 'serverLost')
+      .then(() => client.sendGoalAsync({ target: 2 }).result)
+      .then((res) => {
+        expect(res.state).to.equal('LOST');
+        expect(client._ac._goalLookup).to.be.empty;
+        return client.shutdown();
+      });
+    });
+
+    it('Waits For A Goal', function() {
+      const nh = rosnodejs.nh;
+      const client = new rosnodejs.ActionClient({ nh, type: actionType, actionServer, serverTimeoutMs: 20 });
+      client.on('serverLost', () => {
+        throw new Error('Server should not be lost before a goal is sent');
+      });
+
+      return new Promise((resolve) => { setTimeout(resolve, 100); })
+      .then(() => client.shutdown());
+    });
+
+    it('Disconnected And Restored', function() {
+      const nh = rosnodejs.nh;
+      let server = new rosnodejs.ActionServer({ nh, type: actionType, actionServer });
+      server.on('goal', (goal) => { goal.setAccepted(); });
+      server.start();
+
+      const client = new rosnodejs.ActionClient({ nh, type: actionType, actionServer, serverTimeoutMs: 500 });
+      let goalHandle;
+      return client.waitForActionServerToStart()
+      .then(() => {
+        goalHandle = client.sendGoal({ target: 1 });
+        return waitFor(goalHandle, 'transition');
+      })
+      .then(() => {
+        expect(goalHandle.getCommState()).to.equal(CommState.ACTIVE);
+        server.shutdown();
+        return waitFor(client, 'serverLost');
+      })
+      .then(([lostGoals, reason]) => {
+        expect(reason).to.equal('disconnected');
+        expect(lostGoals).to.deep.equal([goalHandle]);
+        expect(goalHandle.getTerminalState()).to.equal(GoalStatuses.LOST);
+
+        server = new rosnodejs.ActionServer({ nh, type: actionType, actionServer });
+        server.start();
+        return waitFor(client, 'serverRestored');
+      })
+      .then(() => {
+        server.shutdown();
+        return client.shutdown();
+      });
+    });
+
+    it('Mark Lost', function() {
+      const nh = rosnodejs.nh;
+      const client = new rosnodejs.ActionClient({ nh, type: actionType, actionServer });
+      const goalHandle = client.sendGoal({ target: 1 });
+      const transitions = [];
+      goalHandle.on('transition', () => { transitions.push(goalHandle.getCommState()); });
+
+      goalHandle.markLost('gone');
+      expect(transitions).to.deep.equal([CommState.DONE]);
+      expect(goalHandle.getTerminalState()).to.equal(GoalStatuses.LOST);
+      expect(goalHandle.getGoalStatus().text).to.equal('gone');
+      expect(goalHandle.getGoalStatus().goal_id.id).to.equal(goalHandle.getGoalId());
+
+      // goals that are already done stay that way
+      goalHandle.markLost('gone again');
+      goalHandle.updateStatus({ status: GoalStatuses.ACTIVE });
+      expect(transitions).to.deep.equal([CommState.DONE]);
+      expect(goalHandle.getGoalStatus().text).to.equal('gone');
+
+      return client.shutdown();
+    });
+
+    it('Goal Missing From Status', function() {
+      const goalHandle = new ClientGoalHandle({ goal_id: { id: 'missing' } }, null);
+      goalHandle.updateStatus({ status: GoalStatuses.ACTIVE, goal_id: { id: 'missing' } });
+      expect(goalHandle.getCommState()).to.equal(CommState.ACTIVE);
+
+      // the server stopped reporting the goal without sending a result
+      goalHandle.updateStatus(undefined);
+      expect(goalHandle.getCommState()).to.equal(CommState.DONE);
+      expect(goalHandle.getTerminalState()).to.equal(GoalStatuses.LOST);
+    });
+  });
+});
@@ -1,8 +1,12 @@
 require('./DeserializeStream.js');
 require('./namespaceTest.js');
 require('./SpinnerTest.js');
+require('./StatisticsTest.js');
+require('./UdprosTest.js');
 require('./xmlrpcTest.js');
+require('./masterTest.js');
 require('./Log.js');
 require('./onTheFly.js');
 require('./messages.js');
 require('./services.js');
+require('./actions.js');
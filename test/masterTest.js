@@ -0,0 +1,334 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc-rosnodejs');
+const rosnodejs = require('../src/index.js');
+
+const MASTER_PORT = 11236;
+const FAKE_NODE_PORT = 11237;
+
+describe('RosMaster', () => {
+  rosnodejs.require('std_msgs');
+  rosnodejs.require('std_srvs');
+
+  const nodeName = '/testNode';
+  let master;
+  let masterClient;
+
+  function callMaster(method, params) {
+    return new Promise((resolve, reject) => {
+      masterClient.methodCall(method, params, (err, resp) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(resp);
+        }
+      });
+    });
+  }
+
+  before(() => {
+    masterClient = xmlrpc.createClient({host: 'localhost', port: MASTER_PORT});
+    return rosnodejs.createMaster({host: 'localhost', port: MASTER_PORT})
+    .then((m) => {
+      master = m;
+      expect(master.getUri()).to.equal(`http://localhost:${MASTER_PORT}/`);
+      return rosnodejs.initNode(nodeName, {
+        rosMasterUri: master.getUri(),
+        logging: {skipRosLogging: true},
+        notime: true,
+        node: {masterWatchdogMs: 100}
+      });
+    });
+  });
+
+  after(() => {
+    return rosnodejs.shutdown()
+    .then(() => {
+      rosnodejs.reset();
+      return master.shutdown();
+    });
+  });
+
+  it('Params', () => {
+    const nh = rosnodejs.nh;
+    return Promise.all([
+      nh.setParam('/params/a', 1),
+      nh.setParam('/params/b', { c: 'two', d: [3] })
+    ])
+    .then(() => nh.getParam('/params'))
+    .then((val) => {
+      expect(val).to.deep.equal({ a: 1, b: { c: 'two', d: [3] } });
+      return nh.getParam('/params/b/c');
+    })
+    .then((val) => {
+      expect(val).to.equal('two');
+      return nh.getParamNames();
+    })
+    .then((names) => {
+      expect(names).to.include.members(['/params/a', '/params/b/c', '/params/b/d']);
+      return nh.deleteParam('/params/b');
+    })
+    .then(() => nh.hasParam('/params/b'))
+    .then((hasParam) => {
+      expect(hasParam).to.be.false;
+      return nh.getParam('/params/b');
+    })
+    .then(() => {
+      throw new Error('Expected getParam to fail');
+    },
+    (err) => {
+      expect(err.statusCode).to.equal(-1);
+      return nh.deleteParam('/params/b');
+    })
+    .then(() => {
+      throw new Error('Expected deleteParam to fail');
+    },
+    (err) => {
+      expect(err.statusCode).to.equal(-1);
+    });
+  });
+
+  it('Relative Param Names', () => {
+    return callMaster('setParam', ['/ns/node', 'relative', 1])
+    .then(() => callMaster('setParam', ['/ns/node', '~private', 2]))
+    .then(() => callMaster('getParam', ['/ns/other', '']))
+    .then((resp) => {
+      expect(resp[0]).to.equal(1);
+      expect(resp[2]).to.deep.equal({ relative: 1, node: { private: 2 } });
+      return callMaster('setParam', ['/ns/node', '/', 3]);
+    })
+    .then((resp) => {
+      // the root of the tree has to be a dictionary
+      expect(resp[0]).to.equal(-1);
+      return callMaster('deleteParam', ['/ns/node', '/ns']);
+    });
+  });
+
+  it('Search Param', () => {
+    const nh = rosnodejs.getNodeHandle('/search/ns');
+    return Promise.all([
+      nh.setParam('/search/robot/name', 'robot'),
+      nh.setParam('/search/ns/param', 'param')
+    ])
+    .then(() => nh.searchParam('robot/name'))
+    .then((key) => {
+      expect(key).to.equal('/search/robot/name');
+      return nh.searchParam('param');
+    })
+    .then((key) => {
+      expect(key).to.equal('/search/ns/param');
+      return nh.searchParam('missing');
+    })
+    .then(() => {
+      throw new Error('Expected searchParam to fail');
+    },
+    (err) => {
+      expect(err.statusCode).to.equal(-1);
+      return nh.deleteParam('/search');
+    });
+  });
+
+  it('Param Subscriptions', (done) => {
+    const nh = rosnodejs.nh;
+    const values = [];
+    const callback = (val) => {
+      values.push(val);
+      if (values.length === 1) {
+        expect(val).to.deep.equal({ gain: 2 });
+        nh.setParam('/subscribed', 3);
+      }
+      else if (values.length === 2) {
+        expect(val).to.equal(3);
+        nh.deleteParam('/subscribed');
+      }
+      else {
+        // deleted params are reported as empty dictionaries
+        expect(val).to.deep.equal({});
+        nh.unsubscribeParam('/subscribed', callback)
+        .then(() => { done(); });
+      }
+    };
+
+    nh.subscribeParam('/subscribed', callback)
+    .then((val) => {
+      expect(val).to.deep.equal({});
+      return nh.setParam('/subscribed/gain', 2);
+    });
+  });
+
+  it('Pub Sub', (done) => {
+    const nh = rosnodejs.nh;
+    const topic = '/master_chatter';
+    const pub = nh.advertise(topic, 'std_msgs/String');
+    nh.subscribe(topic, 'std_msgs/String', (msg) => {
+      expect(msg.data).to.equal('hi');
+
+      nh.getSystemState()
+      .then((state) => {
+        expect(state.publishers[topic]).to.deep.equal([nodeName]);
+        expect(state.subscribers[topic]).to.deep.equal([nodeName]);
+        return nh.getPublishedTopics();
+      })
+      .then(({topics}) => {
+        expect(topics).to.deep.include({ name: topic, type: 'std_msgs/String' });
+        return Promise.all([nh.unadvertise(topic), nh.unsubscribe(topic)]);
+      })
+      .then(() => nh.getSystemState())
+      .then((state) => {
+        expect(state.publishers).to.not.have.property(topic);
+        expect(state.subscribers).to.not.have.property(topic);
+        done();
+      })
+      .catch(done);
+    }, { intraProcess: false });
+
+    pub.on('connection', () => {
+      pub.publish({ data: 'hi' });
+    });
+  });
+
+  it('Services', () => {
+    const nh = rosnodejs.nh;
+    const service = '/master_service';
+    nh.advertiseService(service, 'std_srvs/Empty', (req, resp) => {
+      return true;
+    });
+
+    const client = nh.serviceClient(service, 'std_srvs/Empty');
+    return nh.waitForService(service)
+    .then(() => client.call({}))
+    .then(() => callMaster('lookupService', ['/caller', service]))
+    .then((resp) => {
+      expect(resp[0]).to.equal(1);
+      expect(resp[2]).to.match(/^rosrpc:\/\//);
+      return nh.unadvertiseService(service);
+    })
+    .then(() => callMaster('lookupService', ['/caller', service]))
+    .then((resp) => {
+      expect(resp[0]).to.equal(-1);
+    });
+  });
+
+  it('Lookup Node', () => {
+    // nodes are only known to the master while they have registrations
+    const nh = rosnodejs.nh;
+    const pub = nh.advertise('/lookup_topic', 'std_msgs/String');
+    return new Promise((resolve) => { pub.once('registered', resolve); })
+    .then(() => callMaster('lookupNode', ['/caller', nodeName]))
+    .then((resp) => {
+      expect(resp[0]).to.equal(1);
+      expect(resp[2]).to.equal(rosnodejs.nh._node._getXmlrpcUri());
+      return callMaster('lookupNode', ['/caller', '/unknown_node']);
+    })
+    .then((resp) => {
+      expect(resp[0]).to.equal(-1);
+      return nh.unadvertise('/lookup_topic');
+    });
+  });
+
+  it('Master Restart', (done) => {
+    const nh = rosnodejs.nh;
+    const topic = '/restart_topic';
+    const paramValues = [];
+    const paramCallback = (val, oldVal) => { paramValues.push([val, oldVal]); };
+    let pub, sub;
+
+    nh.setParam('/restart_param', 1)
+    .then(() => nh.subscribeParam('/restart_param', paramCallback))
+    .then(() => {
+      pub = nh.advertise(topic, 'std_msgs/String');
+      sub = nh.subscribe(topic, 'std_msgs/String', () => {}, { intraProcess: false });
+      return Promise.all([
+        new Promise((resolve) => { pub.once('registered', resolve); }),
+        new Promise((resolve) => { sub.once('registered', resolve); })
+      ]);
+    })
+    .then(() => {
+      rosnodejs.once('masterDisconnected', () => {
+        expect(rosnodejs.nh._node.isMasterConnected()).to.be.false;
+        rosnodejs.createMaster({host: 'localhost', port: MASTER_PORT})
+        .then((m) => { master = m; })
+        .catch(done);
+      });
+
+      rosnodejs.once('masterReconnected', () => {
+        nh.getSystemState()
+        .then((state) => {
+          expect(state.publishers[topic]).to.deep.equal([nodeName]);
+          expect(state.subscribers[topic]).to.deep.equal([nodeName]);
+
+          // the new master doesn't have the param, which is reported as an empty dictionary
+          expect(paramValues).to.deep.equal([[{}, 1]]);
+          return Promise.all([
+            nh.unadvertise(topic),
+            nh.unsubscribe(topic),
+            nh.unsubscribeParam('/restart_param', paramCallback)
+          ]);
+        })
+        .then(() => { done(); })
+        .catch(done);
+      });
+
+      return master.shutdown();
+    })
+    .catch(done);
+  });
+
+  it('Publisher Updates', (done) => {
+    const topic = '/fake_topic';
+    const fakeNode = xmlrpc.createServer({host: 'localhost', port: FAKE_NODE_PORT}, () => {
+      callMaster('registerSubscriber', ['/fake_sub', topic, 'std_msgs/String', fakeNodeUri])
+      .then((resp) => {
+        expect(resp[2]).to.be.empty;
+        return callMaster('registerPublisher', ['/fake_pub', topic, 'std_msgs/String', 'http://localhost:1/']);
+      })
+      .then((resp) => {
+        expect(resp[2]).to.deep.equal([fakeNodeUri]);
+      });
+    });
+    const fakeNodeUri = `http://localhost:${FAKE_NODE_PORT}/`;
+
+    fakeNode.on('publisherUpdate', (err, params, callback) => {
+      callback(null, [1, '', 0]);
+      expect(params).to.deep.equal(['/master', topic, ['http://localhost:1/']]);
+      callMaster('unregisterSubscriber', ['/fake_sub', topic, fakeNodeUri])
+      .then(() => callMaster('unregisterPublisher', ['/fake_pub', topic, 'http://localhost:1/']))
+      .then((resp) => {
+        expect(resp[2]).to.equal(1);
+        fakeNode.close(() => { done(); });
+      })
+      .catch(done);
+    });
+  });
+
+  it('Node Replaced', (done) => {
+    const topic = '/replaced_topic';
+    const fakeNodeUri = `http://localhost:${FAKE_NODE_PORT}/`;
+    const fakeNode = xmlrpc.createServer({host: 'localhost', port: FAKE_NODE_PORT}, () => {
+      callMaster('registerPublisher', ['/fake_node', topic, 'std_msgs/String', fakeNodeUri])
+      .then(() => {
+        // a new node with the same name replaces the first one
+        return callMaster('registerPublisher', ['/fake_node', '/other_topic', 'std_msgs/String', 'http://localhost:1/']);
+      });
+    });
+
+    fakeNode.on('shutdown', (err, params, callback) => {
+      callback(null, [1, '', 0]);
+      expect(params[0]).to.equal('/master');
+      callMaster('getSystemState', ['/caller'])
+      .then((resp) => {
+        const publishers = resp[2][0];
+        expect(publishers).to.deep.include(['/other_topic', ['/fake_node']]);
+        expect(publishers.map((pub) => pub[0])).to.not.include(topic);
+        return callMaster('unregisterPublisher', ['/fake_node', '/other_topic', 'http://localhost:1/']);
+      })
+      .then(() => {
+        fakeNode.close(() => { done(); });
+      })
+      .catch(done);
+    });
+  });
+});
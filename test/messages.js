@@ -2,7 +2,15 @@
 
 const chai = require('chai');
 const expect = chai.expect;
+const BN = require('bn.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ts = require('typescript');
 const rosnodejs = require('../src/index.js');
+const packages = require('../src/utils/messageGeneration/packages.js');
+const MessageManager = require('../src/utils/messageGeneration/MessageLoader.js');
 
 describe('messages', function () {
 
@@ -61,3 +69,399 @@ describe('messages', function () {
     );
   });
 });
+
+describe('message conversion', function () {
+  const std_msgs = rosnodejs.require('std_msgs').msg;
+
+  it('json', function() {
+    const header = new std_msgs.Header({ seq: 1, stamp: { secs: 2, nsecs: 3 }, frame_id: 'base' });
+    const json = rosnodejs.toJSON(header);
+    expect(json).to.deep.equal({ seq: 1, stamp: { secs: 2, nsecs: 3 }, frame_id: 'base' });
+    expect(rosnodejs.fromJSON(std_msgs.Header, JSON.stringify(json))).to.deep.equal(header);
+
+    // missing fields are filled in
+    const partial = rosnodejs.fromJSON(std_msgs.Header, { frame_id: 'map' });
+    expect(partial).to.be.an.instanceof(std_msgs.Header);
+    expect(partial).to.deep.include({ seq: 0, stamp: { secs: 0, nsecs: 0 }, frame_id: 'map' });
+  });
+
+  it('json bytes and 64 bit integers', function() {
+    const bytes = new std_msgs.UInt8MultiArray({ data: Buffer.from([1, 2, 255]) });
+    expect(rosnodejs.toJSON(bytes).data).to.equal('AQL/');
+    expect(rosnodejs.toJSON(bytes, null, { bytes: 'array' }).data).to.deep.equal([1, 2, 255]);
+    expect(rosnodejs.fromJSON('std_msgs/UInt8MultiArray', { data: 'AQL/' }).data.equals(bytes.data)).to.be.true;
+    expect(rosnodejs.fromJSON('std_msgs/UInt8MultiArray', { data: [1, 2, 255] }).data).to.deep.equal([1, 2, 255]);
+
+    const large = new std_msgs.Int64({ data: new BN('-9223372036854775808') });
+    expect(rosnodejs.toJSON(large).data).to.equal('-9223372036854775808');
+    expect(rosnodejs.toJSON({ data: new BN(5) }, 'std_msgs/Int64').data).to.equal(5);
+    expect(rosnodejs.fromJSON('std_msgs/Int64', { data: '-9223372036854775808' }).data.eq(large.data)).to.be.true;
+  });
+
+  it('yaml', function() {
+    const array = new std_msgs.Float64MultiArray({
+      layout: { dim: [{ label: 'x', size: 2, stride: 2 }], data_offset: 0 },
+      data: [1, 2.5]
+    });
+    const yaml = rosnodejs.toYAML(array);
+    expect(yaml).to.equal([
+      'layout:',
+      '  dim:',
+      '    -',
+      '      label: x',
+      '      size: 2',
+      '      stride: 2',
+      '  data_offset: 0',
+      'data: [1.0, 2.5]'
+    ].join('\n'));
+    expect(rosnodejs.fromYAML(std_msgs.Float64MultiArray, yaml)).to.deep.equal(array);
+
+    expect(rosnodejs.toYAML({ data: 'true' }, 'std_msgs/String')).to.equal('data: "true"');
+    expect(rosnodejs.fromYAML('std_msgs/String', 'data: "true"').data).to.equal('true');
+  });
+
+  it('rostopic pub yaml', function() {
+    expect(rosnodejs.fromYAML('std_msgs/Header', '{frame_id: map, stamp: {secs: 1}}'))
+      .to.deep.include({ seq: 0, stamp: { secs: 1, nsecs: 0 }, frame_id: 'map' });
+    // field values in order
+    expect(rosnodejs.fromYAML('std_msgs/Header', '[1, [2, 3], base]'))
+      .to.deep.include({ seq: 1, stamp: { secs: 2, nsecs: 3 }, frame_id: 'base' });
+    expect(rosnodejs.fromYAML('std_msgs/String', 'hello world').data).to.equal('hello world');
+
+    const now = rosnodejs.fromYAML('std_msgs/Header', '{stamp: now}').stamp;
+    expect(now.secs).to.be.above(0);
+  });
+
+  it('invalid input', function() {
+    expect(() => rosnodejs.fromYAML('std_msgs/Int8', 'data: 300'))
+      .to.throw(/data: 300 is out of range for int8/).with.property('code', 'E_ROSMSGINVALID');
+    expect(() => rosnodejs.fromYAML('std_msgs/Int8', 'data: [1'))
+      .to.throw().with.property('code', 'E_ROSYAMLINVALID');
+    expect(() => rosnodejs.fromJSON('std_msgs/Header', [1, 2, 3, 4]))
+      .to.throw().with.property('code', 'E_ROSMSGINVALID');
+    expect(() => rosnodejs.toJSON({ data: 1 })).to.throw();
+  });
+});
+
+describe('json schema', function () {
+  it('message', function() {
+    return rosnodejs.getJsonSchema('actionlib_msgs/GoalStatusArray')
+    .then((schema) => {
+      expect(schema.title).to.equal('actionlib_msgs/GoalStatusArray');
+      expect(schema.properties.status_list).to.deep.equal({
+        type: 'array',
+        items: { $ref: '#/definitions/actionlib_msgs~1GoalStatus' }
+      });
+      expect(schema.definitions).to.have.all.keys('std_msgs/Header', 'actionlib_msgs/GoalStatus',
+        'actionlib_msgs/GoalID');
+      expect(schema.definitions['actionlib_msgs/GoalStatus'].definitions).to.deep.equal({
+        PENDING: { const: 0 }, ACTIVE: { const: 1 }, PREEMPTED: { const: 2 }, SUCCEEDED: { const: 3 },
+        ABORTED: { const: 4 }, REJECTED: { const: 5 }, PREEMPTING: { const: 6 }, RECALLING: { const: 7 },
+        RECALLED: { const: 8 }, LOST: { const: 9 }
+      });
+      expect(schema.definitions['actionlib_msgs/GoalStatus'].properties.status)
+        .to.deep.equal({ type: 'integer', minimum: 0, maximum: 255, default: 0 });
+    });
+  });
+
+  it('message constants', function() {
+    return rosnodejs.getJsonSchema('actionlib_msgs/GoalStatus')
+    .then((schema) => {
+      // the message's own constants sit alongside its dependencies
+      expect(schema.definitions).to.include.keys('actionlib_msgs/GoalID', 'PENDING', 'LOST');
+      expect(schema.definitions.LOST).to.deep.equal({ const: 9 });
+      expect(schema.properties).to.not.have.property('PENDING');
+    });
+  });
+
+  it('service', function() {
+    return rosnodejs.getJsonSchema('std_srvs/SetBool')
+    .then((schema) => {
+      expect(schema.properties).to.deep.equal({
+        request: { $ref: '#/definitions/std_srvs~1SetBoolRequest' },
+        response: { $ref: '#/definitions/std_srvs~1SetBoolResponse' }
+      });
+      expect(schema.definitions['std_srvs/SetBoolRequest'].properties.data)
+        .to.deep.equal({ type: 'boolean', default: false });
+    });
+  });
+
+  it('unknown type', function() {
+    return rosnodejs.getJsonSchema('std_msgs/NotAMessage')
+    .then(() => {
+      throw new Error('Expected an error');
+    },
+    (err) => {
+      expect(err.message).to.equal('Unable to find message or service type std_msgs/NotAMessage');
+    });
+  });
+
+  it('no package path', function() {
+    // the package path is only searched once per process, so check this in a new one
+    const env = Object.assign({}, process.env);
+    delete env.ROS_PACKAGE_PATH;
+    const script = `require(${JSON.stringify(require.resolve('../src/index.js'))})
+      .getJsonSchema('std_msgs/NotAMessage')
+      .then(() => console.log('resolved'), (err) => console.log('rejected'));`;
+    const output = execFileSync(process.execPath, ['-e', script], { env, encoding: 'utf8' });
+    expect(output.trim()).to.equal('rejected');
+  });
+});
+
+describe('message registration', function () {
+  const files = {
+    'registry_test_msgs/msg/Part.msg': 'int32 id\ntime stamp',
+    'registry_test_msgs/msg/Thing.msg': 'uint8 RED=1\nstring name\nPart[] parts',
+    'registry_test_msgs/srv/GetThing.srv': 'string name\n---\nThing thing'
+  };
+  let directory;
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rosnodejs-'));
+    Object.keys(files).forEach((file) => {
+      const filePath = path.join(directory, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, files[file]);
+    });
+  });
+
+  after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('directory', function() {
+    return rosnodejs.registerMessageDirectory(directory)
+    .then((types) => {
+      expect(types).to.have.members(['registry_test_msgs/Part', 'registry_test_msgs/Thing',
+                                     'registry_test_msgs/GetThing']);
+
+      const pkg = rosnodejs.require('registry_test_msgs');
+      const Thing = pkg.msg.Thing;
+      expect(Thing.Constants.RED).to.equal(1);
+
+      const msg = new Thing({ name: 'a', parts: [{ id: 2 }] });
+      expect(msg.parts[0]).to.be.an.instanceof(pkg.msg.Part);
+      const buffer = Buffer.alloc(Thing.getMessageSize(msg));
+      Thing.serialize(msg, buffer, 0);
+      expect(Thing.deserialize(buffer)).to.deep.equal(msg);
+
+      expect(new pkg.srv.GetThing.Response().thing).to.be.an.instanceof(Thing);
+    });
+  });
+
+  it('json schema', function() {
+    // registry_test_msgs isn't on the ROS_PACKAGE_PATH
+    return rosnodejs.getJsonSchema('registry_test_msgs/Thing')
+    .then((schema) => {
+      expect(schema.properties.parts.items).to.deep.equal({ $ref: '#/definitions/registry_test_msgs~1Part' });
+      expect(schema.definitions.RED).to.deep.equal({ const: 1 });
+      return rosnodejs.getJsonSchema('registry_test_msgs/GetThing');
+    })
+    .then((schema) => {
+      expect(schema.definitions).to.include.keys('registry_test_msgs/GetThingResponse',
+                                                 'registry_test_msgs/Thing');
+    });
+  });
+
+  it('missing directory', function() {
+    return rosnodejs.registerMessageDirectory(path.join(directory, 'missing'))
+    .then(() => {
+      throw new Error('Expected an error');
+    },
+    (err) => {
+      expect(err.message).to.equal(`Unable to read message directory ${path.join(directory, 'missing')}`);
+    });
+  });
+
+  it('definition', function() {
+    const Log = rosnodejs.require('rosgraph_msgs').msg.Log;
+    const Registered = rosnodejs.registerMessage('registry_test_msgs/Log', Log.messageDefinition());
+    expect(Registered.md5sum()).to.equal(Log.md5sum());
+    expect(Registered.datatype()).to.equal('registry_test_msgs/Log');
+    expect(Registered.Constants.ERROR).to.equal(Log.Constants.ERROR);
+    expect(new Registered().header.stamp).to.deep.equal({ secs: 0, nsecs: 0 });
+    // dependencies that already exist aren't registered again
+    expect(rosnodejs.require('std_msgs').msg).to.include.keys('Header', 'String');
+
+    const Message = rosnodejs.registerMessage('registry_test_msgs/Simple', 'string data');
+    expect(Message.md5sum()).to.equal(rosnodejs.require('std_msgs').msg.String.md5sum());
+    expect(rosnodejs.require('registry_test_msgs').msg.Simple).to.equal(Message);
+  });
+
+  it('service', function() {
+    const Service = rosnodejs.registerService('registry_test_msgs/SetSimple',
+                                              'Simple simple\n---\nbool success');
+    expect(new Service.Request().simple).to.deep.equal({ data: '' });
+    expect(rosnodejs.require('registry_test_msgs').srv.SetSimple).to.equal(Service);
+  });
+
+  it('missing dependency', function() {
+    expect(() => rosnodejs.registerMessage('registry_test_msgs/Broken', 'registry_test_msgs/Missing missing'))
+      .to.throw('Unable to find message type registry_test_msgs/Missing used by registry_test_msgs/Broken');
+    expect(rosnodejs.require('registry_test_msgs').msg.Broken).to.be.undefined;
+  });
+});
+
+describe('message typings', function () {
+  const files = {
+    'typings_test_msgs/msg/Counter.msg': 'int8 MAX=10\nint64 BIG=5\nstd_msgs/Header header\nint64 total\nuint64[] counts\nuint8[] data',
+    'typings_test_msgs/srv/Reset.srv': 'Counter counter\n---\nbool success',
+    'typings_test_msgs/action/Count.action': 'int32 target\n---\nint64 count\n---\nint32 progress'
+  };
+  // the fixture's dependencies are generated too, so the output can be type checked
+  const packageNames = ['std_msgs', 'actionlib_msgs', 'typings_test_msgs'];
+  const manager = new MessageManager();
+  const packageDirectories = {};
+  let directory;
+
+  function readLines(file) {
+    return fs.readFileSync(path.join(directory, 'out', 'typings_test_msgs', file), 'utf8')
+      .split('\n').map((line) => line.trim());
+  }
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rosnodejs-'));
+    Object.keys(files).forEach((file) => {
+      const filePath = path.join(directory, 'src', file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, files[file]);
+    });
+
+    // add the fixture package to the loader's cache without putting it on the ROS_PACKAGE_PATH
+    return manager.initTree()
+    .then(() => packages.findMessagesInDirectory(path.join(directory, 'src')))
+    .then((found) => {
+      Object.assign(manager.getCache(), found);
+      manager._loadMessagesInCache();
+
+      // writing a package points its cache entry at the output directory
+      packageNames.forEach((pkgName) => {
+        packageDirectories[pkgName] = manager.getCache()[pkgName].directory;
+      });
+      return packageNames.reduce((prev, pkgName) => {
+        return prev.then(() => manager.loadPackage(pkgName, path.join(directory, 'out'), false));
+      }, Promise.resolve());
+    });
+  });
+
+  after(function() {
+    Object.keys(packageDirectories).forEach((pkgName) => {
+      manager.getCache()[pkgName].directory = packageDirectories[pkgName];
+    });
+    delete manager.getCache().typings_test_msgs;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('package index', function() {
+    const lines = readLines('_index.d.ts');
+    expect(lines).to.include.members([
+      'import msg = require(\'./msg/_index\');',
+      'import srv = require(\'./srv/_index\');',
+      'import action = require(\'./action/_index\');',
+      'export { msg, srv, action };',
+      'declare global {',
+      'namespace Rosnodejs {',
+      '\'typings_test_msgs/Counter\': msg.Counter;',
+      '\'typings_test_msgs/CountGoal\': msg.CountGoal;',
+      '\'typings_test_msgs/Reset\': { Request: srv.Reset.Request, Response: srv.Reset.Response };',
+      '\'typings_test_msgs/Count\': action.Count;',
+      'typings_test_msgs: { msg: typeof msg, srv: typeof srv };'
+    ]);
+  });
+
+  it('msg, srv and action indexes', function() {
+    expect(readLines('msg/_index.d.ts')).to.include.members([
+      'export import Counter = require(\'./Counter\');',
+      'export import CountActionGoal = require(\'./CountActionGoal\');'
+    ]);
+    expect(readLines('srv/_index.d.ts')).to.include('export import Reset = require(\'./Reset\');');
+    expect(readLines('action/_index.d.ts')).to.include('export import Count = require(\'./Count\');');
+  });
+
+  it('messages', function() {
+    expect(readLines('msg/Counter.d.ts')).to.include.members([
+      'import std_msgs = require(\'../../std_msgs/_index\');',
+      'declare class Counter {',
+      'constructor(initObj?: Partial<Counter>);',
+      'header: std_msgs.msg.Header;',
+      'total: number | Rosnodejs.Int64;',
+      'counts: Array<number | Rosnodejs.Int64>;',
+      'data: Buffer | number[];',
+      'readonly MAX: number;',
+      'readonly BIG: number;',
+      'export = Counter;'
+    ]);
+    expect(readLines('msg/CountResult.d.ts')).to.include('count: number | Rosnodejs.Int64;');
+  });
+
+  it('services and actions', function() {
+    expect(readLines('srv/Reset.d.ts')).to.include.members([
+      'import Counter = require(\'../msg/Counter\');',
+      'declare class ResetRequest {',
+      'counter: Counter;',
+      'declare class ResetResponse {',
+      'success: boolean;',
+      'export { ResetRequest as Request, ResetResponse as Response };'
+    ]);
+    expect(readLines('action/Count.d.ts')).to.include.members([
+      'import CountGoal = require(\'../msg/CountGoal\');',
+      'interface Count {',
+      'Goal: CountGoal;',
+      'ActionFeedback: CountActionFeedback;'
+    ]);
+  });
+
+  it('type checks', function() {
+    this.timeout(30000);
+    this.slow(10000);
+
+    // uses the generated types through the rosnodejs typings
+    const checkFile = path.join(directory, 'out', 'check.ts');
+    fs.writeFileSync(checkFile, [
+      `import rosnodejs = require(${JSON.stringify(path.join(__dirname, '..', 'index'))});`,
+      'import typings_test_msgs = require(\'./typings_test_msgs/_index\');',
+      '',
+      'const counter = new typings_test_msgs.msg.Counter({ total: 1 });',
+      'const total: number | Rosnodejs.Int64 = counter.total;',
+      'const data: Buffer | number[] = counter.data;',
+      'const max: number = typings_test_msgs.msg.Counter.Constants.MAX;',
+      'const count: typings_test_msgs.action.Count[\'Result\'] = new typings_test_msgs.msg.CountResult();',
+      '',
+      'rosnodejs.initNode(\'/check\').then((nh) => {',
+      '  nh.advertise(\'/counter\', \'typings_test_msgs/Counter\').publish(counter);',
+      '  nh.subscribe(\'/counter\', \'typings_test_msgs/Counter\', (msg) => {',
+      '    const frame: string = msg.header.frame_id;',
+      '  });',
+      '  const client = nh.serviceClient(\'/reset\', \'typings_test_msgs/Reset\');',
+      '  client.call({ counter }).then((resp) => {',
+      '    const success: boolean = resp.success;',
+      '    const shutdown: void = client.shutdown();',
+      '  });',
+      '  return nh.getMasterUri();',
+      '})',
+      '.then((resp) => {',
+      '  const code: number = resp[0];',
+      '  const uri: string = resp[2];',
+      '});',
+      ''
+    ].join('\n'));
+
+    const program = ts.createProgram([checkFile], {
+      noEmit: true,
+      strict: true,
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2017,
+      types: ['node'],
+      typeRoots: [path.join(__dirname, '..', 'node_modules', '@types')]
+    });
+    const errors = ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+      return ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+    });
+    expect(errors.join('\n')).to.equal('');
+    // the generated declarations were all checked
+    expect(program.getSourceFiles().map((file) => path.relative(path.join(directory, 'out'), file.fileName)))
+      .to.include.members(['typings_test_msgs/_index.d.ts', 'typings_test_msgs/msg/Counter.d.ts',
+                           'typings_test_msgs/srv/Reset.d.ts', 'typings_test_msgs/action/Count.d.ts',
+                           'std_msgs/msg/Header.d.ts']);
+  });
+});
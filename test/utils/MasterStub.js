@@ -21,7 +21,10 @@ class RosMasterStub extends EventEmitter {
       setParam: this._setParam.bind(this),
       getParam: this._getParam.bind(this),
       hasParam: this._hasParam.bind(this),
-      getParamNames: this._getParamNames.bind(this)
+      getParamNames: this._getParamNames.bind(this),
+      searchParam: this._searchParam.bind(this),
+      subscribeParam: this._subscribeParam.bind(this),
+      unsubscribeParam: this._unsubscribeParam.bind(this)
     };
 
     this._providedApis = new Set();
@@ -33,6 +36,7 @@ class RosMasterStub extends EventEmitter {
     };
 
     this._params = {};
+    this._paramSubscribers = {};
 
     this.verbose = true;
 
@@ -53,6 +57,7 @@ class RosMasterStub extends EventEmitter {
 
   shutdown() {
     this._params = {};
+    this._paramSubscribers = {};
     this._providedApis.clear();
     this.removeAllListeners();
     return new Promise((resolve, reject) => {
@@ -173,6 +178,8 @@ class RosMasterStub extends EventEmitter {
     this._params[key] = val;
     const resp = [1, 'set value for ' + key, 1];
     callback(null, resp);
+
+    this._notifyParamSubscribers(key, val);
   }
 
   _getParam(err, params, callback) {
@@ -199,6 +206,76 @@ class RosMasterStub extends EventEmitter {
     const resp = [1, 'get param names', names];
     callback(null, resp);
   }
+
+  // follows the rosmaster search - check the namespace first then walk up
+  _searchParam(err, params, callback) {
+    const [namespace, key] = params;
+    const keyNs = key.split('/').filter((x) => x.length > 0)[0];
+    const namespaces = namespace.split('/').filter((x) => x.length > 0);
+
+    let found = null;
+    if (key.startsWith('/')) {
+      found = this._hasParamOrChildren(key) ? key : null;
+    }
+    else {
+      for (let i = namespaces.length; i >= 0 && found === null; --i) {
+        const prefix = '/' + namespaces.slice(0, i).concat('').join('/');
+        if (this._hasParamOrChildren(prefix + keyNs)) {
+          found = prefix + key;
+        }
+      }
+    }
+
+    if (found !== null) {
+      callback(null, [1, 'Found [' + found + ']', found]);
+    }
+    else {
+      callback(null, [-1, 'Cannot find parameter [' + key + '] in an upwards search', '']);
+    }
+  }
+
+  _hasParamOrChildren(key) {
+    return Object.keys(this._params).some((param) => {
+      return param === key || param.startsWith(key + '/');
+    });
+  }
+
+  _subscribeParam(err, params, callback) {
+    const [callerId, callerApi, key] = params;
+    if (!this._paramSubscribers.hasOwnProperty(key)) {
+      this._paramSubscribers[key] = [];
+    }
+    this._paramSubscribers[key].push(callerApi);
+
+    const val = this._params.hasOwnProperty(key) ? this._params[key] : {};
+    const resp = [1, 'subscribed to ' + key, val];
+    callback(null, resp);
+  }
+
+  _unsubscribeParam(err, params, callback) {
+    const [callerId, callerApi, key] = params;
+    const subscribers = this._paramSubscribers[key] || [];
+    const index = subscribers.indexOf(callerApi);
+    if (index !== -1) {
+      subscribers.splice(index, 1);
+    }
+    const resp = [1, 'unsubscribed from ' + key, index !== -1 ? 1 : 0];
+    callback(null, resp);
+  }
+
+  // only notifies subscribers of the exact key or its parents
+  _notifyParamSubscribers(key, val) {
+    Object.keys(this._paramSubscribers).forEach((subKey) => {
+      if (key === subKey || key.startsWith(subKey + '/')) {
+        this._paramSubscribers[subKey].forEach((callerApi) => {
+          const addrParts = callerApi.replace('http://', '').split(':');
+          const client = xmlrpc.createClient({host: addrParts[0], port: addrParts[1]});
+          const data = ['/master', key + '/', val];
+          client.methodCall('paramUpdate', data, (err, response) => { });
+        });
+      }
+    });
+  }
 }
 
 module.exports = RosMasterStub;
@@ -8,6 +8,8 @@ const Subscriber = require('../src/lib/Subscriber.js');
 const SubscriberImpl = require('../src/lib/impl/SubscriberImpl.js');
 const xmlrpc = require('xmlrpc-rosnodejs');
 const netUtils = require('../src/utils/network_utils.js');
+const messageUtils = require('../src/utils/message_utils.js');
+const messages = require('../src/utils/messageGeneration/messages.js');
 const MasterStub = require('./utils/MasterStub.js');
 
 const MASTER_PORT = 11234;
@@ -54,6 +56,8 @@ describe('Protocol Test', () => {
     node._services = {};
     node._subscribers = {};
     node._publishers = {};
+    node._serviceServerInterceptors = [];
+    node._serviceClientInterceptors = [];
   }
 
   before((done) => {
@@ -386,6 +390,48 @@ describe('Protocol Test', () => {
       });
     });
 
+    it('Publisher Validation', () => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, msgType, { validate: true });
+
+      const expectInvalid = (pub, msg, errors) => {
+        try {
+          pub.publish(msg);
+        }
+        catch (err) {
+          expect(err.code).to.equal('E_ROSMSGINVALID');
+          expect(err.errors).to.deep.equal(errors);
+          return;
+        }
+        throw new Error('Publish should have failed');
+      };
+
+      expectInvalid(pub, { data: 300 }, ['data: 300 is out of range for int8']);
+      expectInvalid(pub, { data: '1' }, ['data: expected number, got string']);
+      expectInvalid(pub, { data: 1.5 }, ['data: expected an integer for int8, got 1.5']);
+      expectInvalid(pub, {}, ['data: expected number, got undefined']);
+      pub.publish({ data: 1 });
+
+      const arrayPub = nh.advertise('/array_topic', 'std_msgs/Float64MultiArray', { validate: true });
+      expectInvalid(arrayPub, {
+        layout: { dim: [{ label: 'x', size: -1, stride: 1, data_offset: 0 }], data_offset: 0 },
+        data: [1, 'two']
+      }, [
+        'layout.dim[0].size: -1 is out of range for uint32',
+        'data[1]: expected number, got string'
+      ]);
+
+      // resolved messages are validated after they've been filled in
+      const resolvePub = nh.advertise('/resolve_topic', 'std_msgs/Float64MultiArray',
+                                      { validate: true, resolve: true });
+      resolvePub.publish({ data: [1, 2] });
+      expectInvalid(resolvePub, { data: [1, 'two'] }, ['data[1]: expected number, got string']);
+
+      return Promise.all([pub, arrayPub, resolvePub].map((pub) => {
+        return new Promise((resolve) => { pub.once('registered', resolve); });
+      }));
+    });
+
     it('UTF String', (done) => {
       const nh = rosnodejs.nh;
       const msg = 'Hello, 世界世界世界';
@@ -414,6 +460,271 @@ describe('Protocol Test', () => {
       });
     });
 
+    it('Stats', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, msgType, { queueSize: 3 });
+      let numReceived = 0;
+
+      const sub = nh.subscribe(topic, msgType, (data) => {
+        if (++numReceived < 3) {
+          return;
+        }
+
+        // Int8 messages are 1 byte plus the 4 byte length field
+        const pubStats = pub.getStats();
+        expect(pubStats.topic).to.equal(topic);
+        expect(pubStats.messagesPublished).to.equal(3);
+        expect(pubStats.messageDataSent).to.equal(15);
+        expect(pubStats.connections).to.have.lengthOf(1);
+        expect(pubStats.connections[0].transport).to.equal('TCPROS');
+        expect(pubStats.connections[0].destination).to.equal(nodeName);
+        expect(pubStats.connections[0].bytesSent).to.equal(15);
+        expect(pubStats.connections[0].messagesSent).to.equal(3);
+
+        const subStats = sub.getStats();
+        expect(subStats.messagesReceived).to.equal(3);
+        expect(subStats.messageDataReceived).to.equal(3);
+        expect(subStats.dropped).to.equal(0);
+        expect(subStats.connections).to.have.lengthOf(1);
+        expect(subStats.connections[0].bytesReceived).to.equal(15);
+        expect(subStats.connections[0].messagesReceived).to.equal(3);
+
+        const slaveClient = xmlrpc.createClient({host: 'localhost', port: nh._node._xmlrpcPort});
+        slaveClient.methodCall('getBusStats', [nodeName], (err, resp) => {
+          expect(err).to.be.null;
+          expect(resp[0]).to.equal(1);
+          const [publishStats, subscribeStats, serviceStats] = resp[2];
+          expect(publishStats).to.deep.equal([
+            [topic, 15, [[pubStats.connections[0].connectionId, 15, 3, true]]]
+          ]);
+          expect(subscribeStats).to.deep.equal([
+            [topic, [[subStats.connections[0].connectionId, 15, 3, 0, true]]]
+          ]);
+          done();
+        });
+      }, {queueSize: 3, intraProcess: false});
+
+      pub.on('connection', () => {
+        [1, 2, 3].forEach((val) => {
+          pub.publish({data: val});
+        });
+      });
+    });
+
+    it('UDPROS', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, 'std_msgs/String');
+      const msg = 'abcdefghijklmnopqrstuvwxyz'.repeat(20);
+
+      const sub = nh.subscribe(topic, 'std_msgs/String', (data) => {
+        expect(data.data).to.equal(msg);
+
+        // 528 serialized bytes in 92 byte payloads
+        const pubStats = pub.getStats();
+        expect(pubStats.connections).to.have.lengthOf(1);
+        expect(pubStats.connections[0].transport).to.equal('UDPROS');
+        expect(pubStats.connections[0].bytesSent).to.equal(528 + 6 * 8);
+
+        const subStats = sub.getStats();
+        expect(subStats.lost).to.equal(0);
+        expect(subStats.connections).to.have.lengthOf(1);
+        expect(subStats.connections[0].bytesReceived).to.equal(528 + 6 * 8);
+        expect(subStats.connections[0].messagesReceived).to.equal(1);
+        done();
+      }, {transports: ['UDPROS'], dgramSize: 100, intraProcess: false});
+
+      sub.once('registered', () => {
+        // wait for the publisher to process the topic request
+        const interval = setInterval(() => {
+          if (pub.getNumSubscribers() > 0) {
+            clearInterval(interval);
+            pub.publish({data: msg});
+          }
+        }, 5);
+      });
+    });
+
+    it('UDPROS Latch', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, msgType, { latching: true });
+
+      pub.publish({data: 4});
+
+      pub.on('registered', () => {
+        const sub = nh.subscribe(topic, msgType, (data) => {
+          expect(data.data).to.equal(4);
+          expect(sub.getConnectionTransports()).to.deep.equal({[nh._node._getXmlrpcUri()]: 'UDPROS'});
+          done();
+        }, {transports: ['UDPROS'], intraProcess: false});
+      });
+    });
+
+    it('UDPROS Publisher Update', (done) => {
+      const nh = rosnodejs.nh;
+      const nodeUri = nh._node._getXmlrpcUri();
+      const pub = nh.advertise(topic, msgType);
+      const sub = nh.subscribe(topic, msgType, null, {transports: ['UDPROS']});
+
+      sub.once('connection', () => {
+        let topicRequests = 0;
+        sub._impl._requestTopicFromPublisher = () => ++topicRequests;
+
+        // a publisher we're already connected to isn't requested again
+        sub._impl._handlePublisherUpdate([nodeUri]);
+        expect(topicRequests).to.equal(0);
+        expect(sub._impl.getClientUris()).to.deep.equal([nodeUri]);
+        expect(sub.getNumPublishers()).to.equal(1);
+
+        // and one that goes away is disconnected
+        sub.once('disconnect', () => {
+          expect(sub.getNumPublishers()).to.equal(0);
+          expect(sub._impl._udpPubClients).to.be.empty;
+          expect(sub.getStats().connections).to.be.empty;
+          done();
+        });
+        sub._impl._handlePublisherUpdate([]);
+      });
+    });
+
+    it('UDPROS Subscriber Shutdown', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, msgType, {latching: true});
+      const pubImpl = pub._impl;
+      const sub = nh.subscribe(topic, msgType, null, {transports: ['UDPROS']});
+      let disconnects = 0;
+      pub.on('disconnect', () => ++disconnects);
+
+      pub.publish({data: 'latched'});
+
+      sub.once('connection', () => {
+        const [connId] = Object.keys(pubImpl._udpSubClients);
+        const {host, port, dgramSize} = pubImpl._udpSubClients[connId];
+        expect(pub.getNumSubscribers()).to.equal(1);
+
+        // a new topic request from the same subscriber replaces its old connection
+        pubImpl.addUdpSubscriber(['UDPROS', '', 0, connId, dgramSize], host, port);
+        expect(disconnects).to.equal(1);
+        expect(pub.getNumSubscribers()).to.equal(1);
+
+        // the publisher stops sending to subscribers in this node that shut down
+        sub.shutdown();
+        expect(disconnects).to.equal(2);
+        expect(pub.getNumSubscribers()).to.equal(0);
+        expect(pubImpl.udpSocket).to.be.null;
+
+        pub.shutdown()
+        .then(() => {
+          // nothing to remove or close once the publisher has shutdown
+          pubImpl.removeUdpSubscriber(connId);
+          done();
+        })
+        .catch(done);
+      });
+    });
+
+    it('UDPROS Fallback', (done) => {
+      const nh = rosnodejs.nh;
+      const udprosServer = nh._node._udprosServer;
+      // pretend we don't support UDPROS
+      nh._node._udprosServer = null;
+
+      const pub = nh.advertise(topic, msgType);
+      const sub = nh.subscribe(topic, msgType, (data) => {
+        nh._node._udprosServer = udprosServer;
+        expect(sub.getConnectionTransports()).to.deep.equal({[nh._node._getXmlrpcUri()]: 'TCPROS'});
+        done();
+      }, {transports: ['UDPROS'], intraProcess: false});
+
+      pub.on('connection', () => {
+        pub.publish({data: 1});
+      });
+    });
+
+    it('Intraprocess', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, 'std_msgs/String');
+      const msg = {data: 'hello'};
+
+      const sub = nh.subscribe(topic, 'std_msgs/String', (data) => {
+        expect(data).to.not.equal(msg);
+        expect(data).to.deep.equal(msg);
+        expect(Object.isFrozen(data)).to.be.true;
+        expect(Object.isFrozen(msg)).to.be.false;
+
+        const pubStats = pub.getStats();
+        expect(pubStats.messagesPublished).to.equal(1);
+        expect(pubStats.messageDataSent).to.equal(0);
+        expect(pubStats.connections).to.have.lengthOf(1);
+        expect(pubStats.connections[0].transport).to.equal('INTRAPROCESS');
+        expect(pubStats.connections[0].messagesSent).to.equal(1);
+
+        const subStats = sub.getStats();
+        expect(subStats.messagesReceived).to.equal(1);
+        expect(subStats.connections).to.have.lengthOf(1);
+        expect(subStats.connections[0].transport).to.equal('INTRAPROCESS');
+        expect(subStats.connections[0].messagesReceived).to.equal(1);
+        done();
+      }, {intraProcess: true});
+
+      pub.on('connection', (header) => {
+        expect(header.transport).to.equal('INTRAPROCESS');
+        expect(Object.keys(pub._impl._subClients)).to.be.empty;
+        pub.publish(msg);
+      });
+    });
+
+    it('Intraprocess Is Opt-In', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, 'std_msgs/String');
+
+      const sub = nh.subscribe(topic, 'std_msgs/String', (data) => {
+        expect(data).to.be.an.instanceof(rosnodejs.require('std_msgs').msg.String);
+        expect(Object.isFrozen(data)).to.be.false;
+        expect(sub.getConnectionTransports()).to.deep.equal({[nh._node._getXmlrpcUri()]: 'TCPROS'});
+        done();
+      });
+
+      pub.on('connection', (header) => {
+        expect(header.transport).to.not.equal('INTRAPROCESS');
+        pub.publish({data: 'hello'});
+      });
+    });
+
+    it('Intraprocess Latch', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, 'std_msgs/String', {latching: true});
+      const msg = {data: 'hello'};
+
+      pub.publish(msg);
+
+      pub.on('registered', () => {
+        // nothing was listening, so the latched message wasn't copied
+        expect(pub._impl._lastSentObj).to.be.null;
+        msg.data = 'changed';
+
+        nh.subscribe(topic, 'std_msgs/String', (data) => {
+          expect(data).to.deep.equal({data: 'hello'});
+          expect(Object.isFrozen(data)).to.be.true;
+          done();
+        }, {intraProcess: true});
+      });
+    });
+
+    it('Intraprocess Zero Copy', (done) => {
+      const nh = rosnodejs.nh;
+      const pub = nh.advertise(topic, 'std_msgs/String', {zeroCopy: true, latching: true});
+      const msg = {data: 'hello'};
+
+      pub.publish(msg);
+
+      pub.on('registered', () => {
+        nh.subscribe(topic, 'std_msgs/String', (data) => {
+          expect(data).to.equal(msg);
+          done();
+        }, {intraProcess: true});
+      });
+    });
+
     it('Invalid Without Resolve Causes Error', (done) => {
       const nh = rosnodejs.nh;
       const sub = nh.subscribe(topic, 'std_msgs/String');
@@ -465,6 +776,158 @@ describe('Protocol Test', () => {
       });
     });
 
+    it('Type From Publisher', (done) => {
+      const nh = rosnodejs.nh;
+      // publish with a type this node has no definition for
+      const StringMsg = rosnodejs.require('std_msgs').msg.String;
+      const UnknownString = Object.create(StringMsg, {
+        datatype: { value: () => 'unknown_msgs/String' }
+      });
+      const pub = nh.advertise(topic, UnknownString);
+
+      const sub = nh.subscribe(topic, 'unknown_msgs/String', (data) => {
+        expect(data.data).to.equal('hello');
+
+        const typeClass = rosnodejs.require('unknown_msgs').msg.String;
+        expect(typeClass.md5sum()).to.equal(StringMsg.md5sum());
+        expect(sub._impl._messageHandler).to.equal(typeClass);
+        done();
+      }, {intraProcess: false});
+
+      pub.on('connection', () => {
+        pub.publish({data: 'hello'});
+      });
+    });
+
+    it('Type From Publisher Md5 Mismatch', (done) => {
+      const nh = rosnodejs.nh;
+      const Int32Msg = rosnodejs.require('std_msgs').msg.Int32;
+      const MismatchedInt = Object.create(Int32Msg, {
+        datatype: { value: () => 'unknown_msgs/Mismatch' }
+      });
+
+      const sub = nh.subscribe(topic, 'unknown_msgs/Mismatch', () => {
+        throwNext('Subscriber should never have gotten messages!');
+      }, {intraProcess: false});
+
+      // the node gets its own definition after subscribing
+      const LocalMismatch = rosnodejs.registerMessage('unknown_msgs/Mismatch', 'string data');
+
+      let finished = false;
+      const logCapture = {
+        write(rec) {
+          if (!finished && rec.msg.startsWith('Unable to connect subscriber')) {
+            finished = true;
+            expect(rec.msg).to.match(/doesn't match the local definition/);
+            // the publisher's definition didn't replace ours
+            expect(rosnodejs.require('unknown_msgs').msg.Mismatch).to.equal(LocalMismatch);
+            expect(sub.getNumPublishers()).to.equal(0);
+            done();
+          }
+        }
+      };
+
+      rosnodejs.log.addStream({
+        type: 'raw',
+        name: 'mismatchCapture',
+        stream: logCapture,
+        level: 'error'
+      });
+
+      nh.advertise(topic, MismatchedInt);
+    });
+
+    it('Type From Publisher Bad Definition', (done) => {
+      const nh = rosnodejs.nh;
+      const Int32Msg = rosnodejs.require('std_msgs').msg.Int32;
+      // a definition that doesn't hash to the publisher's md5sum
+      const BadDefinition = Object.create(Int32Msg, {
+        datatype: { value: () => 'unknown_msgs/BadDefinition' },
+        messageDefinition: { value: () => 'string data' }
+      });
+      const GoodDefinition = Object.create(Int32Msg, {
+        datatype: { value: () => 'unknown_msgs/BadDefinition' }
+      });
+
+      const connectGood = () => {
+        const sub = nh.subscribe(topic, 'unknown_msgs/BadDefinition', (data) => {
+          expect(data.data).to.equal(5);
+          expect(sub._impl._messageHandler.md5sum()).to.equal(Int32Msg.md5sum());
+          done();
+        }, {intraProcess: false});
+
+        const pub = nh.advertise(topic, GoodDefinition);
+        pub.on('connection', () => {
+          pub.publish({data: 5});
+        });
+      };
+
+      let finished = false;
+      const logCapture = {
+        write(rec) {
+          if (!finished && rec.msg.startsWith('Unable to connect subscriber')) {
+            finished = true;
+            expect(rec.msg).to.match(/expected \[/);
+            // the bad definition wasn't registered
+            expect(messages.getFromRegistry('unknown_msgs/BadDefinition', 'msg')).to.be.undefined;
+            // let the subscriber finish closing the connection first
+            setImmediate(() => {
+              Promise.all([nh.unsubscribe(topic), nh.unadvertise(topic)])
+              .then(connectGood);
+            });
+          }
+        }
+      };
+
+      rosnodejs.log.addStream({
+        type: 'raw',
+        name: 'badDefinitionCapture',
+        stream: logCapture,
+        level: 'error'
+      });
+
+      nh.subscribe(topic, 'unknown_msgs/BadDefinition', () => {
+        throwNext('Subscriber should never have gotten messages!');
+      }, {intraProcess: false});
+      nh.advertise(topic, BadDefinition);
+    });
+
+    it('Type Load Errors', () => {
+      const nh = rosnodejs.nh;
+      const getHandlerForMsgType = messageUtils.getHandlerForMsgType;
+      messageUtils.getHandlerForMsgType = () => {
+        throw new Error('Unable to parse message definition');
+      };
+
+      try {
+        // only missing types are loaded from publishers
+        expect(() => nh.subscribe(topic, 'unknown_msgs/Broken', () => {}))
+          .to.throw('Unable to parse message definition');
+      }
+      finally {
+        messageUtils.getHandlerForMsgType = getHandlerForMsgType;
+      }
+    });
+
+    it('Type From Intraprocess Publisher', (done) => {
+      const nh = rosnodejs.nh;
+      const StringMsg = rosnodejs.require('std_msgs').msg.String;
+      const UnknownString = Object.create(StringMsg, {
+        datatype: { value: () => 'unknown_msgs/IntraString' }
+      });
+      const pub = nh.advertise(topic, UnknownString);
+
+      const sub = nh.subscribe(topic, 'unknown_msgs/IntraString', (data) => {
+        expect(data.data).to.equal('hello');
+        expect(sub._impl._messageHandler).to.equal(UnknownString);
+        done();
+      }, {intraProcess: true});
+
+      pub.on('connection', () => {
+        pub.publish({data: 'hello'});
+      });
+    });
+
     it('Throttle Pub', function(done) {
       this.slow(1000);
 
@@ -888,6 +1351,493 @@ describe('Protocol Test', () => {
       });
     });
 
+    it('Service Returns Response', () => {
+      const nh = rosnodejs.nh;
+      const triggerType = 'std_srvs/Trigger';
+      const serv = nh.advertiseService(service, triggerType, (req) => {
+        return Promise.resolve({ success: true, message: 'triggered' });
+      });
+
+      const client = nh.serviceClient(service, triggerType);
+      return nh.waitForService(service)
+      .then(() => client.call({}))
+      .then((resp) => {
+        expect(resp.success).to.be.true;
+        expect(resp.message).to.equal('triggered');
+      });
+    });
+
+    it('Service Validation', () => {
+      const nh = rosnodejs.nh;
+      const setBoolType = 'std_srvs/SetBool';
+      const serv = nh.advertiseService(service, setBoolType, (req) => {
+        return { success: req.data, message: req.data ? 'ok' : 5 };
+      }, { validate: true });
+
+      const client = nh.serviceClient(service, setBoolType, { validate: true });
+      return nh.waitForService(service)
+      .then(() => client.call({ data: 'yes' }))
+      .then(() => { throw new Error('Call should have failed'); },
+      (err) => {
+        expect(err.code).to.equal('E_ROSMSGINVALID');
+        expect(err.errors).to.deep.equal(['data: expected boolean, got string']);
+        return client.call({ data: true });
+      })
+      .then((resp) => {
+        expect(resp.message).to.equal('ok');
+        return client.call({ data: false });
+      })
+      .then(() => { throw new Error('Call should have failed'); },
+      (err) => {
+        expect(err.code).to.equal('E_ROSSERVICEFAILED');
+        expect(err.message).to.equal(
+          'Invalid std_srvs/SetBoolResponse message: message: expected string, got number');
+      });
+    });
+
+    it('Service Error', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++numCalls;
+        if (numCalls === 1) {
+          throw new Error('thrown error');
+        }
+        return Promise.reject(new Error('rejected error'));
+      });
+
+      const expectError = (message) => {
+        return client.call({}).then(
+          () => { throw new Error('Call should have failed'); },
+          (err) => {
+            expect(err.code).to.equal('E_ROSSERVICEFAILED');
+            expect(err.message).to.equal(message);
+          }
+        );
+      };
+
+      const client = nh.serviceClient(service, srvType);
+      return nh.waitForService(service)
+      .then(() => expectError('thrown error'))
+      .then(() => expectError('rejected error'));
+    });
+
+    it('Service Failure Message', () => {
+      const nh = rosnodejs.nh;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        return false;
+      });
+
+      const warnings = [];
+      const logCapture = {
+        write(rec) {
+          if (rec.msg.startsWith('Error handling service')) {
+            warnings.push(rec.msg);
+          }
+        }
+      };
+
+      rosnodejs.log.addStream({
+        type: 'raw',
+        name: 'failureCapture',
+        stream: logCapture,
+        level: 'warn'
+      });
+
+      const client = nh.serviceClient(service, srvType);
+      return nh.waitForService(service)
+      .then(() => client.call({}))
+      .then(() => {
+        throw new Error('Call should have failed');
+      },
+      (err) => {
+        expect(err.code).to.equal('E_ROSSERVICEFAILED');
+        expect(err.message).to.equal('Unable to handle service call');
+        // returning false isn't an error on the server's side
+        expect(warnings).to.be.empty;
+      });
+    });
+
+    it('Service Concurrency Limit', () => {
+      const nh = rosnodejs.nh;
+      let inProgress = 0;
+      let maxInProgress = 0;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++inProgress;
+        maxInProgress = Math.max(inProgress, maxInProgress);
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            --inProgress;
+            resolve(true);
+          }, 20);
+        });
+      }, { maxConcurrency: 2 });
+
+      const client = nh.serviceClient(service, srvType, { maxConcurrency: 4 });
+      return nh.waitForService(service)
+      .then(() => {
+        const calls = [];
+        for (let i = 0; i < 4; ++i) {
+          calls.push(client.call({}));
+        }
+        return Promise.all(calls);
+      })
+      .then(() => {
+        expect(maxInProgress).to.equal(2);
+        expect(serv.isCallInProgress()).to.be.false;
+      });
+    });
+
+    it('Service Timeout', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      let finishCall;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        if (++numCalls > 1) {
+          return true;
+        }
+        // else don't respond until we're told to
+        return new Promise((resolve) => { finishCall = resolve; });
+      }, { maxConcurrency: 1, timeout: 50 });
+
+      const expectTimeout = (promise) => {
+        return promise.then(
+          () => { throw new Error('Call should have timed out'); },
+          (err) => {
+            expect(err.code).to.equal('E_ROSSERVICEFAILED');
+            expect(err.message).to.match(/timed out/);
+          }
+        );
+      };
+
+      const client = nh.serviceClient(service, srvType, { maxConcurrency: 2 });
+      return nh.waitForService(service)
+      .then(() => {
+        // requests time out whether they're being handled or waiting for a free slot
+        return Promise.all([expectTimeout(client.call({})), expectTimeout(client.call({}))]);
+      })
+      .then(() => {
+        // the timed out handler keeps its slot until it's done
+        expect(numCalls).to.equal(1);
+        expect(serv.isCallInProgress()).to.be.true;
+
+        const call = client.call({});
+        finishCall(true);
+        return call;
+      })
+      .then(() => {
+        expect(numCalls).to.equal(2);
+        expect(serv.isCallInProgress()).to.be.false;
+      });
+    });
+
+    it('Service Server Interceptors', () => {
+      const nh = rosnodejs.nh;
+      const triggerType = 'std_srvs/Trigger';
+      const order = [];
+      const nodeInterceptor = (context, next) => {
+        order.push('node');
+        expect(context.service).to.equal(service);
+        expect(context.type).to.equal(triggerType);
+        if (context.callerId !== nodeName) {
+          throw new Error('Not allowed');
+        }
+        return next();
+      };
+      nh.addServiceServerInterceptor(nodeInterceptor);
+
+      const serv = nh.advertiseService(service, triggerType, (req, resp) => {
+        order.push('callback');
+        resp.message = 'handled';
+        return true;
+      }, {
+        interceptors: [(context, next) => {
+          order.push('service');
+          return next().then((resp) => {
+            resp.success = true;
+            return resp;
+          });
+        }]
+      });
+
+      const client = nh.serviceClient(service, triggerType);
+      return nh.waitForService(service)
+      .then(() => client.call({}))
+      .then((resp) => {
+        expect(resp.success).to.be.true;
+        expect(resp.message).to.equal('handled');
+        expect(order).to.deep.equal(['node', 'service', 'callback']);
+
+        nh.removeServiceServerInterceptor(nodeInterceptor);
+        nh.addServiceServerInterceptor(() => { throw new Error('Not allowed'); });
+        return client.call({});
+      })
+      .then(() => {
+        throw new Error('Call should have been rejected by the interceptor');
+      },
+      (err) => {
+        expect(err.code).to.equal('E_ROSSERVICEFAILED');
+        expect(err.message).to.equal('Not allowed');
+        expect(order).to.have.lengthOf(3);
+      });
+    });
+
+    it('Service Client Interceptors', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++numCalls;
+        // fail the first call
+        return numCalls > 1;
+      });
+
+      const retryInterceptor = (context, next) => {
+        return next().catch((err) => {
+          expect(err.code).to.equal('E_ROSSERVICEFAILED');
+          return next();
+        });
+      };
+      nh.addServiceClientInterceptor(retryInterceptor);
+
+      let clientContext = null;
+      const client = nh.serviceClient(service, srvType, {
+        interceptors: [(context, next) => {
+          clientContext = context;
+          return next();
+        }]
+      });
+
+      return nh.waitForService(service)
+      .then(() => client.call({}, { timeout: 1000 }))
+      .then(() => {
+        expect(numCalls).to.equal(2);
+        expect(clientContext.service).to.equal(service);
+        expect(clientContext.options.timeout).to.equal(1000);
+        nh.removeServiceClientInterceptor(retryInterceptor);
+        return client.call({});
+      })
+      .then(() => {
+        expect(numCalls).to.equal(3);
+      });
+    });
+
+    it('Call Timeout', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++numCalls;
+        if (numCalls === 1) {
+          // never respond to the first call
+          return new Promise(() => {});
+        }
+        return true;
+      });
+
+      const client = nh.serviceClient(service, srvType, { persist: true, timeout: 50 });
+      return nh.waitForService(service)
+      .then(() => {
+        return Promise.all([
+          client.call({}).then(
+            () => { throw new Error('Call should have timed out'); },
+            (err) => { expect(err.code).to.equal('E_ROSSERVICETIMEOUT'); }
+          ),
+          // queued behind the call that times out, but with a longer timeout
+          client.call({}, { timeout: 1000 })
+        ]);
+      })
+      .then(() => {
+        expect(numCalls).to.equal(2);
+      });
+    });
+
+    it('Call Abort', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      const controller = new AbortController();
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++numCalls;
+        if (numCalls === 1) {
+          controller.abort();
+          return new Promise(() => {});
+        }
+        return true;
+      });
+
+      const expectAborted = (promise) => {
+        return promise.then(
+          () => { throw new Error('Call should have been aborted'); },
+          (err) => { expect(err.code).to.equal('E_ROSSERVICEABORTED'); }
+        );
+      };
+
+      const queuedController = new AbortController();
+      const client = nh.serviceClient(service, srvType);
+      return nh.waitForService(service)
+      .then(() => {
+        const calls = Promise.all([
+          // aborted by the service while it's in progress
+          expectAborted(client.call({}, { signal: controller.signal })),
+          // aborted while waiting in the queue
+          expectAborted(client.call({}, { signal: queuedController.signal })),
+          client.call({})
+        ]);
+        queuedController.abort();
+        return calls;
+      })
+      .then(() => {
+        expect(numCalls).to.equal(2);
+        // calls with signals that were already aborted are rejected right away
+        return expectAborted(client.call({}, { signal: controller.signal }));
+      });
+    });
+
+    it('Call Shutdown With Queued Calls', () => {
+      const nh = rosnodejs.nh;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        return new Promise(() => {});
+      });
+
+      const expectShutdown = (promise) => {
+        return promise.then(
+          () => { throw new Error('Call should have been rejected'); },
+          (err) => { expect(err).to.equal('SHUTDOWN'); }
+        );
+      };
+
+      const controller = new AbortController();
+      const client = nh.serviceClient(service, srvType, { maxConcurrency: 1 });
+      return nh.waitForService(service)
+      .then(() => {
+        const calls = Promise.all([
+          expectShutdown(client.call({})),
+          expectShutdown(client.call({}, { timeout: 5000, signal: controller.signal }))
+        ]);
+        const queuedCall = client._callQueue[0];
+        client.shutdown();
+
+        expect(client._callQueue).to.be.empty;
+        expect(queuedCall.finished).to.be.true;
+        return calls;
+      });
+    });
+
+    it('Concurrent Calls', () => {
+      const nh = rosnodejs.nh;
+      let inProgress = 0;
+      let maxInProgress = 0;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        ++inProgress;
+        maxInProgress = Math.max(inProgress, maxInProgress);
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            --inProgress;
+            resolve(true);
+          }, 20);
+        });
+      });
+
+      const client = nh.serviceClient(service, srvType, { persist: true, maxConcurrency: 3 });
+      const makeCalls = () => {
+        const calls = [];
+        for (let i = 0; i < 5; ++i) {
+          calls.push(client.call({}));
+        }
+        return Promise.all(calls);
+      };
+
+      return nh.waitForService(service)
+      .then(makeCalls)
+      .then(() => {
+        expect(maxInProgress).to.equal(3);
+        expect(client._idleSockets).to.have.lengthOf(3);
+
+        // connections are reused for later calls
+        return makeCalls();
+      })
+      .then(() => {
+        expect(client._idleSockets).to.have.lengthOf(3);
+        expect(Object.keys(serv._clients)).to.have.lengthOf(3);
+      });
+    });
+
+    it('Concurrent Calls Queue Length', () => {
+      const nh = rosnodejs.nh;
+      const serv = nh.advertiseService(service, srvType, (req, resp) => {
+        return new Promise((resolve) => {
+          setTimeout(() => { resolve(true); }, 20);
+        });
+      });
+
+      const client = nh.serviceClient(service, srvType, { maxConcurrency: 2, queueLength: 1 });
+      return nh.waitForService(service)
+      .then(() => {
+        const results = [];
+        const calls = [];
+        for (let i = 0; i < 4; ++i) {
+          calls.push(client.call({}).then(
+            () => { results[i] = 'ok'; },
+            (err) => { results[i] = err.code; }
+          ));
+        }
+        return Promise.all(calls).then(() => results);
+      })
+      .then((results) => {
+        // two calls start right away, one waits in the queue and the other is bumped from it
+        expect(results).to.deep.equal(['ok', 'ok', 'E_ROSSERVICEQUEUEFULL', 'ok']);
+      });
+    });
+
+    it('Persistent Client Reconnect', () => {
+      const nh = rosnodejs.nh;
+      let numCalls = 0;
+      const handler = (req, resp) => {
+        ++numCalls;
+        if (numCalls === 2) {
+          // the service goes away while handling the call
+          nh.unadvertiseService(service);
+          return new Promise(() => {});
+        }
+        return true;
+      };
+      nh.advertiseService(service, srvType, handler);
+
+      const events = [];
+      const client = nh.serviceClient(service, srvType, {
+        persist: true,
+        reconnect: { delayMs: 20, maxRetries: 10 }
+      });
+      client.on('connected', () => { events.push('connected'); });
+      client.on('disconnected', () => { events.push('disconnected'); });
+
+      return nh.waitForService(service)
+      .then(() => client.call({}))
+      .then(() => {
+        expect(client.isConnected()).to.be.true;
+        return client.call({});
+      })
+      .then(() => {
+        throw new Error('Call should have failed');
+      },
+      (err) => {
+        // the request was already sent, so it isn't retried
+        expect(err.code).to.equal('E_ROSSERVICEDISCONNECTED');
+        expect(client.isConnected()).to.be.false;
+
+        // retried until the service comes back
+        const call = client.call({}, { idempotent: true });
+        setTimeout(() => {
+          nh.advertiseService(service, srvType, handler);
+        }, 50);
+        return call;
+      })
+      .then(() => {
+        expect(numCalls).to.equal(3);
+        expect(events).to.deep.equal(['connected', 'disconnected', 'connected']);
+        expect(client.isConnected()).to.be.true;
+        client.shutdown();
+      });
+    });
+
     it('Service Shutdown While Registering', function (done) {
       this.slow(1600);
 
@@ -1239,6 +2189,230 @@ describe('Protocol Test', () => {
         done();
       });
     });
+
+    it('Search', function(done) {
+      const nh = rosnodejs.getNodeHandle('/a/b');
+
+      Promise.all([
+        nh.setParam('/a/robot_description', 'arm'),
+        nh.setParam('/robot_description', 'base'),
+        nh.setParam('/a/b/c/robot_description', 'gripper')
+      ])
+      .then(() => nh.searchParam('robot_description'))
+      .then((key) => {
+        expect(key).to.equal('/a/robot_description');
+        return rosnodejs.getNodeHandle('/x').searchParam('robot_description');
+      })
+      .then((key) => {
+        expect(key).to.equal('/robot_description');
+        return nh.searchParam('c/robot_description');
+      })
+      .then((key) => {
+        expect(key).to.equal('/a/b/c/robot_description');
+        return nh.searchParam('missing')
+        .then(() => throwNext('Search should reject'), () => nh.getParamNames());
+      })
+      .then((names) => {
+        expect(names).to.include.members([
+          '/a/robot_description',
+          '/robot_description',
+          '/a/b/c/robot_description'
+        ]);
+
+        return Promise.all([
+          nh.deleteParam('/a/robot_description'),
+          nh.deleteParam('/robot_description'),
+          nh.deleteParam('/a/b/c/robot_description')
+        ]);
+      })
+      .then(() => done());
+    });
+
+    it('Subscribe', function(done) {
+      const nh = rosnodejs.nh;
+      const updates = [];
+
+      nh.setParam('/gain', 1)
+      .then(() => {
+        return nh.subscribeParam('/gain', (value, oldValue) => {
+          updates.push([value, oldValue]);
+          if (updates.length === 2) {
+            expect(updates).to.deep.equal([[2, 1], [3, 2]]);
+            nh.unsubscribeParam('/gain')
+            .then(() => {
+              expect(masterStub._paramSubscribers['/gain']).to.be.empty;
+              expect(nh._node.hasParamSubscription('/gain')).to.be.false;
+              done();
+            });
+          }
+        });
+      })
+      .then((value) => {
+        expect(value).to.equal(1);
+        return nh.setParam('/gain', 2);
+      })
+      .then(() => nh.setParam('/gain', 3));
+    });
+
+    it('Get Cached', function(done) {
+      const nh = rosnodejs.nh;
+      let getCalls = 0;
+      masterStub.on('getParam', () => ++getCalls);
+
+      nh.getParamCached('/missing')
+      .then(() => throwNext('Get cached should reject'), () => {
+        return nh.setParam('/tuning', 0.5);
+      })
+      .then(() => nh.getParamCached('/tuning'))
+      .then((value) => {
+        expect(value).to.equal(0.5);
+        expect(masterStub._paramSubscribers['/tuning']).to.have.lengthOf(1);
+        return nh.getParamCached('/tuning');
+      })
+      .then((value) => {
+        expect(value).to.equal(0.5);
+        // only the read of the missing param went to the master
+        expect(getCalls).to.equal(1);
+
+        // the cache is kept up to date by the master
+        return new Promise((resolve) => {
+          const onUpdate = () => {
+            // the cache keeps the subscription alive
+            nh.unsubscribeParam('/tuning', onUpdate)
+            .then(resolve);
+          };
+          nh.subscribeParam('/tuning', onUpdate);
+          nh.setParam('/tuning', 0.7);
+        });
+      })
+      .then(() => nh.getParamCached('/tuning'))
+      .then((value) => {
+        expect(value).to.equal(0.7);
+        expect(getCalls).to.equal(1);
+        expect(masterStub._paramSubscribers['/tuning']).to.have.lengthOf(1);
+        return Promise.all([
+          nh.unsubscribeParam('/missing'),
+          nh.unsubscribeParam('/tuning')
+        ]);
+      })
+      .then(() => {
+        expect(masterStub._paramSubscribers['/tuning']).to.be.empty;
+        done();
+      })
+      .catch((err) => throwNext(err.message));
+    });
+
+    it('Get Cached Unset', function(done) {
+      const nh = rosnodejs.nh;
+      let getCalls = 0;
+      masterStub.on('getParam', () => ++getCalls);
+
+      const expectReject = () => {
+        return nh.getParamCached('/unset')
+        .then(() => throwNext('Get cached should reject'), (err) => {
+          expect(err.statusCode).to.equal(0);
+        });
+      };
+
+      // concurrent first reads share one request to the master
+      Promise.all([expectReject(), expectReject()])
+      .then(expectReject)
+      .then(() => {
+        // we only had to ask the master once whether the param was set
+        expect(getCalls).to.equal(1);
+
+        // set it to an empty dictionary, which looks just like an unset param
+        return new Promise((resolve) => {
+          const onUpdate = () => {
+            nh.unsubscribeParam('/unset', onUpdate)
+            .then(resolve);
+          };
+          nh.subscribeParam('/unset', onUpdate);
+          nh.setParam('/unset', {});
+        });
+      })
+      .then(() => nh.getParamCached('/unset'))
+      .then((value) => {
+        expect(value).to.deep.equal({});
+        return nh.getParamCached('/unset');
+      })
+      .then((value) => {
+        expect(value).to.deep.equal({});
+        expect(getCalls).to.equal(2);
+        return nh.unsubscribeParam('/unset');
+      })
+      .then(() => done())
+      .catch((err) => throwNext(err.message));
+    });
+
+    it('Get Cached Copies', function(done) {
+      const nh = rosnodejs.nh;
+
+      nh.setParam('/limits', {speeds: [1, 2], name: 'slow'})
+      .then(() => nh.getParamCached('/limits'))
+      .then((value) => {
+        value.speeds.push(3);
+        value.name = 'fast';
+        return nh.getParamCached('/limits');
+      })
+      .then((value) => {
+        expect(value).to.deep.equal({speeds: [1, 2], name: 'slow'});
+        return nh.unsubscribeParam('/limits');
+      })
+      .then(() => done())
+      .catch((err) => throwNext(err.message));
+    });
+
+    it('Subscribe Nested', function(done) {
+      const nh = rosnodejs.nh;
+      const parentUpdates = [];
+      const childUpdates = [];
+      const slaveClient = xmlrpc.createClient({host: 'localhost', port: nh._node._xmlrpcPort});
+
+      function paramUpdate(key, value) {
+        return new Promise((resolve, reject) => {
+          slaveClient.methodCall('paramUpdate', ['/master', key, value], (err, resp) => {
+            if (err) {
+              reject(err);
+            }
+            else {
+              expect(resp[0]).to.equal(1);
+              resolve();
+            }
+          });
+        });
+      }
+
+      Promise.all([
+        nh.subscribeParam('/robot', (value) => parentUpdates.push(value)),
+        nh.subscribeParam('/robot/arm/speed', (value) => childUpdates.push(value))
+      ])
+      .then(([parent, child]) => {
+        expect(parent).to.deep.equal({});
+        expect(child).to.deep.equal({});
+
+        // update to a child of a subscribed key
+        return paramUpdate('/robot/arm/', { speed: 5, accel: 1 });
+      })
+      .then(() => {
+        expect(parentUpdates).to.deep.equal([{ arm: { speed: 5, accel: 1 } }]);
+        expect(childUpdates).to.deep.equal([5]);
+
+        // update to a dictionary containing a subscribed key
+        return paramUpdate('/robot/', { arm: { speed: 7 } });
+      })
+      .then(() => {
+        expect(parentUpdates[1]).to.deep.equal({ arm: { speed: 7 } });
+        expect(childUpdates).to.deep.equal([5, 7]);
+
+        return Promise.all([
+          nh.unsubscribeParam('/robot'),
+          nh.unsubscribeParam('/robot/arm/speed')
+        ]);
+      })
+      .then(() => done())
+      .catch((err) => throwNext(err.message));
+    });
   });
 
   describe('initialization', () => {